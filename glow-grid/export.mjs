@@ -1,50 +1,378 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { spawn, spawnSync } from "child_process";
 import { chromium } from "playwright";
-import { execSync } from "child_process";
+import { build, preview } from "vite";
+import {
+  COLOR_THEMES,
+  CompositionError,
+  DEFAULT_SEED,
+  SOLID_THEMES,
+  buildPatterns,
+  composePattern,
+  envelopeFromParams,
+  parseGrid,
+  parsePatternExpression,
+} from "hypno-engine";
+import { loadHypnoSources } from "hypno-engine/node";
+import { normalizeHex, resolveColor } from "./src/display.js";
+import { BACKGROUND, RenderError } from "./src/render/canvas.js";
+import { buildCssAnimation } from "./src/render/css.js";
+import { buildLottie } from "./src/render/lottie.js";
+import { buildAnimatedSvg, buildPosterSvg } from "./src/render/svg.js";
+import { sampleVectorKeys } from "./src/render/vector.js";
 
-const pattern = process.argv[2] ?? "spiralOuter";
-const fps = Number(process.argv[3] ?? 60);
-const seed = process.argv[4] ?? "123"; // only matters for random
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const FFMPEG = process.env.FFMPEG ?? "ffmpeg";
+const SOURCES = loadHypnoSources(path.join(ROOT, "patterns"));
 
-const PORT = 4173;
-const BASE_URL = `http://localhost:${PORT}`;
+const args = process.argv.slice(2);
+const positional = args.filter((arg) => !arg.startsWith("--"));
+const flags = Object.fromEntries(
+  args
+    .filter((arg) => arg.startsWith("--"))
+    .map((arg) => {
+      const [key, value = "true"] = arg.slice(2).split("=");
+      return [key, value];
+    })
+);
 
-const dt = 1000 / fps;
+const pattern = positional[0] ?? "spiralOuter";
+const fps = Number(flags.fps ?? positional[1] ?? 60);
+const seed = positional[2] ?? DEFAULT_SEED; // only matters for random
+const grid = flags.grid && flags.grid !== "3x3" ? flags.grid : ""; // e.g. --grid=5x5
+const size = flags.size ? Number(flags.size) : null; // long edge in px
+const loops = Math.max(1, Math.round(Number(flags.loops ?? 1)));
+const background = flags.bg ?? null; // "transparent" or hex; the app's default otherwise
+const transparent = background === "transparent";
+const bitrate = flags.bitrate ? Number(flags.bitrate) : null; // Mbps, replaces the encoder's quality preset
+const posterMs = flags.t ? Number(flags.t) : null; // poster frame; the gallery's preview moment otherwise
+
+// Batch mode renders every pattern x color x format, e.g. --all --colors=ice,#FF00AA --formats=mp4,webm
+const batch = Boolean(flags.all || flags.patterns || flags.colors || flags.formats);
+const jobs = Math.max(1, Number(flags.jobs) || Math.min(4, os.availableParallelism?.() ?? os.cpus().length));
+
+// Envelope overrides are passed straight through, e.g. --env=adsr --a=80 --r=400
+const ENVELOPE_KEYS = ["env", "pow", "peak", "a", "d", "s", "h", "r", "k", "attack", "duty", "x1", "y1", "x2", "y2"];
+const envelope = envelopeFromParams(new URLSearchParams(flags));
+
+// Encoders are tried in order; hardware ones only show up in ffmpeg builds that have them.
+const EVEN = "scale=trunc(iw/2)*2:trunc(ih/2)*2";
+const CODECS = {
+  h264: {
+    ext: "mp4",
+    encoders: {
+      h264_videotoolbox: ["-b:v", "8M"],
+      libx264: ["-crf", "18", "-preset", "slow"],
+    },
+    args: ["-vf", EVEN, "-pix_fmt", "yuv420p", "-movflags", "+faststart"],
+  },
+  hevc: {
+    ext: "mp4",
+    encoders: {
+      hevc_videotoolbox: ["-b:v", "8M"],
+      libx265: ["-crf", "20", "-preset", "slow"],
+    },
+    // hvc1 tag keeps Apple players happy.
+    args: ["-vf", EVEN, "-tag:v", "hvc1", "-pix_fmt", "yuv420p", "-movflags", "+faststart"],
+  },
+  vp9: {
+    ext: "webm",
+    encoders: { "libvpx-vp9": ["-crf", "30", "-b:v", "0"] },
+    args: ["-vf", EVEN, "-pix_fmt", "yuv420p"],
+  },
+  prores: {
+    ext: "mov",
+    encoders: {
+      prores_videotoolbox: ["-profile:v", "3"],
+      prores_ks: ["-profile:v", "3", "-vendor", "apl0"],
+    },
+    args: ["-pix_fmt", "yuv422p10le"],
+  },
+  gif: {
+    ext: "gif",
+    encoders: { gif: [] },
+    args: ["-vf", "split[a][b];[a]palettegen=stats_mode=full[p];[b][p]paletteuse=dither=sierra2_4a", "-loop", "0"],
+  },
+  apng: {
+    ext: "png",
+    encoders: { apng: [] },
+    args: ["-plays", "0", "-f", "apng"],
+  },
+};
+
+// With --bg=transparent the frames keep alpha, so only these variants are allowed.
+const ALPHA_CODECS = {
+  vp9: { args: ["-vf", EVEN, "-pix_fmt", "yuva420p", "-auto-alt-ref", "0"] },
+  prores: {
+    // Profile 4 is ProRes 4444, the only ProRes flavour with alpha.
+    encoders: {
+      prores_videotoolbox: ["-profile:v", "4"],
+      prores_ks: ["-profile:v", "4", "-vendor", "apl0"],
+    },
+    args: ["-pix_fmt", "yuva444p10le"],
+  },
+  apng: {},
+};
+const BITRATE_CODECS = new Set(["h264", "hevc", "vp9"]);
+
+const codecSpec = (codec) => (transparent ? { ...CODECS[codec], ...ALPHA_CODECS[codec] } : CODECS[codec]);
+
+const encoderArgs = (codec, encoder) =>
+  bitrate && BITRATE_CODECS.has(codec) ? ["-b:v", `${bitrate}M`] : codecSpec(codec).encoders[encoder] ?? [];
+
+// --formats takes container names or codec ids.
+const FORMAT_CODECS = { mp4: "h264", webm: "vp9", mov: "prores", gif: "gif", apng: "apng" };
+
+// Keyframed straight from the engine's curves, so they need neither ffmpeg nor a browser.
+const VECTOR_FORMATS = {
+  lottie: {
+    ext: "json",
+    build: (options) => {
+      const { lottie, check } = buildLottie(options);
+      return { data: JSON.stringify(lottie), check };
+    },
+  },
+  css: {
+    ext: "html",
+    build: (options) => {
+      const { html, check } = buildCssAnimation(options);
+      return { data: html, check };
+    },
+  },
+  svg: {
+    ext: "svg",
+    build: (options) => {
+      const { svg, check } = buildAnimatedSvg(options);
+      return { data: svg, check };
+    },
+  },
+};
+// A still as SVG (built here) and PNG (a screenshot of the player's ?poster=1 page).
+const POSTER = "poster";
+// What the vector files are made from, in place of the app build.
+const VECTOR_SOURCES = [
+  "src/render/canvas.js",
+  "src/render/css.js",
+  "src/render/glow.js",
+  "src/render/lottie.js",
+  "src/render/svg.js",
+  "src/render/vector.js",
+  "packages/hypno-engine/src",
+];
 
 const pad = (n) => String(n).padStart(5, "0");
+const list = (value) => (value && value !== "true" ? value.split(",").map((item) => item.trim()).filter(Boolean) : []);
+const sha256 = (data) => createHash("sha256").update(data).digest("hex");
 
-async function main() {
-  const outDir = path.join("renders", pattern);
-  fs.mkdirSync(outDir, { recursive: true });
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const listEncoders = () => {
+  const result = spawnSync(FFMPEG, ["-hide_banner", "-encoders"], { encoding: "utf8" });
+  if (result.error?.code === "ENOENT") {
+    fail(
+      `ffmpeg not found (tried "${FFMPEG}"). Install it (brew install ffmpeg, apt install ffmpeg, ` +
+        `winget install ffmpeg) or point FFMPEG at the binary.`
+    );
+  }
+  if (result.status !== 0) fail(`could not run ffmpeg: ${result.stderr || result.error}`);
+  return new Set(
+    result.stdout
+      .split("\n")
+      .map((line) => line.trim().split(/\s+/)[1])
+      .filter(Boolean)
+  );
+};
 
+const pickEncoder = (codec, available) => {
+  const spec = codecSpec(codec);
+  if (flags.encoder) {
+    if (!available.has(flags.encoder)) fail(`this ffmpeg has no "${flags.encoder}" encoder.`);
+    return flags.encoder;
+  }
+  const encoder = Object.keys(spec.encoders).find((name) => available.has(name));
+  if (!encoder) {
+    fail(`this ffmpeg has none of the ${codec} encoders (${Object.keys(spec.encoders).join(", ")}).`);
+  }
+  return encoder;
+};
+
+const resolveCodecs = () => {
+  const requested = batch ? list(flags.formats) : [flags.codec ?? "h264"];
+  const codecs = (requested.length ? requested : ["mp4"]).map((format) => FORMAT_CODECS[format] ?? format);
+  const unknown = codecs.find((codec) => !CODECS[codec] && !VECTOR_FORMATS[codec] && codec !== POSTER);
+  if (unknown) {
+    const known = [...Object.keys(FORMAT_CODECS), ...Object.keys(CODECS), ...Object.keys(VECTOR_FORMATS), POSTER];
+    fail(
+      `unknown ${batch ? "format" : "codec"} "${unknown}". Use one of: ` +
+        `${known.filter((id, i, all) => all.indexOf(id) === i).join(", ")}`
+    );
+  }
+  const opaque = transparent && codecs.find((codec) => CODECS[codec] && !ALPHA_CODECS[codec]);
+  if (opaque) {
+    fail(`${opaque} has no alpha channel; use webm, mov or apng with --bg=transparent.`);
+  }
+  return [...new Set(codecs)];
+};
+
+// The color each pattern opens in when no --color is given, and its preview
+// moment, as in the app's gallery (createPatternSet in App.jsx).
+const DEFAULT_THEMES = new Map();
+const PREVIEW_MS = new Map();
+
+const resolvePatterns = () => {
+  // Saved editor patterns only exist in a browser's storage, so exports cover built-ins.
+  const available = buildPatterns(parseGrid(grid), seed, { sources: SOURCES }).map((entry) =>
+    envelope ? { ...entry, envelope } : entry
+  );
+  available.forEach((entry, index) => {
+    DEFAULT_THEMES.set(entry.id, SOLID_THEMES[index % SOLID_THEMES.length]);
+    PREVIEW_MS.set(entry.id, entry.loopMs ? (index * 97) % entry.loopMs : 0);
+  });
+  const byId = new Map(available.map((entry) => [entry.id, entry]));
+  const ids = flags.all ? [...byId.keys()] : batch ? list(flags.patterns) : [pattern];
+  if (!ids.length) fail("pass --all or --patterns=<id,id,...> to pick what to render.");
+  return ids.map((id) => {
+    if (byId.has(id)) return byId.get(id);
+    // Composition expressions, e.g. ring-2-cw|rotate90|max(pulse), resolve the same way the app does.
+    if (id.includes("|")) {
+      try {
+        const composed = composePattern(id, (sourceId) => byId.get(sourceId) ?? null);
+        DEFAULT_THEMES.set(id, DEFAULT_THEMES.get(parsePatternExpression(id).source));
+        return composed;
+      } catch (error) {
+        if (error instanceof CompositionError) fail(`"${id}": ${error.message}`);
+        throw error;
+      }
+    }
+    fail(`unknown pattern "${id}" for grid ${grid || "3x3"}. Available: ${[...byId.keys()].join(", ")}`);
+  });
+};
+
+const usesRandom = (patternId) => /(^|[|(])random($|[|)])/.test(patternId);
+
+const resolveColors = () => {
+  if (!batch) return [flags.color ?? null];
+  const colors = list(flags.colors);
+  if (!colors.length) return COLOR_THEMES.map((theme) => theme.id);
+  const themeIds = new Set(COLOR_THEMES.map((theme) => theme.id));
+  const invalid = colors.find(
+    (color) => !themeIds.has(color) && !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)
+  );
+  if (invalid) fail(`unknown color "${invalid}". Use theme ids (${[...themeIds].join(", ")}) or hex.`);
+  return colors;
+};
+
+const buildQuery = (patternId, color) => {
   // export=1 enables deterministic time control
-  const url =
-    pattern === "random"
-      ? `${BASE_URL}/?p=${encodeURIComponent(pattern)}&export=1&seed=${encodeURIComponent(seed)}`
-      : `${BASE_URL}/?p=${encodeURIComponent(pattern)}&export=1`;
-
-  const browser = await chromium.launch();
-  const page = await browser.newPage({
-    viewport: { width: 512, height: 512 }, // doesn't matter much since we screenshot the grid element
-    deviceScaleFactor: 2, // higher resolution screenshots
+  const params = new URLSearchParams({ p: patternId, export: "1" });
+  if (usesRandom(patternId)) params.set("seed", seed);
+  if (grid) params.set("g", grid);
+  if (color) params.set("c", color);
+  if (background) params.set("bg", background.replace(/^#/, ""));
+  ENVELOPE_KEYS.filter((key) => key in flags).forEach((key) => params.set(key, flags[key]));
+  return params;
+};
+
+// Envelope params beyond --env only show up as a short hash, so different curves keep apart.
+const envelopeParams = ENVELOPE_KEYS.filter((key) => key !== "env" && key in flags)
+  .map((key) => `${key}=${flags[key]}`)
+  .join("&");
+const envelopeHash = envelopeParams ? sha256(envelopeParams).slice(0, 8) : null;
+
+const jobName = (patternId, color) => {
+  const colorSlug = color?.replace(/[^a-z0-9]+/gi, "").toLowerCase();
+  // Expressions carry | and () that don't belong in file names.
+  const idSlug = patternId.replace(/[^\w-]+/g, "_").replace(/_+$/, "");
+  return [idSlug, flags.env, envelopeHash, grid, colorSlug].filter(Boolean).join("-");
+};
+
+const sourceHash = () => {
+  const files = VECTOR_SOURCES.flatMap((source) => {
+    const full = path.join(ROOT, source);
+    return fs.statSync(full).isDirectory()
+      ? fs.readdirSync(full).sort().map((file) => path.join(full, file))
+      : [full];
   });
+  return sha256(files.map((file) => fs.readFileSync(file, "utf8")).join("\n"));
+};
 
+// Vector files take --bg as given, transparent included, and the app's background otherwise.
+const vectorBackground = transparent ? null : background ? `#${normalizeHex(background)}` : BACKGROUND;
+
+const jobTheme = (job) => {
+  const theme = job.color ? resolveColor(job.color) : DEFAULT_THEMES.get(job.pattern.id);
+  if (!theme) fail(`unknown color "${job.color}". Use a theme id or hex.`);
+  return theme;
+};
+
+// Writes one vector file and returns its loop-accuracy check (see sampleKeyframes in hypno-engine).
+// `vectorKeys` come from sampleVectorKeys once per job and serve every vector format.
+const writeVector = (job, format, file, vectorKeys) => {
+  const { data, check } = VECTOR_FORMATS[format].build({
+    pattern: job.pattern,
+    theme: jobTheme(job),
+    vectorKeys,
+    width: Math.round(size ?? 512),
+    fps,
+    background: vectorBackground,
+  });
+  fs.writeFileSync(file, data);
+  return check;
+};
+
+// Measure the grid at 1x so every page can open at the scale that hits --size.
+async function measureScale(browser, url) {
+  if (!size) return 2;
+  const probe = await browser.newPage({ viewport: { width: 512, height: 512 } });
+  try {
+    await probe.goto(url, { waitUntil: "networkidle" });
+    const box = await probe.locator(".grid").boundingBox();
+    if (!box) throw new Error("The player did not render a grid.");
+    return size / Math.max(box.width, box.height);
+  } finally {
+    await probe.close();
+  }
+}
+
+// The poster SVG at --size, and a PNG of the player's still at the page scale (2x by default).
+async function writePoster(page, url, job, baseFile) {
+  const t = posterMs ?? PREVIEW_MS.get(job.pattern.id) ?? 0;
+  const svg = buildPosterSvg({
+    pattern: job.pattern,
+    theme: jobTheme(job),
+    width: Math.round(size ?? 512),
+    background: vectorBackground,
+    t,
+  });
+  fs.writeFileSync(`${baseFile}.svg`, svg);
+  await page.goto(`${url}&poster=1&t=${t}`, { waitUntil: "networkidle" });
+  await page.locator(".grid").screenshot({ path: `${baseFile}.png`, omitBackground: transparent });
+  return [`${baseFile}.svg`, `${baseFile}.png`];
+}
+
+async function renderFrames(page, url, outDir) {
   await page.goto(url, { waitUntil: "networkidle" });
 
   // Ask the app what the loop duration is (so we don't duplicate logic here)
-  const loopMs = await page.evaluate(() => window.__getLoopMs());
+  const loopMs = await page.evaluate(() => window.__getLoopMs?.());
   if (!Number.isFinite(loopMs) || loopMs <= 0) {
     throw new Error(`Invalid loopMs returned from app: ${loopMs}`);
   }
 
   // For perfect loops: render frames at t = 0, dt, 2dt, ... (frameCount-1)*dt
   // And DO NOT render t = loopMs exactly (that would duplicate frame 0)
+  const dt = 1000 / fps;
   const frameCountFloat = (loopMs * fps) / 1000;
   const frameCount = Math.round(frameCountFloat);
 
   // If this isn't very close to an integer, your loopMs isn't "fps-friendly".
-  // The App.jsx values above are chosen so this should be exact at 60fps.
   const err = Math.abs(frameCountFloat - frameCount);
   if (err > 1e-6) {
     console.warn(
@@ -53,31 +381,249 @@ async function main() {
     );
   }
 
-  const grid = page.locator(".grid");
-
+  const gridEl = page.locator(".grid");
   for (let i = 0; i < frameCount; i++) {
     const t = i * dt; // exact timestamps
     await page.evaluate((ms) => window.__setExportTime(ms), t);
-    await grid.screenshot({ path: path.join(outDir, `${pad(i)}.png`) });
+    await gridEl.screenshot({ path: path.join(outDir, `${pad(i)}.png`), omitBackground: transparent });
   }
 
-  await browser.close();
+  return { loopMs, frameCount };
+}
 
-  const outVideo = `${pattern}${pattern === "random" ? `_seed-${seed}` : ""}_hevc.mov`;
+const encode = (framesDir, codec, encoder, outFile) =>
+  new Promise((resolve, reject) => {
+    const spec = codecSpec(codec);
+    const ffmpegArgs = [
+      "-y",
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-stream_loop",
+      String(loops - 1),
+      "-framerate",
+      String(fps),
+      "-i",
+      path.join(framesDir, "%05d.png"),
+      "-c:v",
+      encoder,
+      ...encoderArgs(codec, encoder),
+      ...spec.args,
+      outFile,
+    ];
+    const child = spawn(FFMPEG, ffmpegArgs, { stdio: ["ignore", "inherit", "inherit"] });
+    child.on("error", reject);
+    child.on("close", (code) =>
+      code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code} for ${outFile}.`))
+    );
+  });
 
-  // Encode frames -> HEVC (macOS hardware encoder)
-  // -tag:v hvc1 improves compatibility with Apple players.
-  execSync(
-    `ffmpeg -y -framerate ${fps} -i ${outDir}/%05d.png ` +
-      `-c:v hevc_videotoolbox -tag:v hvc1 -pix_fmt yuv420p -movflags +faststart ` +
-      `${outVideo}`,
-    { stdio: "inherit" }
-  );
+const readManifest = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+};
 
-  console.log(`\n✅ Wrote ${outVideo}`);
+const isUpToDate = (entry, key, manifestPath) =>
+  entry?.key === key &&
+  entry.files.every((file) => {
+    const filePath = path.resolve(path.dirname(manifestPath), file.path);
+    return fs.existsSync(filePath) && sha256(fs.readFileSync(filePath)) === file.sha256;
+  });
+
+async function main() {
+  if (!Number.isFinite(fps) || fps <= 0) fail(`fps must be a positive number, got "${flags.fps ?? positional[1]}".`);
+  if (size !== null && !(size > 0)) fail(`--size must be a positive number of pixels, got "${flags.size}".`);
+  if (bitrate !== null && !(bitrate > 0)) fail(`--bitrate must be a positive number of Mbps, got "${flags.bitrate}".`);
+  if (posterMs !== null && !(posterMs >= 0)) fail(`--t must be a time in ms, got "${flags.t}".`);
+  if (background && !transparent && !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(background)) {
+    fail(`--bg must be "transparent" or a hex color, got "${background}".`);
+  }
+  const formats = resolveCodecs();
+  const codecs = formats.filter((format) => CODECS[format]);
+  const vectors = formats.filter((format) => VECTOR_FORMATS[format]);
+  const poster = formats.includes(POSTER);
+  const patterns = resolvePatterns();
+  const colors = resolveColors();
+  // Vector-only runs skip ffmpeg, the build and the browser; posters skip ffmpeg.
+  const needsBrowser = codecs.length > 0 || poster;
+  const available = codecs.length ? listEncoders() : null;
+  const encoders = Object.fromEntries(codecs.map((codec) => [codec, pickEncoder(codec, available)]));
+
+  const outDir = batch ? path.resolve(flags.out ?? path.join(ROOT, "renders", "exports")) : process.cwd();
+  const manifestPath = path.join(outDir, "manifest.json");
+  const previous = batch ? readManifest(manifestPath) : null;
+  const previousEntries = new Map((previous?.entries ?? []).map((entry) => [entry.name, entry]));
+  fs.mkdirSync(outDir, { recursive: true });
+
+  let appHash = null;
+  if (needsBrowser) {
+    if (flags.build !== "false") await build({ root: ROOT, logLevel: "warn" });
+    const indexHtml = path.join(ROOT, "dist", "index.html");
+    if (!fs.existsSync(indexHtml)) fail("no dist/ build to serve; run without --build=false.");
+    // The built index.html names hashed bundles, so any app change invalidates old outputs.
+    appHash = sha256(fs.readFileSync(indexHtml));
+  }
+  const vectorHash = vectors.length || poster ? sourceHash() : null;
+
+  const queue = patterns.flatMap((entry) => colors.map((color) => ({ pattern: entry, color })));
+  const results = [];
+  const server = needsBrowser ? await preview({ root: ROOT, logLevel: "warn", preview: { open: false } }) : null;
+  let browser;
+  try {
+    let baseUrl;
+    let deviceScaleFactor;
+    if (server) {
+      browser = await chromium.launch();
+      baseUrl = server.resolvedUrls.local[0];
+      deviceScaleFactor = await measureScale(browser, `${baseUrl}?${buildQuery(patterns[0].id, colors[0])}`);
+    }
+
+    const worker = async () => {
+      const page = await browser?.newPage({
+        viewport: { width: 512, height: 512 }, // doesn't matter much since we screenshot the grid element
+        deviceScaleFactor,
+      });
+      try {
+        for (let job = queue.shift(); job; job = queue.shift()) {
+          const name = jobName(job.pattern.id, job.color);
+          const query = buildQuery(job.pattern.id, job.color);
+          const key = sha256(
+            JSON.stringify({
+              pattern: job.pattern,
+              query: query.toString(),
+              fps,
+              size,
+              loops,
+              codecs: codecs.map((codec) => [
+                codec,
+                encoders[codec],
+                encoderArgs(codec, encoders[codec]),
+                codecSpec(codec).args,
+              ]),
+              appHash,
+              ...(vectors.length || poster ? { vectors, poster: poster && posterMs, vectorBackground, vectorHash } : {}),
+            })
+          );
+          if (isUpToDate(previousEntries.get(name), key, manifestPath)) {
+            console.log(`= ${name} (up to date)`);
+            results.push(previousEntries.get(name));
+            continue;
+          }
+
+          try {
+            const seedSuffix = usesRandom(job.pattern.id) ? `_seed-${seed}` : "";
+            const vectorKeys = vectors.length ? sampleVectorKeys(job.pattern, jobTheme(job)) : null;
+            const vectorFiles = vectors.map((format) => {
+              const file =
+                !batch && flags.out
+                  ? path.resolve(flags.out)
+                  : path.join(outDir, `${name}${seedSuffix}_${format}.${VECTOR_FORMATS[format].ext}`);
+              const { maxError } = writeVector(job, format, file, vectorKeys);
+              console.log(`✅ Wrote ${path.relative(process.cwd(), file)} (keys within ${maxError.toFixed(4)} of the pattern)`);
+              return {
+                format,
+                path: path.relative(outDir, file),
+                sha256: sha256(fs.readFileSync(file)),
+                maxError: Number(maxError.toFixed(6)),
+              };
+            });
+            const posterBase = path.join(outDir, `${name}${seedSuffix}_poster`);
+            const posterFiles = (poster ? await writePoster(page, `${baseUrl}?${query}`, job, posterBase) : []).map(
+              (file) => {
+                console.log(`✅ Wrote ${path.relative(process.cwd(), file)}`);
+                return { format: POSTER, path: path.relative(outDir, file), sha256: sha256(fs.readFileSync(file)) };
+              }
+            );
+
+            let { loopMs } = job.pattern;
+            let frameCount = Math.round((loopMs * fps) / 1000);
+            let rasterFiles = [];
+            if (codecs.length) {
+              // Frames only live until the encoders are done with them.
+              const framesDir = fs.mkdtempSync(path.join(os.tmpdir(), "hypno-frames-"));
+              try {
+                ({ loopMs, frameCount } = await renderFrames(page, `${baseUrl}?${query}`, framesDir));
+                rasterFiles = await Promise.all(
+                  codecs.map(async (codec) => {
+                    const file =
+                      !batch && flags.out
+                        ? path.resolve(flags.out)
+                        : path.join(outDir, `${name}${seedSuffix}_${codec}.${CODECS[codec].ext}`);
+                    await encode(framesDir, codec, encoders[codec], file);
+                    console.log(`✅ Wrote ${path.relative(process.cwd(), file)}`);
+                    return {
+                      format: codec,
+                      encoder: encoders[codec],
+                      path: path.relative(outDir, file),
+                      sha256: sha256(fs.readFileSync(file)),
+                    };
+                  })
+                );
+              } finally {
+                fs.rmSync(framesDir, { recursive: true, force: true });
+              }
+            }
+            results.push({
+              name,
+              id: job.pattern.id,
+              color: job.color,
+              fps,
+              loopMs,
+              frameCount,
+              loops: codecs.length ? loops : 1,
+              files: [...rasterFiles, ...vectorFiles, ...posterFiles],
+              key,
+            });
+          } catch (error) {
+            if (!batch) {
+              if (error instanceof RenderError) fail(`${job.pattern.id}: ${error.message}`);
+              throw error;
+            }
+            // One bad job shouldn't cost the batch the ones that already rendered.
+            console.error(`❌ ${name}: ${error.message}`);
+            results.push({ name, id: job.pattern.id, color: job.color, error: error.message, files: [], key: null });
+          }
+        }
+      } catch (error) {
+        queue.length = 0; // let the other workers wind down
+        throw error;
+      } finally {
+        await page?.close();
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(jobs, queue.length) }, worker));
+  } finally {
+    await browser?.close();
+    await server?.close();
+  }
+
+  if (batch) {
+    const order = patterns.flatMap((entry) => colors.map((color) => jobName(entry.id, color)));
+    results.sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      grid: grid || "3x3",
+      seed,
+      size,
+      background,
+      bitrate,
+      entries: results,
+    };
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`\nWrote ${path.relative(process.cwd(), manifestPath)} (${results.length} entries)`);
+    const failed = results.filter((entry) => entry.error);
+    if (failed.length) {
+      console.error(`${failed.length} of ${results.length} jobs failed: ${failed.map((entry) => entry.name).join(", ")}`);
+      process.exitCode = 1;
+    }
+  }
 }
 
 main().catch((e) => {
   console.error(e);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,318 @@
+import fs from "fs";
+import dgram from "dgram";
+import http from "http";
+import path from "path";
+import { createHash } from "crypto";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  COLOR_ORDERS,
+  COLOR_THEMES,
+  DDP_PORT,
+  LED_DEFAULTS,
+  LED_LAYOUTS,
+  LED_PROTOCOLS,
+  LedError,
+  SACN_PORT,
+  buildPatterns,
+  computeFrame,
+  createLedOutput,
+  createMockLedDevice,
+  decodeGridFrame,
+  gridKey,
+  parseGrid,
+} from "hypno-engine";
+import { loadHypnoSources } from "hypno-engine/node";
+
+// Forwards grid frames to an LED matrix. The player streams them over a
+// WebSocket when opened with ?led=ws://localhost:7890, e.g.
+//   node led-bridge.mjs --out=ddp://wled.local --brightness=0.4
+//   node led-bridge.mjs --out=serial:/dev/ttyUSB0 --layout=serpentine
+// or plays a pattern without a browser:
+//   node led-bridge.mjs --out=sacn://10.0.0.20?universe=1 --pattern=pulse --grid=8x8
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1 << 16;
+// The Vite dev server and `npm run preview`.
+const DEFAULT_ORIGINS = ["http://localhost:5173", "http://localhost:4173"];
+
+const flags = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .filter((arg) => arg.startsWith("--"))
+    .map((arg) => {
+      const [key, ...rest] = arg.slice(2).split("=");
+      return [key, rest.length ? rest.join("=") : "true"];
+    })
+);
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const fraction = (key) => {
+  if (flags[key] === undefined) return LED_DEFAULTS[key === "power" ? "powerLimit" : key];
+  const value = Number(flags[key]);
+  if (!(value >= 0 && value <= 1)) fail(`--${key} must be between 0 and 1, got "${flags[key]}".`);
+  return value;
+};
+
+const ledOptions = () => {
+  const gamma = Number(flags.gamma ?? LED_DEFAULTS.gamma);
+  if (!(gamma > 0)) fail(`--gamma must be above 0, got "${flags.gamma}".`);
+  const order = flags.order ?? LED_DEFAULTS.order;
+  if (!COLOR_ORDERS.includes(order)) fail(`--order must be one of ${COLOR_ORDERS.join(", ")}.`);
+  const layout = flags.layout ?? LED_DEFAULTS.layout;
+  if (!LED_LAYOUTS.includes(layout)) fail(`--layout must be one of ${LED_LAYOUTS.join(", ")}.`);
+  return { gamma, brightness: fraction("brightness"), powerLimit: fraction("power"), order, layout };
+};
+
+// stty spells the device flag differently on macOS.
+const configureSerial = (device, baud) => {
+  const flag = process.platform === "darwin" ? "-f" : "-F";
+  const result = spawnSync("stty", [flag, device, String(baud), "raw", "-echo"], { stdio: "ignore" });
+  if (result.status !== 0) console.warn(`Couldn't set ${device} to ${baud} baud; using its current speed.`);
+};
+
+const udpOutput = (url, port, protocol, options) => {
+  const socket = dgram.createSocket("udp4");
+  const host = url.hostname;
+  const target = Number(url.port) || port;
+  const universe = Number(url.searchParams.get("universe") ?? 1);
+  if (!(universe >= 1 && universe <= 63999)) fail(`sACN universes run 1-63999, got "${universe}".`);
+  return {
+    label: `${protocol} ${host}:${target}`,
+    output: createLedOutput({ protocol, universe, ...options }),
+    send: (packets) => packets.forEach((packet) => socket.send(packet, target, host)),
+    close: () => socket.close(),
+  };
+};
+
+// Records what the device would have shown to a JSON Lines file.
+const mockOutput = (file, options) => {
+  const protocol = flags.protocol ?? "ddp";
+  if (!LED_PROTOCOLS.includes(protocol)) fail(`--protocol must be one of ${LED_PROTOCOLS.join(", ")}.`);
+  const stream = fs.createWriteStream(path.resolve(file));
+  let device = null;
+  let pixelCount = 0;
+  return {
+    label: `mock ${protocol} device → ${file}`,
+    output: createLedOutput({ protocol, ...options }),
+    send: (packets, grid) => {
+      const count = grid.cols * grid.rows;
+      if (count !== pixelCount) {
+        // Every frame goes straight to the file, so the device keeps none of them.
+        device = createMockLedDevice({ protocol, pixels: count, record: false });
+        pixelCount = count;
+      }
+      packets.forEach((packet) => {
+        const frame = device.receive(packet);
+        if (!frame) return;
+        const line = { time: Date.now(), grid: gridKey(grid), sequence: frame.sequence, pixels: [...frame.pixels] };
+        stream.write(`${JSON.stringify(line)}\n`);
+      });
+    },
+    close: () => stream.end(),
+  };
+};
+
+const openOutput = (spec, options) => {
+  if (!spec || spec === "true") fail("pass --out=ddp://host, sacn://host, serial:/dev/tty... or mock:file.jsonl.");
+  if (spec.startsWith("ddp://")) return udpOutput(new URL(spec), DDP_PORT, "ddp", options);
+  if (spec.startsWith("sacn://")) return udpOutput(new URL(spec), SACN_PORT, "sacn", options);
+  if (spec.startsWith("mock:")) return mockOutput(spec.slice(5), options);
+  if (spec.startsWith("serial:")) {
+    const device = spec.slice(7);
+    const baud = Number(flags.baud ?? 115200);
+    if (!fs.existsSync(device)) fail(`no serial device at ${device}.`);
+    configureSerial(device, baud);
+    const stream = fs.createWriteStream(device);
+    stream.on("error", (error) => fail(`${device}: ${error.message}`));
+    return {
+      label: `adalight ${device} @ ${baud}`,
+      output: createLedOutput({ protocol: "adalight", ...options }),
+      // A serial line that can't keep up drops frames rather than queueing them.
+      send: (packets) => stream.writableNeedDrain || packets.forEach((packet) => stream.write(packet)),
+      close: () => stream.end(),
+    };
+  }
+  fail(`unknown output "${spec}".`);
+};
+
+const createSink = (target, expectedGrid) => {
+  let lastGrid = null;
+  const sink = (frame) => {
+    if (expectedGrid && gridKey(frame.grid) !== gridKey(expectedGrid)) {
+      if (gridKey(frame.grid) !== lastGrid) {
+        console.warn(`Dropping ${gridKey(frame.grid)} frames; this panel is ${gridKey(expectedGrid)}.`);
+      }
+      lastGrid = gridKey(frame.grid);
+      return;
+    }
+    if (gridKey(frame.grid) !== lastGrid) console.log(`Streaming ${gridKey(frame.grid)} to ${target.label}`);
+    lastGrid = gridKey(frame.grid);
+    target.send(target.output.encode(frame), frame.grid);
+  };
+  sink.blank = () => {
+    if (!lastGrid) return;
+    const grid = parseGrid(lastGrid);
+    sink({ grid, intensities: Array(grid.cols * grid.rows).fill(0) });
+  };
+  return sink;
+};
+
+// Just enough of RFC 6455 for one page pushing frames: no extensions, and
+// fragmented messages are joined before they're read.
+const wsFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([0x80 | opcode, length])
+      : Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff]);
+  return Buffer.concat([header, payload]);
+};
+
+const acceptSocket = (socket, onMessage) => {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentType = 0;
+  const close = (code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(wsFrame(0x8, payload));
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const opcode = buffer[0] & 0x0f;
+      const final = Boolean(buffer[0] & 0x80);
+      const masked = Boolean(buffer[1] & 0x80);
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked || length > MAX_MESSAGE_BYTES) {
+        close(masked ? 1009 : 1002);
+        return;
+      }
+      if (buffer.length < offset + 4 + length) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let idx = 0; idx < payload.length; idx++) payload[idx] ^= mask[idx % 4];
+      buffer = buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) {
+        socket.end(wsFrame(0x8));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(wsFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) continue;
+      if (opcode !== 0x0) fragmentType = opcode;
+      fragments.push(payload);
+      if (!final) continue;
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      onMessage(fragmentType === 0x1 ? message.toString("utf8") : new Uint8Array(message));
+    }
+  });
+};
+
+const serveWebSocket = (sink) => {
+  const port = Number(flags.port ?? 7890);
+  // Localhost by default: anything that can reach the port can drive the panel.
+  const host = flags.host ?? "127.0.0.1";
+  // Browsers let any page open a WebSocket, so only the player's origins get in.
+  const origins = flags["allow-origin"]?.split(",").map((origin) => origin.trim()) ?? DEFAULT_ORIGINS;
+  const server = http.createServer((_, response) => {
+    response.writeHead(426, { "Content-Type": "text/plain" });
+    response.end("Open the player with ?led=ws://localhost:7890 to stream frames here.\n");
+  });
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    // Scripts outside a browser send no Origin and can reach the port anyway.
+    const { origin } = request.headers;
+    if (origin && !origins.includes(origin)) {
+      console.warn(`Refused a player from ${origin}; add it with --allow-origin.`);
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      `HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    console.log(`Player connected from ${request.headers.origin ?? socket.remoteAddress}`);
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => console.log("Player disconnected"));
+    let warned = false;
+    acceptSocket(socket, (message) => {
+      try {
+        sink(decodeGridFrame(message));
+      } catch (error) {
+        if (!(error instanceof LedError)) throw error;
+        if (!warned) console.warn(`Ignoring bad frame: ${error.message}`);
+        warned = true;
+      }
+    });
+  });
+  server.listen(port, host, () => console.log(`Waiting for the player on ws://${host}:${port}`));
+  return () => server.close();
+};
+
+// Runs one pattern from the bridge itself, for panels without a browser nearby.
+const playPattern = (sink, grid) => {
+  const id = flags.pattern;
+  const sources = loadHypnoSources(path.join(ROOT, "patterns"));
+  const pattern = buildPatterns(grid, undefined, { sources }).find((entry) => entry.id === id);
+  if (!pattern) fail(`unknown pattern "${id}" on ${gridKey(grid)}.`);
+  const theme = flags.color
+    ? COLOR_THEMES.find((entry) => entry.id === flags.color) ??
+      fail(`unknown color "${flags.color}". Use ${COLOR_THEMES.map((entry) => entry.id).join(", ")}.`)
+    : pattern.defaultColorTheme ?? null;
+  const fps = Number(flags.fps ?? 30);
+  const speed = Number(flags.speed ?? 1);
+  if (!(fps > 0 && fps <= 120)) fail(`--fps must be between 1 and 120, got "${flags.fps}".`);
+  if (!(speed > 0)) fail(`--speed must be above 0, got "${flags.speed}".`);
+  const start = performance.now();
+  const timer = setInterval(() => {
+    const { intensities, colors } = computeFrame((performance.now() - start) * speed, pattern, theme);
+    sink({ grid, intensities, colors, rgb: theme?.rgb });
+  }, 1000 / fps);
+  return () => clearInterval(timer);
+};
+
+const main = () => {
+  const options = ledOptions();
+  const grid = flags.grid ? parseGrid(flags.grid) : null;
+  const target = openOutput(flags.out, options);
+  const sink = createSink(target, grid);
+  const stop = flags.pattern ? playPattern(sink, grid ?? parseGrid("")) : serveWebSocket(sink);
+
+  // Leave the panel dark rather than frozen on the last frame.
+  process.on("SIGINT", () => {
+    stop();
+    sink.blank();
+    setTimeout(() => {
+      target.close();
+      process.exit(0);
+    }, 50);
+  });
+};
+
+main();
@@ -0,0 +1,182 @@
+import { clamp01, stepTimes } from "./evaluate.js";
+
+export const AUDIO_SYNC_MODES = ["onset", "level"];
+
+export const AUDIO_DEFAULTS = {
+  // RMS in dBFS mapped onto level 0..1.
+  floorDb: -50,
+  ceilingDb: -12,
+  attackMs: 15,
+  releaseMs: 250,
+  // An onset is a frame this many times louder than the recent average.
+  sensitivity: 1.8,
+  historyMs: 400,
+  minOnsetGapMs: 120,
+  // Quietest intensity multiplier, so silence dims the grid without blanking it.
+  intensityFloor: 0.2,
+};
+
+export class WavError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WavError";
+  }
+}
+
+const SAMPLE_READERS = {
+  "1:8": (view, offset) => (view.getUint8(offset) - 128) / 128,
+  "1:16": (view, offset) => view.getInt16(offset, true) / 32768,
+  "1:24": (view, offset) =>
+    ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608,
+  "1:32": (view, offset) => view.getInt32(offset, true) / 2147483648,
+  "3:32": (view, offset) => view.getFloat32(offset, true),
+  "3:64": (view, offset) => view.getFloat64(offset, true),
+};
+
+const chunkId = (view, offset) =>
+  String.fromCharCode(...[0, 1, 2, 3].map((idx) => view.getUint8(offset + idx)));
+
+/**
+ * Decodes PCM or float WAV bytes into `{ sampleRate, channels, samples }`,
+ * with `samples` mixed down to one Float32Array channel.
+ */
+export const decodeWav = (bytes) => {
+  const buffer = bytes instanceof ArrayBuffer ? bytes : bytes.buffer;
+  const view = new DataView(buffer, bytes.byteOffset ?? 0, bytes.byteLength);
+  if (view.byteLength < 12 || chunkId(view, 0) !== "RIFF" || chunkId(view, 8) !== "WAVE") {
+    throw new WavError("not a RIFF/WAVE file.");
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= view.byteLength; ) {
+    const id = chunkId(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      const tag = view.getUint16(body, true);
+      format = {
+        // WAVE_FORMAT_EXTENSIBLE keeps the real tag in its sub-format GUID.
+        tag: tag === 0xfffe ? view.getUint16(body + 24, true) : tag,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    offset = body + size + (size % 2);
+  }
+  if (!format || !data) throw new WavError("missing fmt or data chunk.");
+
+  const read = SAMPLE_READERS[`${format.tag}:${format.bits}`];
+  if (!read) {
+    throw new WavError(`unsupported sample format ${format.tag} at ${format.bits} bits.`);
+  }
+  const { channels, sampleRate } = format;
+  const bytesPerFrame = (format.bits / 8) * channels;
+  const samples = new Float32Array(Math.floor(data.size / bytesPerFrame));
+  for (let frame = 0; frame < samples.length; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(view, data.offset + frame * bytesPerFrame + (channel * format.bits) / 8);
+    }
+    samples[frame] = sum / channels;
+  }
+  return { sampleRate, channels, samples };
+};
+
+const rmsOf = (samples) => {
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+};
+
+const toDb = (rms) => (rms > 0 ? 20 * Math.log10(rms) : -Infinity);
+
+/**
+ * Follows the loudness of successive sample frames, e.g. from an
+ * AnalyserNode's getFloatTimeDomainData. `process(samples, elapsedMs)`
+ * returns `{ timeMs, rms, level, onset }`: `level` is a smoothed 0..1
+ * loudness and `onset` marks a sudden rise such as a beat or syllable.
+ * `elapsedMs` defaults to the frame's duration at `sampleRate`.
+ */
+export const createAudioAnalyzer = ({ sampleRate = 48000, ...options } = {}) => {
+  const { floorDb, ceilingDb, attackMs, releaseMs, sensitivity, historyMs, minOnsetGapMs } = {
+    ...AUDIO_DEFAULTS,
+    ...options,
+  };
+  let timeMs = 0;
+  let level = 0;
+  let lastOnset = -Infinity;
+  let history = [];
+
+  return {
+    process(samples, elapsedMs = (samples.length / sampleRate) * 1000) {
+      timeMs += elapsedMs;
+      const rms = rmsOf(samples);
+      const db = toDb(rms);
+      const target = clamp01((db - floorDb) / (ceilingDb - floorDb));
+      const tau = target > level ? attackMs : releaseMs;
+      level += (target - level) * (1 - Math.exp(-elapsedMs / tau));
+
+      history = history.filter((entry) => timeMs - entry.timeMs <= historyMs);
+      const average = history.length
+        ? history.reduce((sum, entry) => sum + entry.rms, 0) / history.length
+        : 0;
+      const onset =
+        db > floorDb && rms > average * sensitivity && timeMs - lastOnset >= minOnsetGapMs;
+      if (onset) lastOnset = timeMs;
+      history.push({ timeMs, rms });
+
+      return { timeMs, rms, level, onset };
+    },
+    reset() {
+      timeMs = 0;
+      level = 0;
+      lastOnset = -Infinity;
+      history = [];
+    },
+  };
+};
+
+/** Runs a whole recording through createAudioAnalyzer in `frameSize` chunks. */
+export const analyzeSamples = (samples, sampleRate, { frameSize = 1024, ...options } = {}) => {
+  const analyzer = createAudioAnalyzer({ sampleRate, ...options });
+  const frames = [];
+  for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+    frames.push(analyzer.process(samples.subarray(start, start + frameSize)));
+  }
+  return frames;
+};
+
+const nextStepStart = (pattern, tLoop) =>
+  stepTimes(pattern).find((time) => time > tLoop) ?? pattern.loopMs;
+
+/**
+ * Advances pattern time by one frame of audio analysis. In "onset" mode steps
+ * only change on onsets (each jumps to the next step) while the current
+ * step's pulse keeps playing; in "level" mode time runs at `speed` x level.
+ */
+export const advanceWithAudio = (
+  pattern,
+  t,
+  elapsedMs,
+  { level, onset },
+  { mode = "onset", speed = 1 } = {}
+) => {
+  const { loopMs } = pattern;
+  if (mode === "level") return t + elapsedMs * speed * level;
+  const loopStart = Math.floor(t / loopMs) * loopMs;
+  const boundary = loopStart + nextStepStart(pattern, t - loopStart);
+  if (onset) return boundary;
+  // Stop just short of the next step until an onset lets it through.
+  return Math.min(t + elapsedMs * speed, boundary - 1);
+};
+
+/** Scales a frame's intensities by audio `level`, keeping `floor` at silence. */
+export const modulateIntensities = (
+  intensities,
+  level,
+  floor = AUDIO_DEFAULTS.intensityFloor
+) => intensities.map((value) => value * (floor + (1 - floor) * clamp01(level)));
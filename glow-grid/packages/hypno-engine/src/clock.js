@@ -0,0 +1,67 @@
+const defaultScheduler = () => {
+  if (typeof requestAnimationFrame === "function") {
+    return {
+      request: (callback) => requestAnimationFrame(callback),
+      cancel: (handle) => cancelAnimationFrame(handle),
+    };
+  }
+  return {
+    request: (callback) => setTimeout(() => callback(performance.now()), 16),
+    cancel: (handle) => clearTimeout(handle),
+  };
+};
+
+/**
+ * Shared clock that ticks subscribers with elapsed time quantized to `fps`.
+ * Runs only while someone is subscribed; pass `scheduler` and `now` to drive
+ * it outside the browser (Node timers, tests, LED controllers).
+ */
+export const createClock = ({
+  fps = 60,
+  now = () => performance.now(),
+  scheduler = defaultScheduler(),
+} = {}) => {
+  const listeners = new Set();
+  let handle = 0;
+  let running = false;
+  let start = 0;
+  let last = 0;
+  const frameMs = 1000 / fps;
+
+  const tick = () => {
+    if (!listeners.size) {
+      running = false;
+      return;
+    }
+    const current = now();
+    if (current - last >= frameMs) {
+      const elapsed = current - start;
+      const quantized = Math.floor(elapsed / frameMs) * frameMs;
+      for (const listener of listeners) listener(quantized);
+      last = current;
+    }
+    handle = scheduler.request(tick);
+  };
+
+  const startClock = () => {
+    if (running) return;
+    running = true;
+    start = now();
+    last = start;
+    handle = scheduler.request(tick);
+  };
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      if (listeners.size === 1) startClock();
+      return () => {
+        listeners.delete(listener);
+        if (!listeners.size && running) {
+          scheduler.cancel(handle);
+          running = false;
+        }
+      };
+    },
+  };
+};
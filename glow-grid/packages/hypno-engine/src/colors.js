@@ -0,0 +1,48 @@
+export const GRADIENT_MODES = ["x", "y", "diagonal", "radial", "time"];
+
+const RGB_PATTERN = /^\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*$/;
+
+/** Parses an "r, g, b" string into channels, or null when malformed. */
+export const parseRgb = (value) => {
+  const match = typeof value === "string" ? RGB_PATTERN.exec(value) : null;
+  if (!match) return null;
+  const channels = match.slice(1).map(Number);
+  return channels.some((channel) => channel > 255) ? null : channels;
+};
+
+export const normalizeRgb = (value) => parseRgb(value)?.join(", ") ?? null;
+
+const mixRgb = (from, to, t) =>
+  from.map((channel, i) => Math.round(channel + (to[i] - channel) * t)).join(", ");
+
+/**
+ * Samples evenly spaced stops at `position` (0..1). Cyclic gradients blend the
+ * last stop back into the first so time sweeps loop without a jump.
+ */
+export const sampleStops = (stops, position, cyclic = false) => {
+  const channels = stops.map(parseRgb);
+  if (channels.length === 1) return stops[0];
+  const segments = cyclic ? channels.length : channels.length - 1;
+  const x = cyclic ? ((position % 1) + 1) % 1 : Math.max(0, Math.min(1, position));
+  const scaled = x * segments;
+  const index = Math.min(Math.floor(scaled), segments - 1);
+  return mixRgb(channels[index], channels[(index + 1) % channels.length], scaled - index);
+};
+
+/** 0..1 position of a cell along a gradient; "time" follows the loop phase instead. */
+export const gradientPosition = (mode, idx, { cols, rows }, phase) => {
+  const x = cols > 1 ? (idx % cols) / (cols - 1) : 0;
+  const y = rows > 1 ? Math.floor(idx / cols) / (rows - 1) : 0;
+  switch (mode) {
+    case "x":
+      return x;
+    case "y":
+      return y;
+    case "diagonal":
+      return (x + y) / 2;
+    case "radial":
+      return Math.min(1, Math.hypot(x - 0.5, y - 0.5) / Math.SQRT1_2);
+    default:
+      return phase;
+  }
+};
@@ -0,0 +1,289 @@
+import { ENVELOPES, normalizeEnvelope } from "./envelopes.js";
+import { DEFAULT_PULSE_MS, stepTimes } from "./evaluate.js";
+import { gridKey } from "./grid.js";
+
+export const BLEND_MODES = ["max", "add", "multiply"];
+export const SPEED_FACTOR_RANGE = { min: 0.125, max: 8 };
+// Layers loop together over the least common multiple of their loops.
+export const MAX_LAYER_LOOP_MS = 60000;
+
+export class CompositionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CompositionError";
+  }
+}
+
+const derive = (pattern, token) => `${pattern.id}|${token}`;
+
+// Cell maps take (row, col) in `grid` and return [row, col] in the output grid.
+const CELL_MAPS = {
+  turn: {
+    grid: ({ cols, rows }) => ({ cols: rows, rows: cols }),
+    cell: (r, c, { rows }) => [c, rows - 1 - r],
+  },
+  mirrorX: { grid: (grid) => grid, cell: (r, c, { cols }) => [r, cols - 1 - c] },
+  mirrorY: { grid: (grid) => grid, cell: (r, c, { rows }) => [rows - 1 - r, c] },
+};
+
+const reverseStops = (gradient) => ({ ...gradient, stops: [...gradient.stops].reverse() });
+
+// x/y gradients follow the cells; diagonal has no mirrored mode, radial and
+// time don't change.
+const GRADIENT_MAPS = {
+  turn: {
+    x: (gradient) => ({ ...gradient, mode: "y" }),
+    y: (gradient) => reverseStops({ ...gradient, mode: "x" }),
+  },
+  mirrorX: { x: reverseStops },
+  mirrorY: { y: reverseStops },
+};
+
+const remapCells = (pattern, kind) => {
+  const map = CELL_MAPS[kind];
+  const grid = map.grid(pattern.grid);
+  if (pattern.layers) {
+    return { ...pattern, grid, layers: pattern.layers.map((layer) => remapCells(layer, kind)) };
+  }
+
+  const { cols } = pattern.grid;
+  const move = (idx) => {
+    const [row, col] = map.cell(Math.floor(idx / cols), idx % cols, pattern.grid);
+    return row * grid.cols + col;
+  };
+  const stepColors = pattern.stepColors?.map((entry) => {
+    if (!Array.isArray(entry)) return entry;
+    const moved = [];
+    entry.forEach((color, idx) => {
+      moved[move(idx)] = color;
+    });
+    return moved;
+  });
+  const gradientMap = pattern.gradient && GRADIENT_MAPS[kind][pattern.gradient.mode];
+
+  return {
+    ...pattern,
+    grid,
+    frames: pattern.frames.map((cells) => cells.map(move).sort((a, b) => a - b)),
+    ...(stepColors ? { stepColors } : {}),
+    ...(gradientMap ? { gradient: gradientMap(pattern.gradient) } : {}),
+  };
+};
+
+/** Plays the steps in reverse order, like the hand-built `-ccw` variants. */
+export const reversePattern = (pattern) => {
+  const id = derive(pattern, "reverse");
+  if (pattern.layers) {
+    return { ...pattern, id, label: id, layers: pattern.layers.map(reversePattern) };
+  }
+  const times = pattern.times && stepTimes(pattern);
+  return {
+    ...pattern,
+    id,
+    label: id,
+    frames: [...pattern.frames].reverse(),
+    ...(times ? { times: [...times].reverse().map((time) => times.at(-1) - time) } : {}),
+    ...(pattern.stepColors ? { stepColors: [...pattern.stepColors].reverse() } : {}),
+  };
+};
+
+/** Rotates clockwise by `quarterTurns` x 90°; odd turns swap cols and rows. */
+export const rotatePattern = (pattern, quarterTurns = 1) => {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  let rotated = pattern;
+  for (let i = 0; i < turns; i++) rotated = remapCells(rotated, "turn");
+  const id = derive(pattern, `rotate${turns * 90}`);
+  return { ...rotated, id, label: id };
+};
+
+/** `axis` "x" flips left-right, "y" flips top-bottom. */
+export const mirrorPattern = (pattern, axis = "x") => {
+  const kind = axis === "y" ? "mirrorY" : "mirrorX";
+  const id = derive(pattern, kind);
+  return { ...remapCells(pattern, kind), id, label: id };
+};
+
+const scaleEnvelope = (envelope, factor) => {
+  const timeParams = ENVELOPES[envelope?.type]?.timeParams;
+  if (!timeParams) return envelope;
+  const scaled = { ...envelope };
+  timeParams.forEach((key) => {
+    scaled[key] = envelope[key] / factor;
+  });
+  return normalizeEnvelope(scaled);
+};
+
+const scaleTiming = (pattern, factor) => {
+  const scaled = { ...pattern, beatMs: pattern.beatMs / factor, loopMs: pattern.loopMs / factor };
+  if (pattern.layers) {
+    return { ...scaled, layers: pattern.layers.map((layer) => scaleTiming(layer, factor)) };
+  }
+  return {
+    ...scaled,
+    pulseMs: (pattern.pulseMs ?? DEFAULT_PULSE_MS) / factor,
+    ...(pattern.times ? { times: pattern.times.map((time) => time / factor) } : {}),
+    ...(pattern.envelope ? { envelope: scaleEnvelope(pattern.envelope, factor) } : {}),
+  };
+};
+
+/** `factor` 2 plays twice as fast: beats, pulses and ADSR times all shrink. */
+export const scaleSpeed = (pattern, factor) => {
+  const { min, max } = SPEED_FACTOR_RANGE;
+  if (!(factor >= min && factor <= max)) {
+    throw new CompositionError(`speed must be between ${min} and ${max}, got ${factor}.`);
+  }
+  const id = derive(pattern, `speed(${factor})`);
+  return { ...scaleTiming(pattern, factor), id, label: id };
+};
+
+const expectSameGrid = (a, b, operator) => {
+  if (gridKey(a.grid) !== gridKey(b.grid)) {
+    throw new CompositionError(
+      `${operator} needs both patterns on one grid, got ${gridKey(a.grid)} and ${gridKey(b.grid)}.`
+    );
+  }
+};
+
+/**
+ * Plays `a` then `b`. Steps keep their own beat, so mixed tempos get explicit
+ * step `times`; `b` takes on `a`'s envelope.
+ */
+export const sequencePatterns = (a, b) => {
+  if (a.layers || b.layers) {
+    throw new CompositionError("then() works on step patterns; apply max, add or multiply after it.");
+  }
+  expectSameGrid(a, b, "then()");
+  const uniform = a.beatMs === b.beatMs && !a.times && !b.times;
+  const colorsOf = (pattern) => pattern.stepColors ?? pattern.frames.map(() => null);
+  const id = derive(a, `then(${b.id})`);
+  return {
+    ...a,
+    id,
+    label: id,
+    frames: [...a.frames, ...b.frames],
+    loopMs: a.loopMs + b.loopMs,
+    ...(uniform
+      ? {}
+      : { times: [...stepTimes(a), ...stepTimes(b).map((time) => time + a.loopMs)] }),
+    ...(a.stepColors || b.stepColors ? { stepColors: [...colorsOf(a), ...colorsOf(b)] } : {}),
+    ...(a.gradient || b.gradient ? { gradient: a.gradient ?? b.gradient } : {}),
+  };
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Loops can be fractional after a speed change, so this works in µs.
+const lcmMs = (a, b) => {
+  const x = Math.round(a * 1000);
+  const y = Math.round(b * 1000);
+  return ((x / gcd(x, y)) * y) / 1000;
+};
+
+/** Plays `a` and `b` at once, combining intensities with a BLEND_MODES entry. */
+export const layerPatterns = (a, b, blend = "max") => {
+  if (!BLEND_MODES.includes(blend)) {
+    throw new CompositionError(`unknown blend "${blend}". Use ${BLEND_MODES.join(", ")}.`);
+  }
+  expectSameGrid(a, b, `${blend}()`);
+  const loopMs = lcmMs(a.loopMs, b.loopMs);
+  if (loopMs > MAX_LAYER_LOOP_MS) {
+    throw new CompositionError(
+      `${a.id} and ${b.id} only line up every ${Math.round(loopMs)}ms; ` +
+        `try speed() so their loops share a multiple under ${MAX_LAYER_LOOP_MS}ms.`
+    );
+  }
+  const id = derive(a, `${blend}(${b.id})`);
+  return {
+    id,
+    label: id,
+    category: a.category,
+    grid: a.grid,
+    layers: [a, b],
+    blend,
+    beatMs: Math.min(a.beatMs, b.beatMs),
+    loopMs,
+  };
+};
+
+/** `arg` is "number" or "pattern" for operators written as `name(arg)`. */
+export const PATTERN_OPERATORS = {
+  reverse: { label: "Reverse", apply: (pattern) => reversePattern(pattern) },
+  rotate90: { label: "Rotate 90°", apply: (pattern) => rotatePattern(pattern, 1) },
+  rotate180: { label: "Rotate 180°", apply: (pattern) => rotatePattern(pattern, 2) },
+  rotate270: { label: "Rotate 270°", apply: (pattern) => rotatePattern(pattern, 3) },
+  mirrorX: { label: "Mirror X", apply: (pattern) => mirrorPattern(pattern, "x") },
+  mirrorY: { label: "Mirror Y", apply: (pattern) => mirrorPattern(pattern, "y") },
+  speed: { label: "Speed", arg: "number", apply: scaleSpeed },
+  then: { label: "Then", arg: "pattern", apply: sequencePatterns },
+  ...Object.fromEntries(
+    BLEND_MODES.map((blend) => [
+      blend,
+      { label: `Layer (${blend})`, arg: "pattern", apply: (a, b) => layerPatterns(a, b, blend) },
+    ])
+  ),
+};
+
+const ID_SYNTAX = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const STEP_SYNTAX = /^([A-Za-z][A-Za-z0-9]*)(?:\(([\s\S]*)\))?$/;
+
+// Splits on `|` outside parentheses, so arguments can be pipelines themselves.
+const splitSteps = (text) => {
+  const steps = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(") depth += 1;
+    else if (text[i] === ")") depth -= 1;
+    else if (text[i] === "|" && depth === 0) {
+      steps.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+    if (depth < 0) break;
+  }
+  if (depth !== 0) throw new CompositionError(`unbalanced parentheses in "${text}".`);
+  steps.push(text.slice(start).trim());
+  return steps;
+};
+
+const parseStep = (step) => {
+  const match = STEP_SYNTAX.exec(step);
+  const operator = match && Object.hasOwn(PATTERN_OPERATORS, match[1]) && PATTERN_OPERATORS[match[1]];
+  if (!operator) {
+    throw new CompositionError(
+      `unknown operator "${step}". Use ${Object.keys(PATTERN_OPERATORS).join(", ")}.`
+    );
+  }
+  const [, name, arg] = match;
+  if (!operator.arg) {
+    if (arg !== undefined) throw new CompositionError(`${name} takes no argument.`);
+    return { name };
+  }
+  if (!arg?.trim()) {
+    throw new CompositionError(`${name}() needs ${operator.arg === "pattern" ? "a pattern" : "a number"}.`);
+  }
+  return { name, arg: operator.arg === "pattern" ? parsePatternExpression(arg) : Number(arg) };
+};
+
+/** Parses `id|op|op(arg)` into `{ source, ops: [{ name, arg }] }`. */
+export const parsePatternExpression = (text) => {
+  const [source, ...steps] = splitSteps(String(text ?? ""));
+  if (!ID_SYNTAX.test(source)) throw new CompositionError(`"${source}" is not a pattern id.`);
+  return { source, ops: steps.map(parseStep) };
+};
+
+/**
+ * Builds a derived pattern from an expression such as
+ * `ring-2-cw|rotate90|mirrorX|max(pulse|speed(2))`. `resolve(id)` returns a
+ * source pattern or null. The result's id is the canonical expression.
+ */
+export const composePattern = (expression, resolve) => {
+  const build = ({ source, ops }) => {
+    const base = resolve(source);
+    if (!base) throw new CompositionError(`unknown pattern "${source}".`);
+    return ops.reduce((pattern, { name, arg }) => {
+      const operator = PATTERN_OPERATORS[name];
+      return operator.apply(pattern, operator.arg === "pattern" ? build(arg) : arg);
+    }, base);
+  };
+  return build(typeof expression === "string" ? parsePatternExpression(expression) : expression);
+};
@@ -0,0 +1,277 @@
+import { clamp01, computeFrame } from "./evaluate.js";
+import { gridKey } from "./grid.js";
+import { COLOR_THEMES } from "./themes.js";
+
+export const TRANSITION_TYPES = ["cut", "crossfade", "finish"];
+export const DEFAULT_TRANSITION = { type: "crossfade", durationMs: 300 };
+export const CONTROLLER_EVENTS = ["change", "loop", "oneshotend"];
+
+export class ControllerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ControllerError";
+  }
+}
+
+const isRecord = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Layered patterns carry `layers` in place of `frames`.
+const isPattern = (value) =>
+  isRecord(value) &&
+  (Array.isArray(value.frames) || Array.isArray(value.layers)) &&
+  isRecord(value.grid) &&
+  value.grid.cols > 0 &&
+  value.grid.rows > 0 &&
+  Number.isFinite(value.loopMs);
+
+const defaultResolveTheme = (color) => COLOR_THEMES.find((theme) => theme.id === color) ?? null;
+
+// Accepts "cut", "crossfade", "finish" or `{ type, durationMs }`.
+const normalizeTransition = (transition, fallback) => {
+  const spec = typeof transition === "string" ? { type: transition } : { ...fallback, ...transition };
+  if (!TRANSITION_TYPES.includes(spec.type)) {
+    throw new ControllerError(
+      `unknown transition "${spec.type}". Use ${TRANSITION_TYPES.join(", ")}.`
+    );
+  }
+  const durationMs = Number(spec.durationMs ?? fallback.durationMs);
+  return { type: spec.type, durationMs: Number.isFinite(durationMs) ? Math.max(0, durationMs) : 0 };
+};
+
+const localTime = (entry, t) => (t - entry.startMs) * entry.speed;
+
+const sampleEntry = (entry, t) => {
+  const { intensities, colors } = computeFrame(localTime(entry, t), entry.pattern, entry.theme);
+  return { intensities, colors: colors ?? intensities.map(() => entry.theme?.rgb ?? null) };
+};
+
+/**
+ * Drives one grid from named application states, e.g.
+ * `{ idle: { pattern: "pulse", color: "ice" }, speaking: { pattern: "ring-2-cw" } }`.
+ * A state's `pattern` is an id passed to `resolve` or a pattern object, `color`
+ * a theme id (or whatever `resolveTheme` understands) and `speed` a multiplier.
+ *
+ * Time comes from the caller: `frame(t)` advances to `t` and returns the mixed
+ * `{ intensities, colors, state, active }`. `setState` switches with a cut, a
+ * crossfade or once the current loop finishes; `playOnce` queues a pattern for
+ * `loops` loops before returning to the current state. `on(type, listener)`
+ * subscribes to "change", "loop" and "oneshotend" and returns an unsubscribe.
+ * `limitSpeed(speed, pattern, theme)` can slow each state or one-shot as it
+ * starts, e.g. to keep it under a flash limit.
+ */
+export const createGridController = ({
+  states,
+  initial = Object.keys(states ?? {})[0],
+  resolve = () => null,
+  resolveTheme = defaultResolveTheme,
+  transition = DEFAULT_TRANSITION,
+  limitSpeed = (speed) => speed,
+} = {}) => {
+  const defaults = normalizeTransition(transition, DEFAULT_TRANSITION);
+  const listeners = new Map(CONTROLLER_EVENTS.map((type) => [type, new Set()]));
+  let stateSpecs = {};
+  let grid = null;
+  let base = null;
+  let active = null;
+  let pending = null;
+  let fade = null;
+  let queue = [];
+  let lastT = null;
+
+  const emit = (type, detail) => {
+    for (const listener of listeners.get(type)) listener(detail);
+  };
+
+  const createEntry = (name, spec, kind) => {
+    if (!isRecord(spec)) throw new ControllerError(`"${name}" needs { pattern, color, speed }.`);
+    const byId = typeof spec.pattern === "string";
+    const pattern = byId ? resolve(spec.pattern) : spec.pattern;
+    if (byId && !pattern) throw new ControllerError(`"${name}" has no pattern "${spec.pattern}".`);
+    if (!isPattern(pattern)) {
+      throw new ControllerError(`"${name}" needs a pattern id or a pattern with frames, grid and loopMs.`);
+    }
+    // Crossfades mix cell by cell, so every pattern shares the first one's grid.
+    if (grid && gridKey(pattern.grid) !== gridKey(grid)) {
+      throw new ControllerError(
+        `"${name}" is on ${gridKey(pattern.grid)} but the controller runs ${gridKey(grid)}.`
+      );
+    }
+    const theme = typeof spec.color === "string" ? resolveTheme(spec.color) : spec.color ?? null;
+    const speed = Number(spec.speed ?? 1);
+    if (!(speed > 0)) throw new ControllerError(`"${name}" needs a speed above 0.`);
+    return { kind, name, pattern, theme, speed: limitSpeed(speed, pattern, theme), startMs: lastT, count: 0 };
+  };
+
+  const stateEntry = (name) => {
+    if (!Object.hasOwn(stateSpecs, name)) {
+      throw new ControllerError(`unknown state "${name}". Use ${Object.keys(stateSpecs).join(", ")}.`);
+    }
+    return createEntry(name, stateSpecs[name], "state");
+  };
+
+  const switchTo = (entry, spec, at) => {
+    const previous = active;
+    fade =
+      previous && spec.type === "crossfade" && spec.durationMs > 0 && at !== null
+        ? { from: previous, startMs: at, durationMs: spec.durationMs }
+        : null;
+    active = { ...entry, startMs: at, count: 0 };
+    pending = null;
+    emit("change", { from: previous?.name ?? null, to: entry.name, oneShot: entry.kind === "oneshot" });
+  };
+
+  // Queued one-shots play first, then the current state comes back from t=0
+  // the way the one-shot came in.
+  const nextAfterOneShot = (ended) => {
+    const [next, ...rest] = queue;
+    queue = rest;
+    return next ?? { entry: stateEntry(base.name), spec: ended.spec };
+  };
+
+  const request = (entry, spec) => {
+    if (spec.type === "finish" && active && lastT !== null) {
+      pending = { entry, spec: { ...spec, type: "cut" } };
+    } else {
+      switchTo(entry, spec, lastT);
+    }
+  };
+
+  const update = (t) => {
+    if (lastT === null) {
+      lastT = t;
+      if (active.startMs === null) active.startMs = t;
+      return;
+    }
+    if (t < lastT) {
+      // Time went backwards (a seek): keep every entry's position.
+      const shift = t - lastT;
+      for (const entry of [active, fade?.from]) if (entry) entry.startMs += shift;
+      if (fade) fade.startMs += shift;
+      lastT = t;
+      return;
+    }
+    lastT = t;
+    while (active.pattern.loopMs > 0) {
+      const loops = Math.floor(localTime(active, t) / active.pattern.loopMs);
+      if (loops <= active.count) break;
+      active.count += 1;
+      const boundary = active.startMs + (active.count * active.pattern.loopMs) / active.speed;
+      emit("loop", { state: base.name, active: active.name, count: active.count });
+      if (active.kind === "oneshot" && active.count >= active.loops) {
+        const ended = active;
+        const { entry, spec } = nextAfterOneShot(ended);
+        // Already on a loop boundary, so "finish" has nothing left to wait for.
+        switchTo(entry, spec.type === "finish" ? { ...spec, type: "cut" } : spec, boundary);
+        emit("oneshotend", { pattern: ended.name, state: base.name });
+      } else if (pending) {
+        switchTo(pending.entry, pending.spec, boundary);
+      }
+    }
+    if (fade && t - fade.startMs >= fade.durationMs) fade = null;
+  };
+
+  const controller = {
+    get state() {
+      return base.name;
+    },
+    get active() {
+      return active.name;
+    },
+    get grid() {
+      return grid;
+    },
+    get states() {
+      return Object.keys(stateSpecs);
+    },
+    /** Replaces the state table, keeping the current state if it still exists. */
+    configure(nextStates, nextInitial = Object.keys(nextStates ?? {})[0]) {
+      if (!isRecord(nextStates) || !Object.keys(nextStates).length) {
+        throw new ControllerError("a controller needs at least one state.");
+      }
+      const previous = { stateSpecs, grid };
+      stateSpecs = { ...nextStates };
+      const name = base && Object.hasOwn(stateSpecs, base.name) ? base.name : nextInitial;
+      let entry;
+      try {
+        grid = null;
+        entry = stateEntry(name);
+        grid = entry.pattern.grid;
+        Object.keys(stateSpecs).forEach((state) => stateEntry(state));
+      } catch (error) {
+        ({ stateSpecs, grid } = previous);
+        throw error;
+      }
+      base = entry;
+      queue = [];
+      switchTo(entry, { ...defaults, type: "cut" }, lastT);
+    },
+    setState(name, transitionSpec) {
+      const spec = normalizeTransition(transitionSpec, defaults);
+      const entry = stateEntry(name);
+      base = entry;
+      // A running or pending one-shot returns to the new state when it ends.
+      if (active.kind === "oneshot" || pending?.entry.kind === "oneshot") return;
+      if (active.name === name) {
+        pending = null;
+        return;
+      }
+      request(entry, spec);
+    },
+    /** `target` is a state name, a pattern id or `{ pattern, color, speed }`. */
+    playOnce(target, { loops = 1, transition: transitionSpec } = {}) {
+      const spec = normalizeTransition(transitionSpec, defaults);
+      const count = Math.max(1, Math.round(Number(loops) || 1));
+      const fromState = typeof target === "string" && Object.hasOwn(stateSpecs, target);
+      const source = fromState
+        ? stateSpecs[target]
+        : typeof target === "string"
+          ? { pattern: target, color: stateSpecs[base.name].color }
+          : target;
+      const name =
+        typeof target === "string"
+          ? target
+          : typeof source?.pattern === "string"
+            ? source.pattern
+            : source?.pattern?.id ?? "oneshot";
+      const entry = { ...createEntry(name, source, "oneshot"), loops: count, spec };
+      if (active.kind === "oneshot" || pending?.entry.kind === "oneshot") queue.push({ entry, spec });
+      else request(entry, spec);
+    },
+    /** Drops queued one-shots and a pending "finish" switch. */
+    clearQueue() {
+      queue = [];
+      pending = null;
+    },
+    update,
+    frame(t) {
+      update(t);
+      const current = sampleEntry(active, t);
+      if (!fade) return { ...current, state: base.name, active: active.name };
+      const mix = clamp01((t - fade.startMs) / fade.durationMs);
+      const previous = sampleEntry(fade.from, t);
+      return {
+        intensities: current.intensities.map(
+          (value, idx) => previous.intensities[idx] * (1 - mix) + value * mix
+        ),
+        // Each cell keeps the color of whichever side lights it more.
+        colors: current.colors.map((color, idx) =>
+          current.intensities[idx] * mix >= previous.intensities[idx] * (1 - mix)
+            ? color
+            : previous.colors[idx]
+        ),
+        state: base.name,
+        active: active.name,
+      };
+    },
+    on(type, listener) {
+      if (!listeners.has(type)) {
+        throw new ControllerError(`unknown event "${type}". Use ${CONTROLLER_EVENTS.join(", ")}.`);
+      }
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+  };
+
+  controller.configure(states, initial);
+  return controller;
+};
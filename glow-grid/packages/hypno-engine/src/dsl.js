@@ -0,0 +1,396 @@
+import { DEFAULT_GRID, GRID_SIDE_RANGE, gridGeometry, gridKey, union } from "./grid.js";
+
+/*
+ * The .hypno text format, one pattern per line:
+ *
+ *   # comment
+ *   ring-2-cw: ring chase 2 cw @120ms category=ring label="Ring 2 cw"
+ *   blink: all rest @600ms
+ *   corners-then-x: corners then x pingpong @160ms
+ *   my-3x3: [0 4 8] [2 4 6] @150ms grid=3x3
+ *
+ * A pattern is one or more phrases joined by `then`. A phrase is a source
+ * (a named shape, or explicit cells in brackets) followed by modifiers.
+ * Indented lines continue the pattern above.
+ */
+
+export const HYPNO_BEAT_RANGE = { min: 20, max: 4000 };
+const DEFAULT_BEAT_MS = 140;
+const ID_SYNTAX = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const CATEGORY_SYNTAX = /^[a-z0-9][a-z0-9-]*$/;
+
+export const formatHypnoError = ({ file, line, column, message }) =>
+  `${file ? `${file}:` : ""}${line}:${column}: ${message}`;
+
+export class HypnoError extends Error {
+  constructor(errors) {
+    super(errors.map(formatHypnoError).join("\n"));
+    this.name = "HypnoError";
+    this.errors = errors;
+  }
+}
+
+// Cell orders become one step per cell unless chase, skip or stairs shape them.
+const ORDERS = {
+  ring: (g) => g.ring,
+  spiral: (g) => g.spiral,
+  corners: (g) => g.corners,
+  edges: (g) => g.edges,
+  scan: (g) => g.cells,
+  rain: (g) => g.colLines.flat(),
+  "snake-rows": (g) => g.snakeRowLR,
+  "snake-cols": (g) => g.snakeColTB,
+  "stair-path": (g) => g.stairPathTL,
+};
+
+const GROUPS = {
+  rows: (g) => g.rowLines,
+  cols: (g) => g.colLines,
+  layers: (g) => g.layers,
+  checker: (g) => g.checker,
+  diagonal: (g) => g.diagWaveTL,
+  antidiagonal: (g) => g.diagWaveTR,
+  quadrants: (g) => g.quadrants,
+  "row-layers": (g) => g.rowLayers,
+  "col-layers": (g) => g.colLayers,
+  all: (g) => [g.cells],
+  center: (g) => [g.center],
+  x: (g) => [g.diagonals],
+  rest: () => [[]],
+};
+
+const chase = (order, size) =>
+  order.map((_, i) => Array.from({ length: size }, (__, w) => order[(i + w) % order.length]));
+
+const skip = (order, step) => order.map((_, i) => [order[(i * step) % order.length]]);
+
+const stairs = (order, width) =>
+  Array.from({ length: order.length + width - 1 }, (_, i) =>
+    order.slice(Math.max(0, i - width + 1), i + 1)
+  );
+
+// `shape` modifiers turn a cell order into steps; the rest work on steps.
+const MODIFIERS = {
+  chase: { shape: chase, fallback: 1 },
+  skip: { shape: skip, fallback: 2 },
+  stairs: { shape: stairs, fallback: 3 },
+  each: { shape: (order) => order.map((cell) => [cell]) },
+  pingpong: { steps: (steps) => steps.concat(steps.slice(1, -1).reverse()) },
+  mirror: { steps: (steps) => steps.concat(steps.slice(0, -1).reverse()) },
+  repeat: {
+    steps: (steps, count) => Array.from({ length: count }, () => steps).flat(),
+    fallback: 2,
+  },
+};
+
+// Direction words only read better; the backward ones reverse the source.
+const FORWARD = new Set(["cw", "down", "right", "out", "forward"]);
+const BACKWARD = new Set(["ccw", "up", "left", "in", "reverse"]);
+
+const OPTION_KEYS = ["beat", "pulse", "category", "label", "grid"];
+
+const WORD = /[^\s"[\]#]+/y;
+
+const tokenizeLine = (text, line, report) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const column = i + 1;
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === "#") {
+      break;
+    } else if (char === '"' || char === "[") {
+      const close = char === '"' ? '"' : "]";
+      const end = text.indexOf(close, i + 1);
+      if (end === -1) {
+        report({ line, column }, `missing closing ${close}`);
+        break;
+      }
+      const inner = text.slice(i + 1, end);
+      if (char === '"') {
+        tokens.push({ type: "string", value: inner, line, column });
+      } else {
+        const cells = [...inner.matchAll(/[^\s,]+/g)].map((match) => ({
+          text: match[0],
+          line,
+          column: column + 1 + match.index,
+        }));
+        tokens.push({ type: "cells", cells, line, column });
+      }
+      i = end + 1;
+    } else if (char === "]") {
+      report({ line, column }, "unexpected ]");
+      i += 1;
+    } else {
+      WORD.lastIndex = i;
+      const value = WORD.exec(text)[0];
+      i += value.length;
+      // key="quoted value"
+      if (value.endsWith("=") && text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) {
+          report({ line, column: i + 1 }, 'missing closing "');
+          break;
+        }
+        tokens.push({ type: "word", value: value + text.slice(i + 1, end), line, column });
+        i = end + 1;
+      } else {
+        tokens.push({ type: "word", value, line, column });
+      }
+    }
+  }
+  return tokens;
+};
+
+const parseMs = (value) => {
+  const match = /^(\d+(?:\.\d+)?)(ms)?$/.exec(value);
+  return match ? Number(match[1]) : null;
+};
+
+const parseGridOption = (value) => {
+  const match = /^(\d+)x(\d+)$/.exec(value);
+  if (!match) return null;
+  const [cols, rows] = [Number(match[1]), Number(match[2])];
+  const inRange = (side) => side >= GRID_SIDE_RANGE.min && side <= GRID_SIDE_RANGE.max;
+  return inRange(cols) && inRange(rows) ? { cols, rows } : null;
+};
+
+const parseOption = (definition, token, report) => {
+  const at = token.value.indexOf("=");
+  const key = token.value.slice(0, at);
+  const value = token.value.slice(at + 1);
+  if (!OPTION_KEYS.includes(key)) {
+    report(token, `unknown option "${key}". Use ${OPTION_KEYS.join(", ")}`);
+  } else if (key === "beat" || key === "pulse") {
+    const ms = parseMs(value);
+    const { min, max } = HYPNO_BEAT_RANGE;
+    if (key === "beat" && !(ms >= min && ms <= max)) {
+      report(token, `beat must be ${min}-${max}ms, got "${value}"`);
+    } else if (key === "pulse" && !(ms > 0)) {
+      report(token, `pulse must be a length in ms, got "${value}"`);
+    } else {
+      definition[key === "beat" ? "beatMs" : "pulseMs"] = ms;
+    }
+  } else if (key === "category") {
+    if (CATEGORY_SYNTAX.test(value)) definition.category = value;
+    else report(token, `category must be lowercase letters, digits and -, got "${value}"`);
+  } else if (key === "label") {
+    definition.label = value;
+  } else {
+    const grid = parseGridOption(value);
+    const { min, max } = GRID_SIDE_RANGE;
+    if (grid) definition.grid = grid;
+    else report(token, `grid must be CxR with sides ${min}-${max}, got "${value}"`);
+  }
+};
+
+const parseDefinition = ([head, ...tokens], report) => {
+  const id = head.type === "word" && head.value.endsWith(":") ? head.value.slice(0, -1) : null;
+  if (!id || !ID_SYNTAX.test(id)) {
+    report(head, 'expected a pattern id followed by ":", e.g. "ring-2-cw: ring chase 2"');
+    return null;
+  }
+
+  const definition = {
+    id,
+    head,
+    phrases: [{ start: head, terms: [] }],
+    beatMs: DEFAULT_BEAT_MS,
+    category: "misc",
+  };
+  let phrase = definition.phrases[0].terms;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const { value } = token;
+    if (token.type === "cells") {
+      phrase.push({ kind: "cells", token });
+    } else if (token.type === "string") {
+      report(token, 'quoted text only works as label="..."');
+    } else if (value.startsWith("@")) {
+      parseOption(definition, { ...token, value: `beat=${value.slice(1)}` }, report);
+    } else if (value.includes("=")) {
+      parseOption(definition, token, report);
+    } else if (value === "then") {
+      phrase = [];
+      definition.phrases.push({ start: token, terms: phrase });
+    } else if (ORDERS[value] || GROUPS[value]) {
+      phrase.push({ kind: "source", name: value, token });
+    } else if (FORWARD.has(value) || BACKWARD.has(value)) {
+      phrase.push({ kind: "direction", backward: BACKWARD.has(value), token });
+    } else if (MODIFIERS[value]) {
+      const next = tokens[i + 1];
+      const count = next?.type === "word" && /^\d+$/.test(next.value) ? Number(next.value) : null;
+      if (count !== null) i += 1;
+      if (count === 0) report(next, `${value} needs a count of 1 or more`);
+      phrase.push({ kind: "modifier", name: value, count: count || MODIFIERS[value].fallback, token });
+    } else {
+      report(
+        token,
+        `unknown word "${value}". Shapes: ${[...Object.keys(ORDERS), ...Object.keys(GROUPS)].join(", ")}`
+      );
+    }
+  }
+  return definition;
+};
+
+/**
+ * Splits a .hypno source into pattern definitions. Errors are collected as
+ * `{ file, line, column, message }` rather than thrown.
+ */
+export const parseHypno = (source, { file = "" } = {}) => {
+  const errors = [];
+  const report = ({ line, column }, message) => errors.push({ file, line, column, message });
+  const groups = [];
+
+  String(source)
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const tokens = tokenizeLine(text, index + 1, report);
+      if (!tokens.length) return;
+      if (/^\s/.test(text) && groups.length) groups.at(-1).push(...tokens);
+      else groups.push(tokens);
+    });
+
+  const seen = new Set();
+  const definitions = [];
+  for (const tokens of groups) {
+    const definition = parseDefinition(tokens, report);
+    if (!definition) continue;
+    if (seen.has(definition.id)) {
+      report(definition.head, `"${definition.id}" is already defined in this file`);
+      continue;
+    }
+    seen.add(definition.id);
+    definitions.push(definition);
+  }
+  return { definitions, errors };
+};
+
+const evaluatePhrase = ({ start, terms }, geometry, cellCount, report) => {
+  const sources = [];
+  let reversed = false;
+  let shape = null;
+  const stepModifiers = [];
+
+  for (const term of terms) {
+    if (term.kind === "source" || term.kind === "cells") {
+      if (shape || stepModifiers.length) {
+        report(term.token, 'a shape can\'t follow a modifier; start a new phrase with "then"');
+      } else {
+        sources.push(term);
+      }
+    } else if (term.kind === "direction") {
+      reversed = term.backward ? !reversed : reversed;
+    } else if (MODIFIERS[term.name].shape) {
+      if (shape) report(term.token, `only one of chase, skip, stairs or each per phrase`);
+      shape = term;
+    } else {
+      stepModifiers.push(term);
+    }
+  }
+  if (!sources.length) {
+    report(terms[0]?.token ?? start, "expected a shape such as ring, rows or [0 4 8]");
+    return [];
+  }
+
+  const single = sources.length === 1 && sources[0].kind === "source" && ORDERS[sources[0].name];
+  if (shape && !single) {
+    report(shape.token, `${shape.name} needs a single cell order: ${Object.keys(ORDERS).join(", ")}`);
+  }
+
+  let steps;
+  if (single) {
+    const order = ORDERS[sources[0].name](geometry);
+    const directed = reversed ? [...order].reverse() : order;
+    steps = shape ? MODIFIERS[shape.name].shape(directed, shape.count) : chase(directed, 1);
+  } else {
+    steps = sources.flatMap((term) => {
+      if (term.kind === "source") {
+        return ORDERS[term.name]
+          ? ORDERS[term.name](geometry).map((cell) => [cell])
+          : GROUPS[term.name](geometry);
+      }
+      if (!term.token.cells.length) {
+        report(term.token, 'empty step; use "rest" for a pause');
+        return [];
+      }
+      const cells = term.token.cells.map((cell) => {
+        const index = /^\d+$/.test(cell.text) ? Number(cell.text) : null;
+        if (index === null) report(cell, `"${cell.text}" is not a cell index`);
+        else if (index >= cellCount) {
+          report(cell, `cell ${index} is outside the grid (0-${cellCount - 1})`);
+        }
+        return index;
+      });
+      return [union(cells.filter((index) => index !== null && index < cellCount))];
+    });
+    if (reversed) steps = [...steps].reverse();
+  }
+
+  return stepModifiers.reduce(
+    (current, term) => MODIFIERS[term.name].steps(current, term.count),
+    steps
+  );
+};
+
+/**
+ * Parses a .hypno source and builds its patterns for `grid`. Definitions pinned
+ * to another grid with `grid=CxR` are skipped; `reservedIds` flags clashes with
+ * patterns defined elsewhere.
+ */
+export const compileHypno = (
+  source,
+  { grid = DEFAULT_GRID, file = "", reservedIds = new Set() } = {}
+) => {
+  const { definitions, errors } = parseHypno(source, { file });
+  const report = ({ line, column }, message) => errors.push({ file, line, column, message });
+  const geometry = gridGeometry(grid);
+  const cellCount = grid.cols * grid.rows;
+  const patterns = [];
+
+  for (const definition of definitions) {
+    if (reservedIds.has(definition.id)) {
+      report(definition.head, `"${definition.id}" is already a pattern id`);
+      continue;
+    }
+    if (definition.grid && gridKey(definition.grid) !== gridKey(grid)) continue;
+
+    const errorCount = errors.length;
+    const frames = definition.phrases.flatMap((phrase) =>
+      evaluatePhrase(phrase, geometry, cellCount, report)
+    );
+    if (errors.length > errorCount) continue;
+    if (!frames.some((cells) => cells.length)) {
+      report(definition.head, `every step of "${definition.id}" is empty on ${gridKey(grid)}`);
+      continue;
+    }
+    patterns.push({
+      id: definition.id,
+      label: definition.label ?? definition.id,
+      frames,
+      beatMs: definition.beatMs,
+      loopMs: frames.length * definition.beatMs,
+      category: definition.category,
+      grid,
+      ...(definition.pulseMs ? { pulseMs: definition.pulseMs } : {}),
+    });
+  }
+
+  return { patterns, errors: errors.sort((a, b) => a.line - b.line || a.column - b.column) };
+};
+
+/** Every error in a .hypno source, checked on the default grid and each `grid=` it pins. */
+export const validateHypno = (source, { file = "" } = {}) => {
+  const { definitions } = parseHypno(source, { file });
+  const grids = new Map([[gridKey(DEFAULT_GRID), DEFAULT_GRID]]);
+  definitions.forEach(({ grid }) => grid && grids.set(gridKey(grid), grid));
+  const unique = new Map();
+  for (const grid of grids.values()) {
+    compileHypno(source, { grid, file }).errors.forEach((error) =>
+      unique.set(formatHypnoError(error), error)
+    );
+  }
+  return [...unique.values()].sort((a, b) => a.line - b.line || a.column - b.column);
+};
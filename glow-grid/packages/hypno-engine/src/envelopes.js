@@ -0,0 +1,138 @@
+export const DEFAULT_ENVELOPE = "breath";
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+const bezierComponent = (t, p1, p2) => {
+  const u = 1 - t;
+  return 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t;
+};
+
+// CSS-style cubic-bezier: solve x(t) = x by bisection, then return y(t).
+const cubicBezier = (x, { x1, y1, x2, y2 }) => {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 24; i++) {
+    const mid = (lo + hi) / 2;
+    if (bezierComponent(mid, x1, x2) < x) lo = mid;
+    else hi = mid;
+  }
+  return bezierComponent((lo + hi) / 2, y1, y2);
+};
+
+const normalized = (shape) => (dt, durationMs, params) => shape(dt / durationMs, params);
+
+// Each entry maps elapsed time within one pulse to 0..1. Param keys double as
+// URL params, so they must not collide with p, c, g, seed or env.
+export const ENVELOPES = {
+  breath: {
+    label: "Breath",
+    params: { pow: { value: 1.45, min: 0.1, max: 8 } },
+    value: normalized((x, { pow }) => Math.pow(Math.sin(Math.PI * x), pow)),
+  },
+  linear: {
+    label: "Linear",
+    params: { peak: { value: 0.5, min: 0.01, max: 0.99 } },
+    value: normalized((x, { peak }) => (x < peak ? x / peak : (1 - x) / (1 - peak))),
+  },
+  adsr: {
+    label: "ADSR",
+    params: {
+      a: { value: 80, min: 0, max: 4000 },
+      d: { value: 0, min: 0, max: 4000 },
+      s: { value: 1, min: 0, max: 1 },
+      h: { value: 120, min: 0, max: 4000 },
+      r: { value: 400, min: 0, max: 4000 },
+    },
+    // Params in ms, which a speed change scales.
+    timeParams: ["a", "d", "h", "r"],
+    duration: ({ a, d, h, r }) => a + d + h + r,
+    value: (dt, _durationMs, { a, d, s, h, r }) => {
+      if (dt < a) return dt / a;
+      let t = dt - a;
+      if (t < d) return 1 - (1 - s) * (t / d);
+      t -= d;
+      if (t < h) return s;
+      t -= h;
+      return r ? s * (1 - t / r) : 0;
+    },
+  },
+  exponential: {
+    label: "Exponential",
+    params: {
+      k: { value: 5, min: 0.1, max: 20 },
+      attack: { value: 0.08, min: 0, max: 0.9 },
+    },
+    value: normalized((x, { k, attack }) => {
+      if (x < attack) return x / attack;
+      const u = (x - attack) / (1 - attack);
+      return (Math.exp(-k * u) - Math.exp(-k)) / (1 - Math.exp(-k));
+    }),
+  },
+  square: {
+    label: "Square",
+    params: { duty: { value: 0.5, min: 0.01, max: 1 } },
+    value: normalized((x, { duty }) => (x < duty ? 1 : 0)),
+  },
+  bezier: {
+    label: "Cubic bezier",
+    params: {
+      x1: { value: 0.42, min: 0, max: 1 },
+      y1: { value: 0, min: -1, max: 2 },
+      x2: { value: 0.58, min: 0, max: 1 },
+      y2: { value: 1, min: -1, max: 2 },
+    },
+    value: normalized((x, params) =>
+      cubicBezier(x < 0.5 ? x * 2 : (1 - x) * 2, params)
+    ),
+  },
+};
+
+export const ENVELOPE_IDS = Object.keys(ENVELOPES);
+
+const resolveParams = (definition, spec = {}) =>
+  Object.fromEntries(
+    Object.entries(definition.params).map(([key, { value, min, max }]) => {
+      const raw = Number(spec[key]);
+      const next = spec[key] === undefined || !Number.isFinite(raw) ? value : raw;
+      return [key, Math.max(min, Math.min(max, next))];
+    })
+  );
+
+/** Returns a clean `{ type, ...params }` spec, or null for unknown types. */
+export const normalizeEnvelope = (spec) => {
+  if (!spec || !ENVELOPES[spec.type]) return null;
+  return { type: spec.type, ...resolveParams(ENVELOPES[spec.type], spec) };
+};
+
+export const envelopeFromParams = (params) => {
+  const type = params.get("env");
+  if (!type || !ENVELOPES[type]) return null;
+  const spec = { type };
+  for (const key of Object.keys(ENVELOPES[type].params)) {
+    if (params.has(key)) spec[key] = params.get(key);
+  }
+  return normalizeEnvelope(spec);
+};
+
+/** Only non-default params are emitted, so links stay short. */
+export const envelopeToParams = (spec) => {
+  const envelope = normalizeEnvelope(spec);
+  if (!envelope) return {};
+  const output = { env: envelope.type };
+  for (const [key, { value }] of Object.entries(ENVELOPES[envelope.type].params)) {
+    if (envelope[key] !== value) output[key] = String(envelope[key]);
+  }
+  return output;
+};
+
+/** Builds `(dt) => 0..1` for one pulse; ADSR sets its own length, others use pulseMs. */
+export const createEnvelope = (spec, pulseMs) => {
+  const definition = ENVELOPES[spec?.type] ?? ENVELOPES[DEFAULT_ENVELOPE];
+  const params = resolveParams(definition, spec);
+  const durationMs = definition.duration ? definition.duration(params) : pulseMs;
+
+  return (dt) => {
+    if (dt < 0 || dt > durationMs || durationMs <= 0) return 0;
+    return clamp01(definition.value(dt, durationMs, params));
+  };
+};
@@ -0,0 +1,114 @@
+import { gradientPosition, sampleStops } from "./colors.js";
+import { createEnvelope } from "./envelopes.js";
+import { DEFAULT_GRID, range } from "./grid.js";
+
+export const DEFAULT_PULSE_MS = 900;
+
+export const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+export const hasColorData = (pattern, theme) =>
+  pattern.layers
+    ? pattern.layers.some((layer) => hasColorData(layer, theme))
+    : Boolean(pattern.stepColors || pattern.gradient || theme?.gradient);
+
+/**
+ * When each step starts within the loop, in ms. Steps fire every `beatMs`
+ * unless the pattern lists explicit `times`; layered patterns merge theirs.
+ */
+export const stepTimes = (pattern) => {
+  if (!pattern.layers) {
+    return pattern.times ?? pattern.frames.map((_, step) => step * pattern.beatMs);
+  }
+  const times = pattern.layers.flatMap((layer) => {
+    const own = stepTimes(layer);
+    return range(Math.round(pattern.loopMs / layer.loopMs)).flatMap((repeat) =>
+      own.map((time) => time + repeat * layer.loopMs)
+    );
+  });
+  return [...new Set(times)].sort((a, b) => a - b);
+};
+
+const BLENDS = {
+  max: Math.max,
+  add: (a, b) => a + b,
+  multiply: (a, b) => a * b,
+};
+
+// Each cell takes its color from the layer that lights it brightest.
+const computeLayers = (tAbs, pattern, theme) => {
+  const frames = pattern.layers.map((layer) => computeFrame(tAbs, layer, theme));
+  const blend = BLENDS[pattern.blend] ?? BLENDS.max;
+  const intensities = frames[0].intensities.map((value, idx) =>
+    clamp01(frames.slice(1).reduce((total, frame) => blend(total, frame.intensities[idx]), value))
+  );
+  if (!hasColorData(pattern, theme)) return { intensities, colors: null };
+
+  const colors = intensities.map((_, idx) => {
+    const brightest = frames.reduce((best, frame) =>
+      frame.intensities[idx] > best.intensities[idx] ? frame : best
+    );
+    return brightest.colors?.[idx] ?? theme?.rgb ?? null;
+  });
+  return { intensities, colors };
+};
+
+/**
+ * Evaluates one moment of a pattern. `colors` is null when every cell uses the
+ * theme color; otherwise each cell takes the color of the step that lit it
+ * brightest, then the pattern gradient, then the theme.
+ */
+export const computeFrame = (tAbs, pattern, theme = null) => {
+  if (pattern.layers) return computeLayers(tAbs, pattern, theme);
+  const {
+    frames,
+    times,
+    beatMs,
+    loopMs,
+    pulseMs = DEFAULT_PULSE_MS,
+    grid = DEFAULT_GRID,
+    envelope,
+    stepColors,
+    gradient,
+  } = pattern;
+  const pulse = createEnvelope(envelope, pulseMs);
+  const tLoop = ((tAbs % loopMs) + loopMs) % loopMs;
+  const output = Array(grid.cols * grid.rows).fill(0);
+  const winners = stepColors ? Array(output.length).fill(-1) : null;
+
+  for (let step = 0; step < frames.length; step++) {
+    const cells = frames[step];
+    const eventTime = times ? times[step] : step * beatMs;
+    let dt = tLoop - eventTime;
+    if (dt < 0) dt += loopMs;
+
+    const v = pulse(dt);
+    if (v <= 0) continue;
+
+    for (const idx of cells) {
+      if (v > output[idx]) {
+        output[idx] = v;
+        if (winners) winners[idx] = step;
+      }
+    }
+  }
+
+  const intensities = output.map(clamp01);
+  if (!hasColorData(pattern, theme)) return { intensities, colors: null };
+
+  const phase = tLoop / loopMs;
+  const themeColor = theme?.gradient ? sampleStops(theme.gradient, phase, true) : theme?.rgb;
+  const colors = intensities.map((_, idx) => {
+    const stepColor = winners?.[idx] >= 0 ? stepColors[winners[idx]] : null;
+    const cellColor = typeof stepColor === "string" ? stepColor : stepColor?.[idx];
+    if (cellColor) return cellColor;
+    if (gradient) {
+      const position = gradientPosition(gradient.mode, idx, grid, phase);
+      return sampleStops(gradient.stops, position, gradient.mode === "time");
+    }
+    return themeColor ?? null;
+  });
+
+  return { intensities, colors };
+};
+
+export const computeIntensities = (tAbs, pattern) => computeFrame(tAbs, pattern).intensities;
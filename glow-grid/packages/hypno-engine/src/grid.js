@@ -0,0 +1,132 @@
+export const DEFAULT_GRID = { cols: 3, rows: 3 };
+export const GRID_SIDE_RANGE = { min: 2, max: 16 };
+
+export const parseGrid = (value) => {
+  const match = /^(\d+)x(\d+)$/i.exec(value?.trim() ?? "");
+  if (!match) return DEFAULT_GRID;
+  const cols = Number(match[1]);
+  const rows = Number(match[2]);
+  const inRange = (side) => side >= GRID_SIDE_RANGE.min && side <= GRID_SIDE_RANGE.max;
+  return inRange(cols) && inRange(rows) ? { cols, rows } : DEFAULT_GRID;
+};
+
+export const gridKey = (grid) => `${grid.cols}x${grid.rows}`;
+
+export const range = (length) => Array.from({ length }, (_, i) => i);
+
+export const union = (...groups) =>
+  [...new Set(groups.flat())].sort((a, b) => a - b);
+
+export const gridGeometry = ({ cols, rows }) => {
+  const at = (row, col) => row * cols + col;
+  const rowOf = (idx) => Math.floor(idx / cols);
+  const colOf = (idx) => idx % cols;
+  const cells = range(cols * rows);
+  const centerRow = (rows - 1) / 2;
+  const centerCol = (cols - 1) / 2;
+
+  const groupBy = (items, keyOf) => {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([, group]) => group);
+  };
+
+  const rowLines = range(rows).map((row) => range(cols).map((col) => at(row, col)));
+  const colLines = range(cols).map((col) => range(rows).map((row) => at(row, col)));
+  const reversed = (list) => [...list].reverse();
+
+  const spiral = [];
+  let top = 0;
+  let bottom = rows - 1;
+  let left = 0;
+  let right = cols - 1;
+  while (top <= bottom && left <= right) {
+    for (let col = left; col <= right; col++) spiral.push(at(top, col));
+    top++;
+    for (let row = top; row <= bottom; row++) spiral.push(at(row, right));
+    right--;
+    if (top <= bottom) {
+      for (let col = right; col >= left; col--) spiral.push(at(bottom, col));
+      bottom--;
+    }
+    if (left <= right) {
+      for (let row = bottom; row >= top; row--) spiral.push(at(row, left));
+      left++;
+    }
+  }
+
+  const ring = [
+    ...rowLines[0],
+    ...colLines[cols - 1].slice(1),
+    ...reversed(rowLines[rows - 1]).slice(1),
+    ...reversed(colLines[0]).slice(1, -1),
+  ];
+  const corners = [at(0, 0), at(0, cols - 1), at(rows - 1, cols - 1), at(rows - 1, 0)];
+  const edges = [
+    ...new Set([
+      at(0, Math.floor(centerCol)),
+      at(Math.floor(centerRow), cols - 1),
+      at(rows - 1, Math.ceil(centerCol)),
+      at(Math.ceil(centerRow), 0),
+    ]),
+  ];
+
+  // Manhattan distance from the grid center, innermost first.
+  const layers = groupBy(
+    cells,
+    (idx) => Math.abs(rowOf(idx) - centerRow) + Math.abs(colOf(idx) - centerCol)
+  );
+  const diagonals = cells.filter(
+    (idx) => Math.abs(rowOf(idx) - centerRow) === Math.abs(colOf(idx) - centerCol)
+  );
+
+  const quadHeight = Math.ceil(rows / 2);
+  const quadWidth = Math.ceil(cols / 2);
+  const block = (row0, col0) =>
+    cells.filter(
+      (idx) =>
+        rowOf(idx) >= row0 &&
+        rowOf(idx) < row0 + quadHeight &&
+        colOf(idx) >= col0 &&
+        colOf(idx) < col0 + quadWidth
+    );
+
+  const outerFirst = (lines, center) =>
+    groupBy(range(lines.length), (i) => -Math.abs(i - center)).map((group) =>
+      group.flatMap((i) => lines[i])
+    );
+
+  return {
+    cells,
+    rowLines,
+    colLines,
+    ring,
+    spiral,
+    corners,
+    edges,
+    layers,
+    center: layers[0],
+    diagonals,
+    checker: groupBy(cells, (idx) => (rowOf(idx) + colOf(idx)) % 2),
+    diagWaveTL: groupBy(cells, (idx) => rowOf(idx) + colOf(idx)),
+    diagWaveTR: groupBy(cells, (idx) => rowOf(idx) + (cols - 1 - colOf(idx))),
+    quadrants: [
+      block(0, 0),
+      block(0, cols - quadWidth),
+      block(rows - quadHeight, cols - quadWidth),
+      block(rows - quadHeight, 0),
+    ],
+    rowLayers: outerFirst(rowLines, centerRow),
+    colLayers: outerFirst(colLines, centerCol),
+    snakeRowLR: rowLines.flatMap((line, row) => (row % 2 ? reversed(line) : line)),
+    snakeRowRL: rowLines.flatMap((line, row) => (row % 2 ? line : reversed(line))),
+    snakeColTB: colLines.flatMap((line, col) => (col % 2 ? reversed(line) : line)),
+    snakeColBT: colLines.flatMap((line, col) => (col % 2 ? line : reversed(line))),
+    stairPathTL: [...rowLines[0], ...colLines[cols - 1].slice(1)],
+    stairPathBR: [...reversed(rowLines[rows - 1]), ...reversed(colLines[0]).slice(1)],
+  };
+};
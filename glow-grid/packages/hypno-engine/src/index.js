@@ -0,0 +1,105 @@
+export {
+  AUDIO_DEFAULTS,
+  AUDIO_SYNC_MODES,
+  WavError,
+  advanceWithAudio,
+  analyzeSamples,
+  createAudioAnalyzer,
+  decodeWav,
+  modulateIntensities,
+} from "./audio.js";
+export { createClock } from "./clock.js";
+export {
+  CONTROLLER_EVENTS,
+  ControllerError,
+  DEFAULT_TRANSITION,
+  TRANSITION_TYPES,
+  createGridController,
+} from "./controller.js";
+export {
+  BLEND_MODES,
+  CompositionError,
+  MAX_LAYER_LOOP_MS,
+  PATTERN_OPERATORS,
+  SPEED_FACTOR_RANGE,
+  composePattern,
+  layerPatterns,
+  mirrorPattern,
+  parsePatternExpression,
+  reversePattern,
+  rotatePattern,
+  scaleSpeed,
+  sequencePatterns,
+} from "./compose.js";
+export {
+  GRADIENT_MODES,
+  gradientPosition,
+  normalizeRgb,
+  parseRgb,
+  sampleStops,
+} from "./colors.js";
+export {
+  DEFAULT_ENVELOPE,
+  ENVELOPES,
+  ENVELOPE_IDS,
+  createEnvelope,
+  envelopeFromParams,
+  envelopeToParams,
+  normalizeEnvelope,
+} from "./envelopes.js";
+export {
+  HYPNO_BEAT_RANGE,
+  HypnoError,
+  compileHypno,
+  formatHypnoError,
+  parseHypno,
+  validateHypno,
+} from "./dsl.js";
+export {
+  DEFAULT_PULSE_MS,
+  clamp01,
+  computeFrame,
+  computeIntensities,
+  hasColorData,
+  stepTimes,
+} from "./evaluate.js";
+export {
+  DEFAULT_GRID,
+  GRID_SIDE_RANGE,
+  gridGeometry,
+  gridKey,
+  parseGrid,
+  range,
+  union,
+} from "./grid.js";
+export { KEYFRAME_DEFAULTS, interpolateKeys, keyframeError, sampleKeyframes } from "./keyframes.js";
+export {
+  COLOR_ORDERS,
+  DDP_PORT,
+  LED_DEFAULTS,
+  LED_LAYOUTS,
+  LED_PROTOCOLS,
+  LedError,
+  SACN_PORT,
+  createLedOutput,
+  createMockLedDevice,
+  decodeGridFrame,
+  encodeAdalight,
+  encodeDdp,
+  encodeGridFrame,
+  encodeSacn,
+  ledOrder,
+  toLedPixels,
+} from "./led.js";
+export { CATEGORY_LABELS, DEFAULT_SEED, RANDOM_STEPS, buildPatterns } from "./patterns.js";
+export { createRandom, hashSeed } from "./random.js";
+export { FLASH_LIMIT, FLASH_SAMPLE_MS, analyzeFlashes, cellLight } from "./safety.js";
+export {
+  BEAT_DIVISIONS,
+  BPM_RANGE,
+  bpmSpeed,
+  estimateBpm,
+  parseBpm,
+  snapBeatMs,
+} from "./tempo.js";
+export { COLOR_THEMES, SOLID_THEMES } from "./themes.js";
@@ -0,0 +1,208 @@
+import { computeFrame } from "./evaluate.js";
+
+export const KEYFRAME_DEFAULTS = { sampleMs: 1, tolerance: 0.004, maxSamples: 20000 };
+
+// Indices of the points linear interpolation can't skip (Ramer-Douglas-Peucker
+// on the value axis, so the error bound is the same at every time).
+const simplify = (times, values, tolerance) => {
+  const last = times.length - 1;
+  const keep = new Set([0, last]);
+  const spans = [[0, last]];
+  while (spans.length) {
+    const [from, to] = spans.pop();
+    let worst = -1;
+    let worstError = tolerance;
+    for (let idx = from + 1; idx < to; idx++) {
+      const share = (times[idx] - times[from]) / (times[to] - times[from]);
+      const error = Math.abs(values[idx] - (values[from] + (values[to] - values[from]) * share));
+      if (error > worstError) {
+        worst = idx;
+        worstError = error;
+      }
+    }
+    if (worst === -1) continue;
+    keep.add(worst);
+    spans.push([from, worst], [worst, to]);
+  }
+  return [...keep].sort((a, b) => a - b);
+};
+
+// Changes bigger than this between two samples are bisected to see whether
+// the curve steps there (beat edges do) rather than just moving fast.
+const STEP_CHECK = 0.05;
+const STEP_WIDTH_MS = 1 / 1024;
+// How far a spread-out interval's midpoint may sit off the straight line
+// between its ends before it's sampled every `sampleMs` after all. A kink
+// inside the interval moves the line by at most twice this.
+const BEND_SHARE = 1 / 64;
+
+/**
+ * One loop of `pattern` as keyframes per cell, for formats that interpolate
+ * on their own (Lottie, CSS). Cells are sampled every `sampleMs`; a loop
+ * longer than `maxSamples` of those is sampled more sparsely, except where
+ * the curves bend, which still get every `sampleMs`. Linear
+ * keys are kept wherever dropping them would move the curve by more than
+ * `tolerance`; a step is two keys at the same time. Returns
+ * `{ loopMs, cells: [{ intensity, colors }] }`: `intensity` is `[ms, value]`
+ * pairs from 0 to loopMs and `colors`, when the pattern or theme colors
+ * cells, `[ms, "r, g, b"]` pairs that hold until the next one.
+ */
+export const sampleKeyframes = (pattern, { theme = null, ...options } = {}) => {
+  const { sampleMs, tolerance, maxSamples } = { ...KEYFRAME_DEFAULTS, ...options };
+  const { loopMs } = pattern;
+  const spread = Math.max(1, Math.min(Math.ceil(loopMs / sampleMs), maxSamples));
+  // t = loopMs is frame 0 again, so loops close exactly.
+  const frameAt = (t) => computeFrame(t % loopMs, pattern, theme);
+  const times = [0];
+  const frames = [frameAt(0)];
+  const fine = Math.ceil(loopMs / spread / sampleMs);
+  for (let idx = 1; idx <= spread; idx++) {
+    const from = times.at(-1);
+    const to = (idx * loopMs) / spread;
+    const end = frameAt(to);
+    if (fine > 1) {
+      const start = frames.at(-1);
+      const { intensities } = frameAt((from + to) / 2);
+      const bends = intensities.some(
+        (value, cell) =>
+          Math.abs(value - (start.intensities[cell] + end.intensities[cell]) / 2) > tolerance * BEND_SHARE
+      );
+      for (let step = 1; bends && step < fine; step++) {
+        const t = from + ((to - from) * step) / fine;
+        times.push(t);
+        frames.push(frameAt(t));
+      }
+    }
+    times.push(to);
+    frames.push(end);
+  }
+  const count = times.length - 1;
+  // Sparse samples can hide up to twice BEND_SHARE between them, so keys leave room for it.
+  const keyTolerance = fine > 1 ? tolerance * (1 - 2 * BEND_SHARE) : tolerance;
+  // Bisections probe between samples; each caches only its own frames.
+  const createProbe = () => {
+    const cache = new Map();
+    return (t) => {
+      if (!cache.has(t)) cache.set(t, computeFrame(t % loopMs, pattern, theme));
+      return cache.get(t);
+    };
+  };
+
+  // `[before, after]` around a step in (from, to], or null if the curve is continuous there.
+  const findStep = (cell, from, to) => {
+    const frameAt = createProbe();
+    const valueAt = (t) => frameAt(t).intensities[cell];
+    let low = from;
+    let high = to;
+    while (high - low > STEP_WIDTH_MS) {
+      const mid = (low + high) / 2;
+      const left = Math.abs(valueAt(mid) - valueAt(low));
+      const right = Math.abs(valueAt(high) - valueAt(mid));
+      if (left >= right) high = mid;
+      else low = mid;
+    }
+    const before = valueAt(low);
+    const after = valueAt(high);
+    return Math.abs(after - before) > tolerance ? [[high, before], [high, after]] : null;
+  };
+
+  const findColorChange = (cell, from, to) => {
+    const frameAt = createProbe();
+    const color = frameAt(from).colors[cell];
+    let low = from;
+    let high = to;
+    while (high - low > STEP_WIDTH_MS) {
+      const mid = (low + high) / 2;
+      if (frameAt(mid).colors[cell] === color) low = mid;
+      else high = mid;
+    }
+    return high;
+  };
+
+  const cellCount = frames[0].intensities.length;
+  return {
+    loopMs,
+    cells: Array.from({ length: cellCount }, (_, cell) => {
+      const values = frames.map((frame) => frame.intensities[cell]);
+      const intensity = [];
+      let segment = [[times[0], values[0]]];
+      const close = () => {
+        const segmentTimes = segment.map(([time]) => time);
+        const segmentValues = segment.map(([, value]) => value);
+        intensity.push(...simplify(segmentTimes, segmentValues, keyTolerance).map((idx) => segment[idx]));
+      };
+      for (let idx = 1; idx <= count; idx++) {
+        const step = Math.abs(values[idx] - values[idx - 1]) > STEP_CHECK && findStep(cell, times[idx - 1], times[idx]);
+        if (step) {
+          segment.push(step[0]);
+          close();
+          segment = [step[1]];
+          if (step[1][0] === times[idx]) continue;
+        }
+        segment.push([times[idx], values[idx]]);
+      }
+      close();
+      if (!frames[0].colors) return { intensity, colors: null };
+      const colors = [[0, frames[0].colors[cell]]];
+      for (let idx = 1; idx < count; idx++) {
+        const color = frames[idx].colors[cell];
+        if (color === colors.at(-1)[1]) continue;
+        const found = findColorChange(cell, times[idx - 1], times[idx]);
+        // Line color changes up with the intensity key they belong to.
+        const time = intensity.find(([keyTime]) => Math.abs(keyTime - found) <= STEP_WIDTH_MS * 2)?.[0] ?? found;
+        // An unlit cell has no color for the instant of a step; skip such slivers.
+        if (time - colors.at(-1)[0] <= STEP_WIDTH_MS * 2) {
+          if (colors.length === 1) {
+            colors[0] = [0, color];
+            continue;
+          }
+          colors.pop();
+        }
+        if (color !== colors.at(-1)[1]) colors.push([time, color]);
+      }
+      return { intensity, colors };
+    }),
+  };
+};
+
+/**
+ * The value of `[ms, value]` keys at `ms`, interpolating linearly. At a step
+ * (two keys at one time) the later key wins, as computeFrame does.
+ */
+export const interpolateKeys = (keys, ms) => {
+  const next = keys.findIndex(([time]) => time > ms);
+  if (next === -1) return keys.at(-1)[1];
+  if (next === 0) return keys[0][1];
+  const [fromTime, fromValue] = keys[next - 1];
+  const [toTime, toValue] = keys[next];
+  return fromValue + ((toValue - fromValue) * (ms - fromTime)) / (toTime - fromTime);
+};
+
+/**
+ * Loop-accuracy check for sampleKeyframes output: replays the keys every
+ * `stepMs` (including between samples, and at most `maxSteps` times) against
+ * computeFrame and returns the worst `{ maxError, cell, ms }` plus `seam`, the
+ * largest jump between a cell's last and first key.
+ */
+export const keyframeError = (
+  pattern,
+  keyframes,
+  { theme = null, stepMs = 0.25, maxSteps = KEYFRAME_DEFAULTS.maxSamples * 4 } = {}
+) => {
+  const { loopMs, cells } = keyframes;
+  const step = Math.max(stepMs, loopMs / maxSteps);
+  let worst = { maxError: 0, cell: 0, ms: 0 };
+  // Time only moves forward, so each cell keeps its place in its keys.
+  const cursors = cells.map(() => 0);
+  for (let ms = 0; ms < loopMs; ms += step) {
+    const { intensities } = computeFrame(ms, pattern, theme);
+    cells.forEach(({ intensity }, cell) => {
+      while (intensity[cursors[cell] + 1]?.[0] <= ms) cursors[cell] += 1;
+      const keys = intensity.slice(cursors[cell], cursors[cell] + 2);
+      const error = Math.abs(interpolateKeys(keys, ms) - intensities[cell]);
+      if (error > worst.maxError) worst = { maxError: error, cell, ms };
+    });
+  }
+  const seam = Math.max(...cells.map(({ intensity }) => Math.abs(intensity.at(-1)[1] - intensity[0][1])));
+  return { ...worst, seam };
+};
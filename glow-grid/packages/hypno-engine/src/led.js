@@ -0,0 +1,320 @@
+import { parseRgb } from "./colors.js";
+import { clamp01 } from "./evaluate.js";
+import { gridKey, range } from "./grid.js";
+
+export const LED_PROTOCOLS = ["ddp", "sacn", "adalight"];
+export const LED_LAYOUTS = ["rows", "serpentine"];
+export const COLOR_ORDERS = ["rgb", "rbg", "grb", "gbr", "brg", "bgr"];
+
+export const LED_DEFAULTS = {
+  gamma: 2.2,
+  // Output ceiling after gamma, 0-1.
+  brightness: 1,
+  // Share of the panel's all-white draw a frame may use, 0-1; brighter frames are dimmed.
+  powerLimit: 1,
+  order: "rgb",
+  layout: "rows",
+};
+
+export const DDP_PORT = 4048;
+export const SACN_PORT = 5568;
+const DDP_MAX_DATA = 1440;
+const DDP_HEADER = 10;
+const DDP_VERSION = 0x40;
+const DDP_PUSH = 0x01;
+const DDP_RGB24 = 0x0b;
+const SACN_HEADER = 126;
+const SACN_PIXELS_PER_UNIVERSE = 170;
+const SACN_ID = [0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00];
+const GRID_FRAME_MAGIC = [0x48, 0x47, 0x46, 0x01]; // "HGF" v1
+
+export class LedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LedError";
+  }
+}
+
+/** LED strip position -> grid cell; serpentine panels run every other row backwards. */
+export const ledOrder = ({ cols, rows }, layout = "rows") =>
+  range(cols * rows).map((led) => {
+    const row = Math.floor(led / cols);
+    const col = led % cols;
+    return row * cols + (layout === "serpentine" && row % 2 ? cols - 1 - col : col);
+  });
+
+const toRgb = (color, fallback) =>
+  Array.isArray(color) ? color : (color && parseRgb(color)) ?? fallback;
+
+/**
+ * One frame as device bytes: each cell's color times its intensity, with
+ * `brightness`, `gamma`, `powerLimit`, channel `order` and strip `layout`
+ * applied. `colors` holds "r, g, b" strings or [r, g, b] per cell; missing
+ * entries use `rgb`.
+ */
+export const toLedPixels = ({ grid, intensities, colors, rgb = [255, 255, 255] }, options = {}) => {
+  const { gamma, brightness, powerLimit, order, layout } = { ...LED_DEFAULTS, ...options };
+  if (!COLOR_ORDERS.includes(order)) {
+    throw new LedError(`unknown color order "${order}". Use ${COLOR_ORDERS.join(", ")}.`);
+  }
+  const base = toRgb(rgb, [255, 255, 255]);
+  const channels = [...order].map((channel) => "rgb".indexOf(channel));
+  const linear = ledOrder(grid, layout).flatMap((cell) => {
+    const color = toRgb(colors?.[cell], base);
+    const value = clamp01(intensities[cell] ?? 0);
+    return channels.map((channel) => ((color[channel] / 255) * value) ** gamma * clamp01(brightness));
+  });
+  const total = linear.reduce((sum, value) => sum + value, 0);
+  const budget = clamp01(powerLimit) * linear.length;
+  const scale = total > budget ? budget / total : 1;
+  return Uint8Array.from(linear, (value) => Math.round(value * scale * 255));
+};
+
+/**
+ * DDP packets for one frame, split at 480 pixels; the last carries PUSH so
+ * the device shows them together. `sequence` runs 1-15.
+ */
+export const encodeDdp = (pixels, { sequence = 1, destination = 1 } = {}) => {
+  const packets = [];
+  for (let offset = 0; offset < pixels.length || !packets.length; offset += DDP_MAX_DATA) {
+    const data = pixels.subarray(offset, offset + DDP_MAX_DATA);
+    const packet = new Uint8Array(DDP_HEADER + data.length);
+    const view = new DataView(packet.buffer);
+    const last = offset + DDP_MAX_DATA >= pixels.length;
+    packet[0] = DDP_VERSION | (last ? DDP_PUSH : 0);
+    packet[1] = sequence & 0x0f;
+    packet[2] = DDP_RGB24;
+    packet[3] = destination;
+    view.setUint32(4, offset);
+    view.setUint16(8, data.length);
+    packet.set(data, DDP_HEADER);
+    packets.push(packet);
+  }
+  return packets;
+};
+
+/**
+ * E1.31 (sACN) data packets, one per universe of 170 pixels starting at
+ * `universe`. `cid` is the sender's 16-byte UUID.
+ */
+export const encodeSacn = (
+  pixels,
+  { universe = 1, sequence = 0, priority = 100, sourceName = "glow-grid", cid = new Uint8Array(16) } = {}
+) => {
+  const slotsPerUniverse = SACN_PIXELS_PER_UNIVERSE * 3;
+  const name = new TextEncoder().encode(sourceName).subarray(0, 63);
+  const packets = [];
+  for (let offset = 0; offset < pixels.length || !packets.length; offset += slotsPerUniverse) {
+    const data = pixels.subarray(offset, offset + slotsPerUniverse);
+    const packet = new Uint8Array(SACN_HEADER + data.length);
+    const view = new DataView(packet.buffer);
+    const flagsLength = (start) => view.setUint16(start, 0x7000 | (packet.length - start));
+    // Root layer
+    view.setUint16(0, 0x0010);
+    packet.set(SACN_ID, 4);
+    flagsLength(16);
+    view.setUint32(18, 0x00000004);
+    packet.set(cid.subarray(0, 16), 22);
+    // Framing layer
+    flagsLength(38);
+    view.setUint32(40, 0x00000002);
+    packet.set(name, 44);
+    packet[108] = priority;
+    packet[111] = sequence & 0xff;
+    view.setUint16(113, universe + offset / slotsPerUniverse);
+    // DMP layer; slot 0 is the DMX start code.
+    flagsLength(115);
+    packet[117] = 0x02;
+    packet[118] = 0xa1;
+    view.setUint16(121, 0x0001);
+    view.setUint16(123, data.length + 1);
+    packet.set(data, SACN_HEADER);
+    packets.push(packet);
+  }
+  return packets;
+};
+
+/** The "Ada" serial framing used by Adalight/Arduino LED sketches. */
+export const encodeAdalight = (pixels) => {
+  const count = Math.max(0, pixels.length / 3 - 1);
+  const hi = (count >> 8) & 0xff;
+  const lo = count & 0xff;
+  const packet = new Uint8Array(6 + pixels.length);
+  packet.set([0x41, 0x64, 0x61, hi, lo, hi ^ lo ^ 0x55]);
+  packet.set(pixels, 6);
+  return [packet];
+};
+
+const ENCODERS = { ddp: encodeDdp, sacn: encodeSacn, adalight: encodeAdalight };
+
+/**
+ * Turns grid frames into packets for one device: `send(frame)` returns the
+ * packets for `{ grid, intensities, colors, rgb }` and bumps the sequence.
+ * `options` takes the toLedPixels settings plus the encoder's (universe,
+ * sourceName, cid).
+ */
+export const createLedOutput = ({ protocol = "ddp", ...options } = {}) => {
+  const encode = ENCODERS[protocol];
+  if (!encode) {
+    throw new LedError(`unknown protocol "${protocol}". Use ${LED_PROTOCOLS.join(", ")}.`);
+  }
+  // DDP sequences skip 0, which means "unused".
+  let sequence = 0;
+  return {
+    protocol,
+    encode(frame) {
+      sequence = protocol === "ddp" ? (sequence % 15) + 1 : (sequence + 1) & 0xff;
+      return encode(toLedPixels(frame, options), { ...options, sequence });
+    },
+  };
+};
+
+/**
+ * The browser-to-bridge frame: "HGF\x01", cols, rows, a 16-bit sequence,
+ * then intensity, r, g, b per cell, one byte each.
+ */
+export const encodeGridFrame = ({ grid, intensities, colors, rgb, sequence = 0 }) => {
+  const cells = grid.cols * grid.rows;
+  const base = toRgb(rgb, [255, 255, 255]);
+  const packet = new Uint8Array(8 + cells * 4);
+  packet.set(GRID_FRAME_MAGIC);
+  packet[4] = grid.cols;
+  packet[5] = grid.rows;
+  new DataView(packet.buffer).setUint16(6, sequence & 0xffff);
+  for (let cell = 0; cell < cells; cell++) {
+    packet.set([Math.round(clamp01(intensities[cell] ?? 0) * 255), ...toRgb(colors?.[cell], base)], 8 + cell * 4);
+  }
+  return packet;
+};
+
+/**
+ * Reads an encodeGridFrame packet or the JSON form
+ * `{ grid: "3x3", intensities: [0..1], colors: ["r, g, b" | [r, g, b]], rgb }`.
+ */
+export const decodeGridFrame = (message) => {
+  if (typeof message === "string") {
+    let json;
+    try {
+      json = JSON.parse(message);
+    } catch {
+      throw new LedError("frame is neither binary nor JSON.");
+    }
+    const [cols, rows] = String(json.grid ?? "").split("x").map(Number);
+    if (!(cols > 0 && rows > 0) || !Array.isArray(json.intensities)) {
+      throw new LedError('JSON frames need "grid" ("CxR") and "intensities".');
+    }
+    if (json.intensities.length !== cols * rows) {
+      throw new LedError(`expected ${cols * rows} intensities for ${cols}x${rows}, got ${json.intensities.length}.`);
+    }
+    const base = toRgb(json.rgb, [255, 255, 255]);
+    return {
+      grid: { cols, rows },
+      sequence: Number(json.sequence) || 0,
+      intensities: json.intensities.map((value) => clamp01(Number(value) || 0)),
+      colors: json.intensities.map((_, cell) => toRgb(json.colors?.[cell], base)),
+    };
+  }
+  const bytes = message instanceof Uint8Array ? message : new Uint8Array(message);
+  if (bytes.length < 8 || GRID_FRAME_MAGIC.some((byte, idx) => bytes[idx] !== byte)) {
+    throw new LedError("not a grid frame.");
+  }
+  const grid = { cols: bytes[4], rows: bytes[5] };
+  const cells = grid.cols * grid.rows;
+  if (bytes.length !== 8 + cells * 4) {
+    throw new LedError(`a ${gridKey(grid)} frame is ${8 + cells * 4} bytes, got ${bytes.length}.`);
+  }
+  const cell = (idx) => bytes.subarray(8 + idx * 4, 12 + idx * 4);
+  return {
+    grid,
+    sequence: new DataView(bytes.buffer, bytes.byteOffset).getUint16(6),
+    intensities: range(cells).map((idx) => cell(idx)[0] / 255),
+    colors: range(cells).map((idx) => [...cell(idx).subarray(1)]),
+  };
+};
+
+const readDdp = (state, packet) => {
+  const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+  if (packet.length < DDP_HEADER || (packet[0] & 0xc0) !== DDP_VERSION) {
+    throw new LedError("not a DDP v1 packet.");
+  }
+  const offset = view.getUint32(4);
+  const length = view.getUint16(8);
+  const needed = offset + length;
+  if (state.buffer.length < needed) {
+    const grown = new Uint8Array(needed);
+    grown.set(state.buffer);
+    state.buffer = grown;
+  }
+  state.buffer.set(packet.subarray(DDP_HEADER, DDP_HEADER + length), offset);
+  if (!(packet[0] & DDP_PUSH)) return null;
+  const frame = state.buffer.slice(0, needed);
+  state.buffer = new Uint8Array(0);
+  return { sequence: packet[1] & 0x0f, pixels: frame };
+};
+
+const readSacn = (state, packet, { universe = 1, pixels = SACN_PIXELS_PER_UNIVERSE }) => {
+  if (packet.length < SACN_HEADER || SACN_ID.some((byte, idx) => packet[4 + idx] !== byte)) {
+    throw new LedError("not an E1.31 packet.");
+  }
+  const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+  const index = view.getUint16(113) - universe;
+  const slots = view.getUint16(123) - 1;
+  state.universes[index] = packet.slice(SACN_HEADER, SACN_HEADER + slots);
+  const universes = Math.ceil((pixels * 3) / (SACN_PIXELS_PER_UNIVERSE * 3));
+  if (index !== universes - 1) return null;
+  const frame = new Uint8Array(pixels * 3);
+  let offset = 0;
+  for (const data of state.universes.slice(0, universes)) {
+    if (!data) return null;
+    frame.set(data.subarray(0, frame.length - offset), offset);
+    offset += data.length;
+  }
+  state.universes = [];
+  return { sequence: packet[111], pixels: frame };
+};
+
+const readAdalight = (state, packet) => {
+  const stream = new Uint8Array(state.buffer.length + packet.length);
+  stream.set(state.buffer);
+  stream.set(packet, state.buffer.length);
+  state.buffer = stream;
+  const start = stream.findIndex(
+    (byte, idx) =>
+      byte === 0x41 &&
+      stream[idx + 1] === 0x64 &&
+      stream[idx + 2] === 0x61 &&
+      idx + 5 < stream.length &&
+      (stream[idx + 3] ^ stream[idx + 4] ^ 0x55) === stream[idx + 5]
+  );
+  if (start === -1) return null;
+  const length = ((stream[start + 3] << 8) | stream[start + 4]) * 3 + 3;
+  if (stream.length < start + 6 + length) return null;
+  state.buffer = stream.slice(start + 6 + length);
+  return { sequence: null, pixels: stream.slice(start + 6, start + 6 + length) };
+};
+
+const READERS = { ddp: readDdp, sacn: readSacn, adalight: readAdalight };
+
+/**
+ * Stands in for a panel: `receive(packet)` takes what a createLedOutput (or a
+ * serial stream) would send and `frames` collects every completed frame as
+ * `{ sequence, pixels }`. sACN needs the `pixels` count and first `universe`
+ * to know when a frame is complete. With `record: false`, `frames` stays empty
+ * and only `receive`'s return value carries each frame, for long runs.
+ */
+export const createMockLedDevice = ({ protocol = "ddp", record = true, ...options } = {}) => {
+  const read = READERS[protocol];
+  if (!read) {
+    throw new LedError(`unknown protocol "${protocol}". Use ${LED_PROTOCOLS.join(", ")}.`);
+  }
+  const state = { buffer: new Uint8Array(0), universes: [] };
+  const frames = [];
+  return {
+    frames,
+    receive(packet) {
+      const frame = read(state, packet, options);
+      if (frame && record) frames.push(frame);
+      return frame;
+    },
+  };
+};
@@ -0,0 +1,14 @@
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+
+/** Reads every .hypno file in `dir` as `{ file, source }` for buildPatterns' `sources`. */
+export const loadHypnoSources = (dir) =>
+  existsSync(dir)
+    ? readdirSync(dir)
+        .filter((name) => name.endsWith(".hypno"))
+        .sort()
+        .map((name) => {
+          const file = path.join(dir, name);
+          return { file, source: readFileSync(file, "utf8") };
+        })
+    : [];
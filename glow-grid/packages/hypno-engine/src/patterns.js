@@ -0,0 +1,302 @@
+import { sampleStops } from "./colors.js";
+import { HypnoError, compileHypno } from "./dsl.js";
+import { DEFAULT_GRID, gridGeometry, range, union } from "./grid.js";
+import { createRandom } from "./random.js";
+import { COLOR_THEMES } from "./themes.js";
+
+export const DEFAULT_SEED = "123";
+export const RANDOM_STEPS = 12;
+
+export const CATEGORY_LABELS = {
+  ring: "Rings",
+  corners: "Corners",
+  edges: "Edges",
+  rows: "Rows",
+  cols: "Columns",
+  diag: "Diagonals",
+  ripple: "Ripples",
+  pulse: "Pulses",
+  checker: "Checkers",
+  bar: "Bars",
+  box: "Boxes",
+  snake: "Snakes",
+  quadrant: "Quadrants",
+  arc: "Arcs",
+  diamond: "Diamonds",
+  scan: "Scans",
+  rain: "Rain",
+  stair: "Stairs",
+  spiral: "Spirals",
+  wave: "Waves",
+  random: "Random",
+  color: "Colors",
+  custom: "Custom",
+  misc: "Misc",
+};
+
+/**
+ * Every built-in pattern for `grid`, followed by those defined in `sources`
+ * (`[{ file, source }]` of .hypno text). Throws a HypnoError listing every
+ * problem in the sources.
+ */
+export const buildPatterns = (grid = DEFAULT_GRID, seed = DEFAULT_SEED, { sources = [] } = {}) => {
+  const patterns = [];
+  const add = (id, label, frames, beatMs = 140, category = "misc", extra = {}) => {
+    patterns.push({
+      id,
+      label,
+      frames,
+      beatMs,
+      loopMs: frames.length * beatMs,
+      category,
+      grid,
+      ...extra,
+    });
+  };
+
+  const {
+    cells,
+    rowLines: rows,
+    colLines: cols,
+    ring,
+    spiral,
+    corners,
+    edges,
+    layers,
+    center,
+    diagonals,
+    checker,
+    diagWaveTL,
+    diagWaveTR,
+    quadrants,
+    rowLayers,
+    colLayers,
+    snakeRowLR,
+    snakeRowRL,
+    snakeColTB,
+    snakeColBT,
+    stairPathTL,
+    stairPathBR,
+  } = gridGeometry(grid);
+  const innerLayer = layers[1] ?? [];
+
+  const chase = (order, windowSize) =>
+    order.map((_, i) => {
+      const group = [];
+      for (let w = 0; w < windowSize; w++) {
+        group.push(order[(i + w) % order.length]);
+      }
+      return group;
+    });
+
+  const pingPong = (frames) => frames.concat(frames.slice(1, -1).reverse());
+
+  const mirrorBack = (frames) => frames.concat(frames.slice(0, -1).reverse());
+
+  const skip = (order, step) => {
+    const frames = [];
+    let idx = 0;
+    for (let i = 0; i < order.length; i++) {
+      frames.push([order[idx]]);
+      idx = (idx + step) % order.length;
+    }
+    return frames;
+  };
+
+  const stairs = (path, width = 3) =>
+    range(path.length + width - 1).map((i) =>
+      path.slice(Math.max(0, i - width + 1), i + 1)
+    );
+
+  const addSequence = (id, label, order, beatMs = 120, category = "misc") => {
+    add(
+      id,
+      label,
+      order.map((idx) => [idx]),
+      beatMs,
+      category
+    );
+  };
+
+  [1, 2, 3, 4].forEach((size) => {
+    add(`ring-${size}-cw`, `ring-${size}-cw`, chase(ring, size), 120, "ring");
+    add(
+      `ring-${size}-ccw`,
+      `ring-${size}-ccw`,
+      chase([...ring].reverse(), size),
+      120,
+      "ring"
+    );
+  });
+
+  add("ring-skip-3-cw", "ring-skip-3-cw", skip(ring, 3), 130, "ring");
+  add(
+    "ring-skip-3-ccw",
+    "ring-skip-3-ccw",
+    skip([...ring].reverse(), 3),
+    130,
+    "ring"
+  );
+
+  const half = Math.floor(ring.length / 2);
+  add(
+    "ring-opposite",
+    "ring-opposite",
+    ring.map((_, i) => [ring[i], ring[(i + half) % ring.length]]),
+    140,
+    "ring"
+  );
+  add(
+    "ring-gap-2",
+    "ring-gap-2",
+    ring.map((_, i) => [ring[i], ring[(i + 2) % ring.length]]),
+    140,
+    "ring"
+  );
+  add(
+    "ring-gap-3",
+    "ring-gap-3",
+    ring.map((_, i) => [ring[i], ring[(i + 3) % ring.length]]),
+    140,
+    "ring"
+  );
+
+  add("corners-cw", "corners-cw", chase(corners, 1), 160, "corners");
+  add("corners-ccw", "corners-ccw", chase([...corners].reverse(), 1), 160, "corners");
+  add("edges-cw", "edges-cw", chase(edges, 1), 160, "edges");
+  add("edges-ccw", "edges-ccw", chase([...edges].reverse(), 1), 160, "edges");
+
+  add("rows-down", "rows-down", rows, 200, "rows");
+  add("rows-up", "rows-up", [...rows].reverse(), 200, "rows");
+  add("cols-right", "cols-right", cols, 200, "cols");
+  add("cols-left", "cols-left", [...cols].reverse(), 200, "cols");
+
+  add("rows-bounce", "rows-bounce", pingPong(rows), 180, "rows");
+  add("cols-bounce", "cols-bounce", pingPong(cols), 180, "cols");
+
+  add("rows-split", "rows-split", mirrorBack(rowLayers), 190, "rows");
+  add("cols-split", "cols-split", mirrorBack(colLayers), 190, "cols");
+
+  add("diag-wave-tl", "diag-wave-tl", diagWaveTL, 150, "diag");
+  add("diag-wave-tr", "diag-wave-tr", diagWaveTR, 150, "diag");
+  add("diag-bounce-tl", "diag-bounce-tl", pingPong(diagWaveTL), 150, "diag");
+  add("diag-bounce-tr", "diag-bounce-tr", pingPong(diagWaveTR), 150, "diag");
+
+  const layersIn = [...layers].reverse();
+  add("ripple-out", "ripple-out", layers, 200, "ripple");
+  add("ripple-in", "ripple-in", layersIn, 200, "ripple");
+  const outerLayers = layers.length > 1 ? layers.slice(1) : layers;
+  add("edge-ripple", "edge-ripple", mirrorBack(outerLayers), 190, "ripple");
+  add(
+    "corner-ripple",
+    "corner-ripple",
+    layersIn.concat(layers.slice(1)),
+    190,
+    "ripple"
+  );
+
+  add("center-echo", "center-echo", [center, innerLayer, center], 190, "pulse");
+  add("cross-echo", "cross-echo", [center, union(center, innerLayer), center], 190, "pulse");
+  add("x-echo", "x-echo", [center, union(center, diagonals), center], 190, "pulse");
+
+  add("checkerboard", "checkerboard", checker, 210, "checker");
+  add(
+    "checkerboard-flip",
+    "checkerboard-flip",
+    [union(corners), cells.filter((idx) => !corners.includes(idx))],
+    210,
+    "checker"
+  );
+
+  const barRotate = [rows[0], cols[cols.length - 1], rows[rows.length - 1], cols[0]];
+  add("bar-rotate-cw", "bar-rotate-cw", barRotate, 170, "bar");
+  add("bar-rotate-ccw", "bar-rotate-ccw", [...barRotate].reverse(), 170, "bar");
+
+  const boxIn = [ring, ...layersIn.slice(1)];
+  add("box-in", "box-in", boxIn, 210, "box");
+  add("box-out", "box-out", [...boxIn].reverse(), 210, "box");
+
+  addSequence("snake-row-lr", "snake-row-lr", snakeRowLR, 120, "snake");
+  addSequence("snake-row-rl", "snake-row-rl", snakeRowRL, 120, "snake");
+  addSequence("snake-col-tb", "snake-col-tb", snakeColTB, 120, "snake");
+  addSequence("snake-col-bt", "snake-col-bt", snakeColBT, 120, "snake");
+
+  add("quadrant-cw", "quadrant-cw", quadrants, 180, "quadrant");
+  add("quadrant-ccw", "quadrant-ccw", [...quadrants].reverse(), 180, "quadrant");
+
+  const arcs = corners.map((corner) => {
+    const at = ring.indexOf(corner);
+    return union(
+      [ring[(at + ring.length - 1) % ring.length], corner],
+      [ring[(at + 1) % ring.length]]
+    );
+  });
+  add("arc-cw", "arc-cw", arcs, 170, "arc");
+  add("arc-ccw", "arc-ccw", [...arcs].reverse(), 170, "arc");
+
+  const diamond = edges.map((edge) => union([edge], center));
+  add("diamond-cw", "diamond-cw", diamond, 170, "diamond");
+  add("diamond-ccw", "diamond-ccw", [...diamond].reverse(), 170, "diamond");
+
+  addSequence("scan-row", "scan-row", cells, 110, "scan");
+  addSequence("scan-row-rev", "scan-row-rev", [...cells].reverse(), 110, "scan");
+
+  addSequence("rain-left", "rain-left", cols.flat(), 110, "rain");
+  addSequence("rain-right", "rain-right", [...cols].reverse().flat(), 110, "rain");
+
+  add("stair-tl", "stair-tl", stairs(stairPathTL), 160, "stair");
+  add("stair-br", "stair-br", stairs(stairPathBR), 160, "stair");
+
+  addSequence("spiralOuter", "spiralOuter", spiral, 150, "spiral");
+  add(
+    "waveDiagonal",
+    "waveDiagonal",
+    stairs(diagWaveTL, 2).map((window) => window.flat()),
+    150,
+    "wave"
+  );
+  add("pulse", "pulse", [cells, []], 600, "pulse");
+
+  const random = createRandom(seed);
+  const maxPerStep = Math.max(1, Math.ceil(cells.length / 4));
+  const randomFrames = range(RANDOM_STEPS).map(() => {
+    const pool = [...cells];
+    const count = 1 + Math.floor(random() * maxPerStep);
+    for (let i = 0; i < count; i++) {
+      const pick = i + Math.floor(random() * (pool.length - i));
+      [pool[i], pool[pick]] = [pool[pick], pool[i]];
+    }
+    return union(pool.slice(0, count));
+  });
+  add("random", `random-${seed}`, randomFrames, 150, "random", { seed });
+
+  const themeRgb = (id) => COLOR_THEMES.find((theme) => theme.id === id).rgb;
+  const spectrum = ["ice", "mint", "gold", "ember", "rose", "violet"].map(themeRgb);
+  const ringPairs = chase(ring, 2);
+  add("ring-spectrum", "ring-spectrum", ringPairs, 120, "color", {
+    stepColors: ringPairs.map((_, i) => sampleStops(spectrum, i / ringPairs.length, true)),
+  });
+  add("ripple-duo", "ripple-duo", layers, 200, "color", {
+    stepColors: layers.map((_, i) => themeRgb(i === 0 ? "ember" : "ice")),
+  });
+  add("checkerboard-duo", "checkerboard-duo", checker, 210, "color", {
+    stepColors: [themeRgb("rose"), themeRgb("mint")],
+  });
+  add("diag-wave-gradient", "diag-wave-gradient", diagWaveTL, 150, "color", {
+    gradient: { mode: "diagonal", stops: [themeRgb("ice"), themeRgb("rose")] },
+  });
+
+  const reservedIds = new Set(patterns.map((pattern) => pattern.id));
+  const errors = [];
+  for (const { file, source } of sources) {
+    const compiled = compileHypno(source, { grid, file, reservedIds });
+    errors.push(...compiled.errors);
+    compiled.patterns.forEach((pattern) => {
+      reservedIds.add(pattern.id);
+      patterns.push(pattern);
+    });
+  }
+  if (errors.length) throw new HypnoError(errors);
+
+  return patterns;
+};
@@ -0,0 +1,164 @@
+import { parseRgb } from "./colors.js";
+import { computeFrame } from "./evaluate.js";
+
+// WCAG 2.3.1: no more than three general or red flashes in any one second,
+// unless they cover no more than a quarter of a 10° field (341 x 256 px).
+export const FLASH_LIMIT = {
+  perSecond: 3,
+  luminance: 0.1,
+  darker: 0.8,
+  red: 20,
+  redRatio: 0.8,
+  field: { width: 341, height: 256 },
+  area: 0.25,
+};
+export const FLASH_SAMPLE_MS = 10;
+
+const WHITE = [255, 255, 255];
+
+const linear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * Relative luminance and the WCAG red-flash value of a cell: `rgb` at
+ * `intensity`, lit against black.
+ */
+export const cellLight = (rgb, intensity) => {
+  const [r, g, b] = rgb.map((channel) => linear(channel * intensity));
+  const sum = rgb[0] + rgb[1] + rgb[2];
+  const saturatedRed = sum > 0 && rgb[0] / sum >= FLASH_LIMIT.redRatio;
+  return {
+    luminance: 0.2126 * r + 0.7152 * g + 0.0722 * b,
+    red: saturatedRed ? Math.max(0, (r - g - b) * 320) : 0,
+  };
+};
+
+// Times of each opposing change of at least `step`; `darkEnough` says whether
+// a change between two levels counts (general flashes need the darker below 0.8).
+const transitions = (series, times, step, darkEnough) => {
+  const found = [];
+  let low = series[0];
+  let high = series[0];
+  let direction = 0;
+  series.forEach((value, idx) => {
+    if (direction >= 0) {
+      high = Math.max(high, value);
+      if (high - value >= step && darkEnough(value)) {
+        found.push(times[idx]);
+        direction = -1;
+        low = value;
+        return;
+      }
+    }
+    if (direction <= 0) {
+      low = Math.min(low, value);
+      if (value - low >= step && darkEnough(low)) {
+        found.push(times[idx]);
+        direction = 1;
+        high = value;
+      }
+    }
+  });
+  return found;
+};
+
+// Most transitions inside any half-open window of `windowMs`, and the
+// shortest span that holds one transition more than the limit allows.
+const windowStats = (times, windowMs, limit) => {
+  let most = 0;
+  let shortest = Infinity;
+  let start = 0;
+  times.forEach((time, end) => {
+    while (time - times[start] >= windowMs) start += 1;
+    most = Math.max(most, end - start + 1);
+    if (end >= limit) shortest = Math.min(shortest, time - times[end - limit]);
+  });
+  return { most, shortest };
+};
+
+// How much of cell `index` (`size` px each) a span of `length` px from `start` covers.
+const overlap = (index, size, start, length) =>
+  Math.max(0, Math.min((index + 1) * size, start + length) - Math.max(index * size, start));
+
+// The largest share of a 10° field that `flashing` cells cover. A field slid
+// over the grid covers the most when one of its edges meets a cell edge.
+const fieldShare = (flashing, { cols, rows }, cellPx) => {
+  const cells = flashing.flatMap((on, idx) => (on ? [idx] : []));
+  if (!cellPx) return cells.length / (cols * rows);
+  const { width, height } = FLASH_LIMIT.field;
+  const starts = (count, length) =>
+    Array.from({ length: count }, (_, idx) => [idx * cellPx, (idx + 1) * cellPx - length]).flat();
+  let most = 0;
+  for (const x of starts(cols, width)) {
+    for (const y of starts(rows, height)) {
+      const covered = cells.reduce(
+        (sum, idx) =>
+          sum + overlap(idx % cols, cellPx, x, width) * overlap(Math.floor(idx / cols), cellPx, y, height),
+        0
+      );
+      most = Math.max(most, covered);
+    }
+  }
+  return Math.min(1, most / (width * height));
+};
+
+/**
+ * Samples `pattern` against the WCAG 2.3.1 three-flash threshold. A flash is
+ * a pair of opposing luminance changes of 10% or more with the darker side
+ * below 0.8, or a pair of saturated-red changes, counted cell by cell. Cells
+ * use the pattern's own colors, else `theme.rgb`, else white (the worst case).
+ * `cellPx` is a cell's size on screen; without it the grid fills the field.
+ *
+ * Returns `{ flashesPerSecond, redFlashesPerSecond, area, safe, safeSpeed }`
+ * for playback at `speed`: `area` is the largest share of a 10° field that
+ * cells over the limit cover, `safe` whether that stays within a quarter and
+ * `safeSpeed` the fastest speed that keeps it there, up to `speed` (or 1).
+ */
+export const analyzeFlashes = (
+  pattern,
+  { theme = null, speed = 1, sampleMs = FLASH_SAMPLE_MS, cellPx = null } = {}
+) => {
+  const windowMs = 1000 * speed;
+  // One loop plus a window, so windows that wrap around the loop are seen too.
+  const spanMs = pattern.loopMs + Math.max(windowMs, 1000);
+  const times = Array.from({ length: Math.ceil(spanMs / sampleMs) + 1 }, (_, idx) => idx * sampleMs);
+  const fallback = parseRgb(theme?.rgb) ?? WHITE;
+  const cellCount = pattern.grid.cols * pattern.grid.rows;
+  const luminance = Array.from({ length: cellCount }, () => []);
+  const red = Array.from({ length: cellCount }, () => []);
+  for (const t of times) {
+    const { intensities, colors } = computeFrame(t, pattern, theme);
+    intensities.forEach((value, cell) => {
+      const light = cellLight(parseRgb(colors?.[cell]) ?? fallback, value);
+      luminance[cell].push(light.luminance);
+      red[cell].push(light.red);
+    });
+  }
+
+  const limit = FLASH_LIMIT.perSecond * 2;
+  const measure = (series, step, darkEnough) =>
+    series.map((values) => windowStats(transitions(values, times, step, darkEnough), windowMs, limit));
+  const general = measure(luminance, FLASH_LIMIT.luminance, (level) => level < FLASH_LIMIT.darker);
+  const redFlashes = measure(red, FLASH_LIMIT.red, () => true);
+
+  const rate = (stats) => Math.max(...stats.map(({ most }) => most)) / 2;
+  const over = general.map((stats, cell) => Math.max(stats.most, redFlashes[cell].most) > limit);
+  const area = fieldShare(over, pattern.grid, cellPx);
+  // A cell goes over the limit above the speed that fits its shortest span
+  // into one second; the safe speed is where those cells first cover too much.
+  const thresholds = general.map((stats, cell) => Math.min(stats.shortest, redFlashes[cell].shortest) / 1000);
+  const shareAbove = (threshold) =>
+    fieldShare(thresholds.map((value) => value <= threshold), pattern.grid, cellPx);
+  const safeSpeed = [...new Set(thresholds)]
+    .sort((a, b) => a - b)
+    .find((threshold) => shareAbove(threshold) > FLASH_LIMIT.area);
+  return {
+    flashesPerSecond: rate(general),
+    redFlashesPerSecond: rate(redFlashes),
+    area,
+    safe: area <= FLASH_LIMIT.area,
+    safeSpeed: Math.min(Math.max(speed, 1), safeSpeed ?? Infinity),
+  };
+};
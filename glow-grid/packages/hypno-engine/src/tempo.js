@@ -0,0 +1,55 @@
+export const BPM_RANGE = { min: 40, max: 240, fallback: 120 };
+
+// Note values in quarter-note beats; triplets are two-thirds of the straight note.
+export const BEAT_DIVISIONS = [
+  { id: "1/1", beats: 4 },
+  { id: "1/2", beats: 2 },
+  { id: "1/4", beats: 1 },
+  { id: "1/4T", beats: 2 / 3 },
+  { id: "1/8", beats: 1 / 2 },
+  { id: "1/8T", beats: 1 / 3 },
+  { id: "1/16", beats: 1 / 4 },
+  { id: "1/16T", beats: 1 / 6 },
+  { id: "1/32", beats: 1 / 8 },
+];
+
+const STRAIGHT = BEAT_DIVISIONS.filter(({ id }) => !id.endsWith("T"));
+
+export const parseBpm = (value) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return null;
+  return Math.min(BPM_RANGE.max, Math.max(BPM_RANGE.min, parsed));
+};
+
+/**
+ * The note value at `bpm` closest to `beatMs` (by ratio, so 1/8 vs 1/16 is
+ * as far as 1/4 vs 1/8). Returns `{ division, beatMs }`.
+ */
+export const snapBeatMs = (beatMs, bpm, { triplets = false } = {}) => {
+  const quarterMs = 60000 / bpm;
+  const distance = ({ beats }) => Math.abs(Math.log((beats * quarterMs) / beatMs));
+  const best = (triplets ? BEAT_DIVISIONS : STRAIGHT).reduce((a, b) =>
+    distance(b) < distance(a) ? b : a
+  );
+  return { division: best.id, beatMs: best.beats * quarterMs };
+};
+
+/** Playback speed that puts `pattern`'s beat on its snapped note value at `bpm`. */
+export const bpmSpeed = (pattern, bpm, options) =>
+  pattern.beatMs / snapBeatMs(pattern.beatMs, bpm, options).beatMs;
+
+/** Tempo from onset times: the median gap, folded into `range` by octaves. */
+export const estimateBpm = (onsetTimesMs, range = { min: 70, max: 180 }) => {
+  const gaps = onsetTimesMs
+    .slice(1)
+    .map((time, idx) => time - onsetTimesMs[idx])
+    .filter((gap) => gap > 0)
+    .sort((a, b) => a - b);
+  if (!gaps.length) return null;
+  const middle = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+  let bpm = 60000 / median;
+  while (bpm < range.min) bpm *= 2;
+  while (bpm > range.max) bpm /= 2;
+  return bpm;
+};
@@ -0,0 +1,17 @@
+export const COLOR_THEMES = [
+  { id: "ice", name: "Ice", rgb: "150, 210, 255" },
+  { id: "ember", name: "Ember", rgb: "255, 190, 140" },
+  { id: "rose", name: "Rose", rgb: "255, 140, 170" },
+  { id: "mint", name: "Mint", rgb: "140, 255, 210" },
+  { id: "violet", name: "Violet", rgb: "200, 175, 255" },
+  { id: "gold", name: "Gold", rgb: "255, 235, 160" },
+  {
+    id: "ice-violet",
+    name: "Ice → Violet",
+    rgb: "150, 210, 255",
+    gradient: ["150, 210, 255", "200, 175, 255"],
+  },
+];
+
+// Gradient themes sweep over the loop, so default colors stick to solid ones.
+export const SOLID_THEMES = COLOR_THEMES.filter((theme) => !theme.gradient);
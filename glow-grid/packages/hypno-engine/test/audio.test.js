@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { test } from "node:test";
+import {
+  WavError,
+  advanceWithAudio,
+  analyzeSamples,
+  buildPatterns,
+  decodeWav,
+  estimateBpm,
+  modulateIntensities,
+} from "../src/index.js";
+
+// Synthetic recordings; regenerate with: UPDATE_FIXTURES=1 npm test
+const CLICKS_URL = new URL("./fixtures/clicks-120bpm.wav", import.meta.url);
+const SWELL_URL = new URL("./fixtures/swell-stereo.wav", import.meta.url);
+const CLICK_TIMES_MS = [250, 750, 1250, 1750];
+const FRAME_SIZE = 256;
+
+const WRITERS = {
+  pcm16: {
+    tag: 1,
+    bits: 16,
+    write: (view, offset, value) => view.setInt16(offset, value * 32767, true),
+  },
+  pcm24: {
+    tag: 1,
+    bits: 24,
+    write: (view, offset, value) => {
+      const int = Math.round(value * 8388607);
+      view.setUint16(offset, int & 0xffff, true);
+      view.setInt8(offset + 2, int >> 16);
+    },
+  },
+  float32: {
+    tag: 3,
+    bits: 32,
+    write: (view, offset, value) => view.setFloat32(offset, value, true),
+  },
+};
+
+const encodeWav = (sampleRate, channels, encoding = "pcm16") => {
+  const { tag, bits, write } = WRITERS[encoding];
+  const bytesPerSample = bits / 8;
+  const frames = channels[0].length;
+  const dataSize = frames * channels.length * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const ascii = (offset, text) =>
+    [...text].forEach((char, idx) => view.setUint8(offset + idx, char.charCodeAt(0)));
+  ascii(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, tag, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels.length * bytesPerSample, true);
+  view.setUint16(32, channels.length * bytesPerSample, true);
+  view.setUint16(34, bits, true);
+  ascii(36, "data");
+  view.setUint32(40, dataSize, true);
+  for (let frame = 0; frame < frames; frame++) {
+    channels.forEach((samples, channel) => {
+      write(view, 44 + (frame * channels.length + channel) * bytesPerSample, samples[frame]);
+    });
+  }
+  return new Uint8Array(view.buffer);
+};
+
+const synthesize = (sampleRate, seconds, sample) =>
+  Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, idx) =>
+    sample(idx / sampleRate)
+  );
+
+if (process.env.UPDATE_FIXTURES) {
+  // Decaying 1 kHz blips over faint noise, 8 kHz mono 16-bit.
+  let noise = 1;
+  const clicks = synthesize(8000, 2.2, (time) => {
+    noise = (noise * 16807) % 2147483647;
+    const hiss = 0.002 * (noise / 2147483647 - 0.5);
+    const since = CLICK_TIMES_MS.map((start) => time - start / 1000).find((t) => t >= 0 && t < 0.06);
+    if (since === undefined) return hiss;
+    return hiss + 0.8 * Math.exp(-since / 0.015) * Math.sin(2 * Math.PI * 1000 * since);
+  });
+  writeFileSync(CLICKS_URL, encodeWav(8000, [clicks]));
+
+  // A 220 Hz tone rising from -60 dB to full scale over 1s, then 0.5s of silence;
+  // 4 kHz stereo float with the right channel at half level.
+  const swell = synthesize(4000, 1.5, (time) =>
+    time < 1 ? 10 ** ((60 * time - 60) / 20) * Math.sin(2 * Math.PI * 220 * time) : 0
+  );
+  writeFileSync(SWELL_URL, encodeWav(4000, [swell, swell.map((value) => value / 2)], "float32"));
+}
+
+const clicks = decodeWav(readFileSync(CLICKS_URL));
+const swell = decodeWav(readFileSync(SWELL_URL));
+
+test("decodes PCM and float WAV fixtures to mono", () => {
+  assert.equal(clicks.sampleRate, 8000);
+  assert.equal(clicks.channels, 1);
+  assert.equal(clicks.samples.length, 17600);
+  assert.equal(swell.sampleRate, 4000);
+  assert.equal(swell.channels, 2);
+  assert.equal(swell.samples.length, 6000);
+  // Half-level right channel mixes down to three quarters of the left.
+  const time = 3999 / 4000;
+  const left = 10 ** ((60 * time - 60) / 20) * Math.sin(2 * Math.PI * 220 * time);
+  assert.ok(Math.abs(swell.samples[3999] - 0.75 * left) < 1e-6);
+});
+
+test("decodes 24-bit samples and rejects other files", () => {
+  const values = [0, 0.5, -0.5, -1, 0.999];
+  const { samples } = decodeWav(encodeWav(8000, [Float32Array.from(values)], "pcm24"));
+  values.forEach((value, idx) => assert.ok(Math.abs(samples[idx] - value) < 1e-6));
+  assert.throws(() => decodeWav(new TextEncoder().encode("not audio at all")), WavError);
+  const header = encodeWav(8000, [Float32Array.from(values)]).slice(0, 36);
+  assert.throws(() => decodeWav(header), WavError);
+});
+
+test("finds one onset per click and the tempo", () => {
+  const frameMs = (FRAME_SIZE / clicks.sampleRate) * 1000;
+  const frames = analyzeSamples(clicks.samples, clicks.sampleRate, { frameSize: FRAME_SIZE });
+  const onsets = frames.filter((frame) => frame.onset).map((frame) => frame.timeMs);
+  assert.equal(onsets.length, CLICK_TIMES_MS.length);
+  onsets.forEach((time, idx) => {
+    assert.ok(time >= CLICK_TIMES_MS[idx] && time <= CLICK_TIMES_MS[idx] + 2 * frameMs, `${time}`);
+  });
+  // Onset times are only as fine as the 32ms frames.
+  assert.ok(Math.abs(estimateBpm(onsets) - 120) < 120 * (frameMs / 500));
+});
+
+test("level follows loudness with attack and release", () => {
+  const frames = analyzeSamples(swell.samples, swell.sampleRate, { frameSize: FRAME_SIZE / 2 });
+  const at = (ms) => frames.find((frame) => frame.timeMs >= ms).level;
+  assert.ok(at(100) < 0.05);
+  assert.ok(at(400) < at(600) && at(600) < at(800));
+  assert.ok(at(1000) > 0.95);
+  assert.ok(at(1400) < 0.3);
+  const rising = frames.filter((frame) => frame.timeMs > 200 && frame.timeMs <= 1000);
+  rising.slice(1).forEach((frame, idx) => assert.ok(frame.level >= rising[idx].level));
+});
+
+test("onsets step the pattern and level scales time", () => {
+  const ring = buildPatterns().find((pattern) => pattern.id === "ring-1-cw"); // 120ms beats
+  const quiet = { level: 0.5, onset: false };
+  assert.equal(advanceWithAudio(ring, 0, 16, quiet), 16);
+  assert.equal(advanceWithAudio(ring, 110, 16, quiet), 119);
+  assert.equal(advanceWithAudio(ring, 119, 16, quiet), 119);
+  assert.equal(advanceWithAudio(ring, 119, 16, { ...quiet, onset: true }), 120);
+  assert.equal(advanceWithAudio(ring, 10, 16, { ...quiet, onset: true }), 120);
+  // The last step wraps into the next loop.
+  const beat = { ...quiet, onset: true };
+  assert.equal(advanceWithAudio(ring, ring.loopMs * 2 - 5, 16, beat), ring.loopMs * 2);
+  assert.equal(advanceWithAudio(ring, 100, 20, quiet, { mode: "level", speed: 2 }), 120);
+});
+
+test("intensity follows level down to the floor", () => {
+  assert.deepEqual(modulateIntensities([1, 0.5, 0], 1), [1, 0.5, 0]);
+  assert.deepEqual(modulateIntensities([1, 0.5, 0], 0, 0.25), [0.25, 0.125, 0]);
+  assert.deepEqual(modulateIntensities([1], 0.5, 0), [0.5]);
+});
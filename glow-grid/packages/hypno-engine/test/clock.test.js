@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createClock } from "../src/index.js";
+
+const createManualScheduler = () => {
+  const queue = new Map();
+  let nextHandle = 1;
+  return {
+    request(callback) {
+      queue.set(nextHandle, callback);
+      return nextHandle++;
+    },
+    cancel(handle) {
+      queue.delete(handle);
+    },
+    flush() {
+      const callbacks = [...queue.values()];
+      queue.clear();
+      callbacks.forEach((callback) => callback());
+    },
+    get pending() {
+      return queue.size;
+    },
+  };
+};
+
+test("ticks subscribers with time quantized to the frame rate", () => {
+  let time = 1000;
+  const scheduler = createManualScheduler();
+  const clock = createClock({ fps: 10, now: () => time, scheduler });
+  const ticks = [];
+  clock.subscribe((t) => ticks.push(t));
+
+  for (const next of [1050, 1120, 1190, 1260]) {
+    time = next;
+    scheduler.flush();
+  }
+
+  assert.deepEqual(ticks, [100, 200]);
+});
+
+test("stops scheduling once the last subscriber leaves", () => {
+  const scheduler = createManualScheduler();
+  const clock = createClock({ fps: 10, now: () => 0, scheduler });
+  const unsubscribe = clock.subscribe(() => {});
+  assert.equal(scheduler.pending, 1);
+  unsubscribe();
+  assert.equal(scheduler.pending, 0);
+});
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  CompositionError,
+  buildPatterns,
+  composePattern,
+  computeFrame,
+  layerPatterns,
+  mirrorPattern,
+  parseGrid,
+  parsePatternExpression,
+  reversePattern,
+  rotatePattern,
+  scaleSpeed,
+  sequencePatterns,
+  stepTimes,
+} from "../src/index.js";
+
+const patternsFor = (grid = "3x3") =>
+  new Map(buildPatterns(parseGrid(grid)).map((pattern) => [pattern.id, pattern]));
+const PATTERNS = patternsFor();
+const get = (id) => PATTERNS.get(id);
+const resolve = (id) => PATTERNS.get(id) ?? null;
+const sample = (pattern, t, theme) => computeFrame(t, pattern, theme).intensities;
+
+test("reverse matches the hand-built ccw variants", () => {
+  const reversed = reversePattern(get("ring-1-cw"));
+  assert.deepEqual(reversed.frames, get("ring-1-ccw").frames);
+  assert.equal(reversed.id, "ring-1-cw|reverse");
+  assert.equal(reversed.loopMs, get("ring-1-cw").loopMs);
+});
+
+test("rotations and mirrors move cells on the grid", () => {
+  const rows = get("rows-down");
+  assert.deepEqual(rotatePattern(rows, 1).frames, get("cols-left").frames);
+  assert.deepEqual(rotatePattern(rows, 2).frames, get("rows-up").frames);
+  assert.deepEqual(mirrorPattern(get("cols-right"), "x").frames, get("cols-left").frames);
+  assert.deepEqual(mirrorPattern(rows, "y").frames, get("rows-up").frames);
+  assert.deepEqual(rotatePattern(rotatePattern(rows, 3), 1).frames, rows.frames);
+});
+
+test("odd rotations swap a rectangular grid", () => {
+  const wide = patternsFor("8x2").get("scan-row");
+  const turned = rotatePattern(wide, 1);
+  assert.deepEqual(turned.grid, { cols: 2, rows: 8 });
+  // Top-left of the 8x2 grid lands top-right of the 2x8 one.
+  assert.deepEqual(turned.frames[0], [1]);
+  for (const cells of turned.frames) {
+    for (const cell of cells) assert.ok(cell >= 0 && cell < 16);
+  }
+});
+
+test("speed scales beats, loop and pulse together", () => {
+  const pulse = get("pulse");
+  const fast = scaleSpeed(pulse, 2);
+  assert.equal(fast.loopMs, pulse.loopMs / 2);
+  assert.equal(fast.beatMs, pulse.beatMs / 2);
+  assert.deepEqual(sample(fast, 150), sample(pulse, 300));
+  assert.throws(() => scaleSpeed(pulse, 0), CompositionError);
+  assert.throws(() => scaleSpeed(pulse, Number.NaN), CompositionError);
+});
+
+test("speed scales ADSR times", () => {
+  const adsr = { ...get("pulse"), envelope: { type: "adsr", a: 80, d: 0, s: 1, h: 120, r: 400 } };
+  const slow = scaleSpeed(adsr, 0.5);
+  assert.equal(slow.envelope.a, 160);
+  assert.deepEqual(sample(slow, 200), sample(adsr, 100));
+});
+
+test("then concatenates steps and keeps each beat", () => {
+  const a = get("corners-cw");
+  const b = get("rows-down");
+  const both = sequencePatterns(a, b);
+  assert.equal(both.frames.length, a.frames.length + b.frames.length);
+  assert.equal(both.loopMs, a.loopMs + b.loopMs);
+  assert.deepEqual(stepTimes(both), [0, 160, 320, 480, 640, 840, 1040]);
+
+  const same = sequencePatterns(get("ring-1-cw"), get("ring-1-ccw"));
+  assert.equal(same.times, undefined);
+  assert.deepEqual(reversePattern(both).frames.at(-1), a.frames[0]);
+  assert.deepEqual(stepTimes(reversePattern(both)), [0, 200, 400, 560, 720, 880, 1040]);
+});
+
+test("layers blend intensities over a shared loop", () => {
+  const ring = get("ring-1-cw"); // 960ms
+  const pulse = get("pulse"); // 1200ms
+  for (const blend of ["max", "add", "multiply"]) {
+    const layered = layerPatterns(ring, pulse, blend);
+    assert.equal(layered.loopMs, 4800);
+    const a = sample(ring, 700);
+    const b = sample(pulse, 700);
+    const expected = a.map((value, idx) =>
+      blend === "max"
+        ? Math.max(value, b[idx])
+        : blend === "add"
+          ? Math.min(1, value + b[idx])
+          : value * b[idx]
+    );
+    assert.deepEqual(sample(layered, 700), expected);
+  }
+  assert.throws(() => layerPatterns(ring, pulse, "screen"), CompositionError);
+  assert.throws(() => sequencePatterns(layerPatterns(ring, pulse), ring), CompositionError);
+});
+
+test("layers take the color of the brightest layer", () => {
+  const layered = layerPatterns(get("ring-spectrum"), get("pulse"));
+  const theme = { id: "ice", rgb: "1, 2, 3" };
+  const { intensities, colors } = computeFrame(300, layered, theme);
+  const spectrum = computeFrame(300, get("ring-spectrum"), theme);
+  const pulse = computeFrame(300, get("pulse"), theme);
+  intensities.forEach((_, idx) => {
+    const fromSpectrum = spectrum.intensities[idx] >= pulse.intensities[idx];
+    assert.equal(colors[idx], fromSpectrum ? spectrum.colors[idx] : theme.rgb);
+  });
+});
+
+test("expressions compose left to right and round-trip their id", () => {
+  const expression = "ring-2-cw|rotate90|mirrorX|max(pulse|speed(2))";
+  const composed = composePattern(expression, resolve);
+  assert.equal(composed.id, expression);
+  assert.equal(composePattern(composed.id, resolve).loopMs, composed.loopMs);
+  const manual = layerPatterns(
+    mirrorPattern(rotatePattern(get("ring-2-cw"), 1), "x"),
+    scaleSpeed(get("pulse"), 2)
+  );
+  assert.deepEqual(sample(composed, 777), sample(manual, 777));
+  assert.deepEqual(parsePatternExpression(" pulse | reverse "), {
+    source: "pulse",
+    ops: [{ name: "reverse" }],
+  });
+});
+
+test("bad expressions throw CompositionError", () => {
+  for (const expression of [
+    "nope",
+    "pulse|spin",
+    "pulse|reverse(2)",
+    "pulse|speed()",
+    "pulse|then(ring-1-cw",
+    "pulse|max(missing)",
+    "|pulse",
+    "pulse|toString",
+  ]) {
+    assert.throws(() => composePattern(expression, resolve), CompositionError, expression);
+  }
+  const wide = patternsFor("8x2").get("scan-row");
+  assert.throws(() => layerPatterns(rotatePattern(wide, 1), wide), CompositionError);
+});
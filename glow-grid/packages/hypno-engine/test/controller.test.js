@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  COLOR_THEMES,
+  ControllerError,
+  buildPatterns,
+  computeFrame,
+  createGridController,
+  parseGrid,
+} from "../src/index.js";
+
+const PATTERNS = new Map(buildPatterns().map((pattern) => [pattern.id, pattern]));
+const get = (id) => PATTERNS.get(id);
+const resolve = (id) => PATTERNS.get(id) ?? null;
+const theme = (id) => COLOR_THEMES.find((entry) => entry.id === id);
+
+const STATES = {
+  idle: { pattern: "pulse", color: "ice" }, // 1200ms loop
+  listening: { pattern: "ring-1-cw", color: "mint" }, // 960ms loop
+  thinking: { pattern: "spiralOuter", color: "violet", speed: 2 },
+};
+
+const createController = (options) => {
+  const controller = createGridController({ states: STATES, resolve, ...options });
+  const events = [];
+  for (const type of ["change", "loop", "oneshotend"]) {
+    controller.on(type, (detail) => events.push({ type, ...detail }));
+  }
+  controller.frame(1000);
+  return { controller, events };
+};
+
+test("plays the initial state from the first frame", () => {
+  const { controller } = createController();
+  assert.equal(controller.state, "idle");
+  const { intensities, colors, active } = controller.frame(1300);
+  assert.equal(active, "idle");
+  assert.deepEqual(intensities, computeFrame(300, get("pulse")).intensities);
+  assert.ok(colors.every((color) => color === theme("ice").rgb));
+});
+
+test("cut switches at once and restarts the new pattern", () => {
+  const { controller, events } = createController();
+  controller.frame(1500);
+  controller.setState("listening", "cut");
+  assert.deepEqual(controller.frame(1600).intensities, computeFrame(100, get("ring-1-cw")).intensities);
+  assert.deepEqual(events.at(-1), { type: "change", from: "idle", to: "listening", oneShot: false });
+});
+
+test("crossfade mixes both patterns over its duration", () => {
+  const { controller } = createController({ transition: { type: "crossfade", durationMs: 400 } });
+  controller.frame(1500);
+  controller.setState("listening");
+  const { intensities, colors } = controller.frame(1600);
+  const from = computeFrame(600, get("pulse")).intensities;
+  const to = computeFrame(100, get("ring-1-cw")).intensities;
+  intensities.forEach((value, idx) => {
+    assert.ok(Math.abs(value - (from[idx] * 0.75 + to[idx] * 0.25)) < 1e-9);
+    assert.equal(colors[idx], to[idx] * 0.25 >= from[idx] * 0.75 ? theme("mint").rgb : theme("ice").rgb);
+  });
+  assert.deepEqual(controller.frame(1900).intensities, computeFrame(400, get("ring-1-cw")).intensities);
+});
+
+test("finish waits for the loop boundary", () => {
+  const { controller, events } = createController();
+  controller.frame(1500);
+  controller.setState("thinking", "finish");
+  assert.equal(controller.frame(2100).active, "idle");
+  // idle started at 1000 and loops every 1200ms; thinking runs at 2x speed.
+  const { active, intensities } = controller.frame(2300);
+  assert.equal(active, "thinking");
+  assert.deepEqual(intensities, computeFrame(200, get("spiralOuter")).intensities);
+  assert.deepEqual(
+    events.filter((event) => event.type !== "change" || event.from),
+    [
+      { type: "loop", state: "thinking", active: "idle", count: 1 },
+      { type: "change", from: "idle", to: "thinking", oneShot: false },
+    ]
+  );
+});
+
+test("one-shots play their loops, queue up and return", () => {
+  const { controller, events } = createController();
+  controller.playOnce("ring-2-cw", { loops: 2, transition: "cut" });
+  controller.playOnce("thinking", { transition: "cut" });
+  controller.setState("listening");
+  assert.equal(controller.frame(1100).active, "ring-2-cw");
+  // ring-2-cw inherits idle's color.
+  assert.ok(controller.frame(1100).colors.every((color) => color === theme("ice").rgb));
+
+  const ringLoop = get("ring-2-cw").loopMs;
+  const thinkingLoop = get("spiralOuter").loopMs / 2;
+  assert.equal(controller.frame(1000 + 2 * ringLoop + 1).active, "thinking");
+  assert.equal(controller.frame(1000 + 2 * ringLoop + thinkingLoop + 1).active, "listening");
+  assert.equal(controller.state, "listening");
+  assert.deepEqual(
+    events.filter((event) => event.type === "oneshotend"),
+    [
+      { type: "oneshotend", pattern: "ring-2-cw", state: "listening" },
+      { type: "oneshotend", pattern: "thinking", state: "listening" },
+    ]
+  );
+  assert.equal(events.filter((event) => event.type === "loop").length, 3);
+});
+
+test("a large jump in time crosses several boundaries in order", () => {
+  const { controller, events } = createController();
+  controller.playOnce("listening", { loops: 1, transition: "cut" });
+  controller.frame(1000 + 960 + 1200 * 2 + 10);
+  assert.deepEqual(
+    events.filter((event) => event.type === "loop").map((event) => event.active),
+    ["listening", "idle", "idle"]
+  );
+});
+
+test("seeking back keeps the current position", () => {
+  const { controller } = createController();
+  controller.frame(1300);
+  controller.frame(500);
+  assert.deepEqual(controller.frame(600).intensities, computeFrame(400, get("pulse")).intensities);
+});
+
+test("bad states, transitions and grids throw ControllerError", () => {
+  assert.throws(() => createGridController({ states: {}, resolve }), ControllerError);
+  assert.throws(
+    () => createGridController({ states: { idle: { pattern: "nope" } }, resolve }),
+    ControllerError
+  );
+  const { controller } = createController();
+  assert.throws(() => controller.setState("sleeping"), ControllerError);
+  assert.throws(() => controller.setState("listening", "dissolve"), ControllerError);
+  assert.throws(() => controller.on("tick", () => {}), ControllerError);
+
+  const wide = buildPatterns(parseGrid("8x2")).find((pattern) => pattern.id === "pulse");
+  assert.throws(
+    () => controller.configure({ ...STATES, wide: { pattern: wide } }),
+    /wide" is on 8x2/
+  );
+  // A failed configure leaves the old table in place.
+  assert.deepEqual(controller.states, ["idle", "listening", "thinking"]);
+  controller.configure({ idle: { pattern: "ring-3-cw" }, speaking: { pattern: "pulse" } });
+  assert.equal(controller.state, "idle");
+  assert.equal(controller.frame(1200).active, "idle");
+});
+
+test("limitSpeed slows each state as it starts", () => {
+  const seen = [];
+  const controller = createGridController({
+    states: STATES,
+    resolve,
+    limitSpeed: (speed, pattern) => {
+      seen.push(pattern.id);
+      return Math.min(speed, 0.5);
+    },
+  });
+  controller.frame(0);
+  assert.deepEqual(controller.frame(600).intensities, computeFrame(300, get("pulse")).intensities);
+  controller.playOnce({ pattern: "checkerboard", speed: 10 }, { transition: "cut" });
+  assert.deepEqual(controller.frame(700).intensities, computeFrame(50, get("checkerboard")).intensities);
+  assert.ok(seen.includes("checkerboard"));
+});
+
+test("malformed configure payloads throw ControllerError", () => {
+  const { controller } = createController();
+  const payloads = [
+    "x",
+    ["idle"],
+    { idle: null },
+    { idle: "pulse" },
+    { idle: { pattern: 7 } },
+    { idle: { pattern: { id: "bare" } } },
+    { idle: { pattern: { frames: [[0]], loopMs: 960 } } },
+  ];
+  for (const states of payloads) {
+    assert.throws(() => controller.configure(states), ControllerError, JSON.stringify(states));
+    assert.throws(() => createGridController({ states, resolve }), ControllerError);
+  }
+  assert.throws(() => controller.playOnce(null), ControllerError);
+  assert.throws(() => controller.playOnce({ pattern: 7 }), ControllerError);
+  assert.deepEqual(controller.states, ["idle", "listening", "thinking"]);
+});
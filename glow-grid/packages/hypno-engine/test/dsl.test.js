@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  HypnoError,
+  buildPatterns,
+  compileHypno,
+  formatHypnoError,
+  parseGrid,
+  validateHypno,
+} from "../src/index.js";
+
+const builtIn = (id, grid = "3x3") =>
+  buildPatterns(parseGrid(grid)).find((pattern) => pattern.id === id);
+
+const compileOne = (line, grid = "3x3") => {
+  const { patterns, errors } = compileHypno(line, { grid: parseGrid(grid) });
+  assert.deepEqual(errors, []);
+  return patterns[0];
+};
+
+const messages = (source) =>
+  validateHypno(source, { file: "test.hypno" }).map(formatHypnoError);
+
+test("shapes reproduce the JS-defined patterns", () => {
+  for (const grid of ["3x3", "5x5", "8x2"]) {
+    const cases = {
+      "ring-2-cw": "ring chase 2 cw @120ms",
+      "ring-3-ccw": "ring chase 3 ccw @120ms",
+      "ring-skip-3-cw": "ring skip 3 @130ms",
+      "rows-up": "rows up @200ms",
+      "cols-bounce": "cols pingpong @180ms",
+      "rows-split": "row-layers mirror @190ms",
+      "ripple-in": "layers in @200ms",
+      "spiralOuter": "spiral @150ms",
+      "rain-left": "rain @110ms",
+      "stair-tl": "stair-path stairs 3 @160ms",
+      "pulse": "all rest @600ms",
+    };
+    for (const [id, steps] of Object.entries(cases)) {
+      const pattern = compileOne(`${id}-copy: ${steps}`, grid);
+      const expected = builtIn(id, grid);
+      assert.deepEqual(pattern.frames, expected.frames, `${grid} ${id}`);
+      assert.equal(pattern.loopMs, expected.loopMs, `${grid} ${id}`);
+    }
+  }
+});
+
+test("options, phrases and continuation lines", () => {
+  const pattern = compileOne(
+    ['combo: corners # four corners', '  then x repeat 2 @90ms category=pulse label="Combo one"', "  pulse=400ms"].join("\n")
+  );
+  assert.equal(pattern.label, "Combo one");
+  assert.equal(pattern.category, "pulse");
+  assert.equal(pattern.beatMs, 90);
+  assert.equal(pattern.pulseMs, 400);
+  assert.equal(pattern.frames.length, 6);
+  assert.deepEqual(pattern.frames.slice(4), [[0, 2, 4, 6, 8], [0, 2, 4, 6, 8]]);
+});
+
+test("explicit cells only build on their pinned grid", () => {
+  const source = "cross: [1 3 4 5 7] [0,2,4,6,8] @250ms grid=3x3";
+  assert.equal(compileHypno(source, { grid: parseGrid("3x3") }).patterns[0].frames[1].length, 5);
+  assert.deepEqual(compileHypno(source, { grid: parseGrid("4x4") }), { patterns: [], errors: [] });
+});
+
+test("errors carry line and column", () => {
+  const source = [
+    "# header",
+    "good: ring",
+    "bad-cells: [0 12] [] @100ms grid=3x3",
+    "bad-beat: ring @5ms",
+    "good: rows",
+    "no-colon ring",
+    "shape-after: ring chase 2 rows",
+    "empty-tail: ring then",
+  ].join("\n");
+  assert.deepEqual(messages(source), [
+    "test.hypno:3:15: cell 12 is outside the grid (0-8)",
+    "test.hypno:3:19: empty step; use \"rest\" for a pause",
+    "test.hypno:4:16: beat must be 20-4000ms, got \"5ms\"",
+    "test.hypno:5:1: \"good\" is already defined in this file",
+    "test.hypno:6:1: expected a pattern id followed by \":\", e.g. \"ring-2-cw: ring chase 2\"",
+    "test.hypno:7:27: a shape can't follow a modifier; start a new phrase with \"then\"",
+    "test.hypno:8:18: expected a shape such as ring, rows or [0 4 8]",
+  ]);
+});
+
+test("steps that are all rests are rejected", () => {
+  assert.deepEqual(messages("nothing: rest rest"), [
+    "test.hypno:1:1: every step of \"nothing\" is empty on 3x3",
+  ]);
+});
+
+test("buildPatterns appends .hypno sources and reports clashes", () => {
+  const sources = [{ file: "a.hypno", source: "spiral-in: spiral in @150ms category=spiral" }];
+  const patterns = buildPatterns(parseGrid("4x4"), undefined, { sources });
+  const added = patterns.at(-1);
+  assert.equal(added.id, "spiral-in");
+  assert.deepEqual(added.frames.flat(), [...builtIn("spiralOuter", "4x4").frames.flat()].reverse());
+  assert.deepEqual(added.grid, { cols: 4, rows: 4 });
+
+  assert.throws(
+    () => buildPatterns(undefined, undefined, { sources: [...sources, { file: "b.hypno", source: "pulse: all" }] }),
+    (error) =>
+      error instanceof HypnoError &&
+      error.errors.length === 1 &&
+      error.message === 'b.hypno:1:1: "pulse" is already a pattern id'
+  );
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  KEYFRAME_DEFAULTS,
+  buildPatterns,
+  computeFrame,
+  interpolateKeys,
+  keyframeError,
+  parseGrid,
+  sampleKeyframes,
+} from "../src/index.js";
+
+const get = (id) => buildPatterns().find((pattern) => pattern.id === id);
+
+test("interpolating keys is linear and steps take the later key", () => {
+  const keys = [
+    [0, 0],
+    [10, 1],
+    [10, 0.2],
+    [20, 0.2],
+  ];
+  assert.equal(interpolateKeys(keys, 5), 0.5);
+  assert.equal(interpolateKeys(keys, 9.5), 0.95);
+  assert.equal(interpolateKeys(keys, 10), 0.2);
+  assert.equal(interpolateKeys(keys, 15), 0.2);
+  assert.equal(interpolateKeys(keys, 25), 0.2);
+});
+
+test("keys cover one loop and close on the first frame", () => {
+  const pattern = get("rows-down");
+  const { loopMs, cells } = sampleKeyframes(pattern);
+  assert.equal(loopMs, pattern.loopMs);
+  assert.equal(cells.length, 9);
+  const first = computeFrame(0, pattern).intensities;
+  cells.forEach(({ intensity, colors }, cell) => {
+    assert.deepEqual(intensity[0], [0, first[cell]]);
+    assert.equal(intensity.at(-1)[0], loopMs);
+    assert.equal(colors, null);
+  });
+  // Far fewer keys than 1ms samples.
+  assert.ok(cells.every(({ intensity }) => intensity.length < loopMs / 10));
+});
+
+test("built-ins replay within tolerance, steps included", () => {
+  for (const id of ["checkerboard", "rows-down", "diag-wave-tl", "box-in", "ring-spectrum"]) {
+    const pattern = get(id);
+    const result = keyframeError(pattern, sampleKeyframes(pattern));
+    assert.ok(result.maxError <= KEYFRAME_DEFAULTS.tolerance + 1e-9, `${id}: ${result.maxError}`);
+    assert.equal(result.seam, 0);
+  }
+  // The checkerboard switches on the beat: two keys at 210ms.
+  const [, cell] = sampleKeyframes(get("checkerboard")).cells;
+  const step = cell.intensity.filter(([time]) => time === 210);
+  assert.equal(step.length, 2);
+  assert.ok(step[0][1] > 0.9 && step[1][1] === 0);
+});
+
+test("a looser tolerance keeps fewer keys and the check reports it", () => {
+  const pattern = get("diag-wave-tl");
+  const count = ({ cells }) => cells.reduce((sum, { intensity }) => sum + intensity.length, 0);
+  const loose = sampleKeyframes(pattern, { tolerance: 0.05 });
+  assert.ok(count(loose) < count(sampleKeyframes(pattern)));
+  const result = keyframeError(pattern, loose);
+  assert.ok(result.maxError > KEYFRAME_DEFAULTS.tolerance && result.maxError <= 0.05 + 1e-9);
+});
+
+test("cell colors are held until they change", () => {
+  const pattern = get("checkerboard-duo");
+  const { cells } = sampleKeyframes(pattern);
+  for (const { colors } of cells) {
+    assert.equal(colors[0][0], 0);
+    // Cells that step at 0ms are uncolored for that instant only.
+    assert.ok(colors.every(([, color]) => color));
+    colors.slice(1).forEach(([, color], idx) => assert.notEqual(color, colors[idx][1]));
+  }
+  const frame = computeFrame(300, pattern);
+  cells.forEach(({ colors }, cell) => {
+    const held = colors.findLast(([time]) => time <= 300)[1];
+    assert.equal(held, frame.colors[cell]);
+  });
+});
+
+test("maxSamples spreads the samples out without losing steps", () => {
+  const pattern = get("checkerboard");
+  const keyframes = sampleKeyframes(pattern, { maxSamples: 40 });
+  const [, cell] = keyframes.cells;
+  assert.equal(cell.intensity.filter(([time]) => time === 210).length, 2);
+  const result = keyframeError(pattern, keyframes, { maxSteps: 400 });
+  assert.ok(result.maxError <= KEYFRAME_DEFAULTS.tolerance + 1e-9, `${result.maxError}`);
+});
+
+test("loops past maxSamples stay within tolerance where they bend", () => {
+  const grid = parseGrid("16x16");
+  const pattern = buildPatterns(grid).find((entry) => entry.id === "snake-row-lr");
+  assert.ok(pattern.loopMs > 20000);
+  const result = keyframeError(pattern, sampleKeyframes(pattern));
+  assert.ok(result.maxError <= KEYFRAME_DEFAULTS.tolerance, `${result.maxError} at ${result.ms}ms`);
+  assert.equal(result.seam, 0);
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  LedError,
+  buildPatterns,
+  computeFrame,
+  createLedOutput,
+  createMockLedDevice,
+  decodeGridFrame,
+  encodeAdalight,
+  encodeGridFrame,
+  ledOrder,
+  parseGrid,
+  toLedPixels,
+} from "../src/index.js";
+
+const grid3 = { cols: 3, rows: 3 };
+const lit = (grid, value = 1) => ({ grid, intensities: Array(grid.cols * grid.rows).fill(value) });
+
+test("serpentine panels reverse every other row", () => {
+  assert.deepEqual(ledOrder(grid3), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(ledOrder(grid3, "serpentine"), [0, 1, 2, 5, 4, 3, 6, 7, 8]);
+});
+
+test("pixels apply gamma, brightness, power limit and channel order", () => {
+  const frame = { grid: { cols: 2, rows: 1 }, intensities: [1, 0.5], colors: ["255, 128, 0", null] };
+  assert.deepEqual([...toLedPixels(frame, { gamma: 1 })], [255, 128, 0, 128, 128, 128]);
+  // 0.5 ** 2.2 is about 0.22.
+  assert.deepEqual([...toLedPixels(frame)], [255, 56, 0, 55, 55, 55]);
+  assert.deepEqual([...toLedPixels(frame, { gamma: 1, brightness: 0.5 })], [128, 64, 0, 64, 64, 64]);
+  assert.deepEqual([...toLedPixels(frame, { gamma: 1, order: "grb" })], [128, 255, 0, 128, 128, 128]);
+  // An all-white frame is held to a quarter of the panel's full draw.
+  assert.deepEqual([...toLedPixels(lit({ cols: 2, rows: 1 }), { powerLimit: 0.25 })], Array(6).fill(64));
+  assert.throws(() => toLedPixels(frame, { order: "rgbw" }), LedError);
+});
+
+test("DDP frames split across packets and show on push", () => {
+  const output = createLedOutput({ protocol: "ddp", gamma: 1 });
+  const device = createMockLedDevice({ protocol: "ddp" });
+  // 1000 pixels are 3000 bytes: two full 1440-byte packets and the rest.
+  const frame = lit({ cols: 40, rows: 25 });
+  const packets = output.encode(frame);
+  assert.deepEqual(packets.map((packet) => packet[0]), [0x40, 0x40, 0x41]);
+  assert.deepEqual(packets.map((packet) => packet.length - 10), [1440, 1440, 120]);
+  packets.slice(0, 2).forEach((packet) => device.receive(packet));
+  assert.equal(device.frames.length, 0);
+  device.receive(packets[2]);
+  assert.deepEqual(device.frames[0], { sequence: 1, pixels: toLedPixels(frame, { gamma: 1 }) });
+  // Sequence numbers run 1-15 and skip 0.
+  const sequences = Array.from({ length: 16 }, () => output.encode(lit(grid3))[0][1]);
+  assert.deepEqual(sequences.slice(13), [15, 1, 2]);
+});
+
+test("sACN spreads pixels over universes", () => {
+  const options = { protocol: "sacn", universe: 3, gamma: 1 };
+  const device = createMockLedDevice({ ...options, pixels: 256 });
+  const grid = parseGrid("16x16");
+  const frame = { grid, ...computeFrame(250, buildPatterns(grid).find((pattern) => pattern.id === "ring-1-cw")) };
+  const packets = createLedOutput(options).encode(frame);
+  // 170 pixels fill a universe.
+  assert.deepEqual(packets.map((packet) => packet.length), [126 + 510, 126 + 258]);
+  assert.deepEqual(packets.map((packet) => (packet[113] << 8) | packet[114]), [3, 4]);
+  assert.equal(new TextDecoder().decode(packets[0].subarray(44, 53)), "glow-grid");
+  packets.forEach((packet) => device.receive(packet));
+  assert.equal(device.frames.length, 1);
+  assert.deepEqual(device.frames[0].pixels, toLedPixels(frame, { gamma: 1 }));
+  assert.throws(() => device.receive(new Uint8Array(200)), LedError);
+});
+
+test("Adalight frames survive a chunked serial stream", () => {
+  const device = createMockLedDevice({ protocol: "adalight" });
+  const first = toLedPixels({ grid: grid3, intensities: [1, 0, 0.5, 0, 1, 0, 0, 0, 1] });
+  const [packet] = encodeAdalight(first);
+  // "Ada", 8 (LED count - 1) and the checksum 8 ^ 0x55.
+  assert.deepEqual([...packet.subarray(0, 6)], [0x41, 0x64, 0x61, 0, 8, 0x5d]);
+  const stream = new Uint8Array([7, 7, ...packet, ...packet]);
+  [stream.subarray(0, 5), stream.subarray(5, 40), stream.subarray(40)].forEach((chunk) =>
+    device.receive(chunk)
+  );
+  assert.equal(device.frames.length, 2);
+  assert.deepEqual(device.frames[1].pixels, first);
+});
+
+test("a mock device with record: false only returns frames", () => {
+  const device = createMockLedDevice({ protocol: "ddp", record: false });
+  const frame = lit(grid3);
+  const received = createLedOutput({ protocol: "ddp", gamma: 1 })
+    .encode(frame)
+    .map((packet) => device.receive(packet));
+  assert.deepEqual(received.at(-1).pixels, toLedPixels(frame, { gamma: 1 }));
+  assert.equal(device.frames.length, 0);
+});
+
+test("grid frames round-trip as binary and JSON", () => {
+  const frame = {
+    grid: { cols: 2, rows: 2 },
+    intensities: [1, 0, 0.5, 0.25],
+    colors: ["255, 0, 0", null, [0, 0, 255], null],
+    rgb: "10, 20, 30",
+    sequence: 70000,
+  };
+  const packet = encodeGridFrame(frame);
+  assert.equal(packet.length, 8 + 4 * 4);
+  assert.deepEqual(decodeGridFrame(packet), {
+    grid: { cols: 2, rows: 2 },
+    sequence: 70000 - 65536,
+    intensities: [1, 0, 128 / 255, 64 / 255],
+    colors: [[255, 0, 0], [10, 20, 30], [0, 0, 255], [10, 20, 30]],
+  });
+  const json = JSON.stringify({ ...frame, grid: "2x2" });
+  assert.deepEqual(decodeGridFrame(json).colors, decodeGridFrame(packet).colors);
+  assert.throws(() => decodeGridFrame(packet.subarray(0, 12)), LedError);
+  assert.throws(() => decodeGridFrame('{"grid":"2x2","intensities":[1]}'), /expected 4/);
+  assert.throws(() => decodeGridFrame("hello"), LedError);
+  assert.throws(() => createLedOutput({ protocol: "artnet" }), LedError);
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { test } from "node:test";
+import { buildPatterns, computeFrame, parseGrid } from "../src/index.js";
+
+// Regenerate after an intentional change with: UPDATE_FIXTURES=1 npm test
+const FIXTURE_URL = new URL("./fixtures/patterns.json", import.meta.url);
+const SAMPLES_MS = [0, 37, 120, 333, 500, 1000, 1777];
+const GRIDS = ["3x3", "8x2"];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const snapshot = (pattern) => ({
+  loopMs: pattern.loopMs,
+  frames: SAMPLES_MS.map((t) => {
+    const { intensities, colors } = computeFrame(t, pattern);
+    return colors
+      ? { intensities: intensities.map(round), colors }
+      : { intensities: intensities.map(round) };
+  }),
+});
+
+const current = {
+  samples: SAMPLES_MS,
+  grids: Object.fromEntries(
+    GRIDS.map((grid) => [
+      grid,
+      Object.fromEntries(
+        buildPatterns(parseGrid(grid)).map((pattern) => [pattern.id, snapshot(pattern)])
+      ),
+    ])
+  ),
+};
+
+if (process.env.UPDATE_FIXTURES) {
+  // One frame per line keeps fixture diffs reviewable.
+  const body = JSON.stringify(current, null, 2).replace(
+    /\[\s+([^[\]{}]*?)\s+\]/g,
+    (_, inner) => `[${inner.replace(/\s*\n\s*/g, " ")}]`
+  );
+  writeFileSync(FIXTURE_URL, `${body}\n`);
+}
+
+const fixture = JSON.parse(readFileSync(FIXTURE_URL, "utf8"));
+
+test("fixture samples the same timestamps", () => {
+  assert.deepEqual(fixture.samples, SAMPLES_MS);
+});
+
+for (const grid of GRIDS) {
+  test(`${grid} pattern set matches the fixture ids`, () => {
+    assert.deepEqual(Object.keys(current.grids[grid]), Object.keys(fixture.grids[grid]));
+  });
+
+  for (const [id, expected] of Object.entries(fixture.grids[grid])) {
+    test(`${grid} ${id} output is unchanged`, () => {
+      assert.deepEqual(current.grids[grid][id], expected);
+    });
+  }
+}
+
+test("random pattern is reproducible per seed", () => {
+  const framesFor = (seed) =>
+    buildPatterns(parseGrid("3x3"), seed).find((pattern) => pattern.id === "random").frames;
+  assert.deepEqual(framesFor("42"), framesFor("42"));
+  assert.notDeepEqual(framesFor("42"), framesFor("43"));
+});
+
+test("every frame references cells inside its grid", () => {
+  for (const grid of ["2x2", "4x4", "5x5", "8x2", "16x16"]) {
+    const { cols, rows } = parseGrid(grid);
+    for (const pattern of buildPatterns({ cols, rows })) {
+      assert.ok(pattern.loopMs > 0, `${grid} ${pattern.id} has an empty loop`);
+      for (const cells of pattern.frames) {
+        for (const cell of cells) {
+          assert.ok(cell >= 0 && cell < cols * rows, `${grid} ${pattern.id} cell ${cell}`);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeFlashes, buildPatterns, cellLight, scaleSpeed } from "../src/index.js";
+
+const get = (id) => buildPatterns().find((pattern) => pattern.id === id);
+
+test("cell light follows WCAG relative luminance", () => {
+  assert.deepEqual(cellLight([255, 255, 255], 1), { luminance: 1, red: 0 });
+  assert.deepEqual(cellLight([255, 255, 255], 0), { luminance: 0, red: 0 });
+  assert.ok(Math.abs(cellLight([255, 255, 255], 0.5).luminance - 0.214) < 0.001);
+  // Only saturated reds count toward red flashes.
+  assert.equal(cellLight([255, 0, 0], 1).red, 320);
+  assert.equal(cellLight([255, 140, 170], 1).red, 0);
+});
+
+test("built-ins stay under three flashes a second at 1x", () => {
+  for (const pattern of buildPatterns()) {
+    const result = analyzeFlashes(pattern);
+    assert.ok(result.safe, `${pattern.id}: ${result.flashesPerSecond}/s`);
+    assert.equal(result.safeSpeed, 1);
+  }
+});
+
+test("fast playback is flagged with the speed that fixes it", () => {
+  const checkerboard = get("checkerboard"); // every cell lit each 420ms
+  const fast = analyzeFlashes(checkerboard, { speed: 2 });
+  assert.equal(fast.safe, false);
+  assert.equal(fast.area, 1);
+  assert.ok(fast.flashesPerSecond > 3);
+  assert.ok(fast.safeSpeed > 1 && fast.safeSpeed < 2);
+  assert.ok(analyzeFlashes(checkerboard, { speed: fast.safeSpeed }).safe);
+  assert.equal(analyzeFlashes(checkerboard, { speed: fast.safeSpeed + 0.05 }).safe, false);
+  // Halving beatMs is the same as doubling the speed.
+  const doubled = analyzeFlashes(scaleSpeed(checkerboard, 2));
+  assert.equal(doubled.safe, false);
+  assert.ok(Math.abs(doubled.safeSpeed - fast.safeSpeed / 2) < 0.01);
+});
+
+test("color decides general and red flashes", () => {
+  const checkerboard = get("checkerboard");
+  const red = analyzeFlashes(checkerboard, { theme: { rgb: "255, 0, 0" }, speed: 2 });
+  assert.ok(red.redFlashesPerSecond > 3);
+  // A dim grey never changes luminance by 10%.
+  const dim = analyzeFlashes(checkerboard, { theme: { rgb: "40, 40, 40" }, speed: 2 });
+  assert.deepEqual(dim, { flashesPerSecond: 0, redFlashesPerSecond: 0, area: 0, safe: true, safeSpeed: 2 });
+  // Only the corners flash in corners-cw.
+  const corners = analyzeFlashes(get("corners-cw"), { speed: 3 });
+  assert.equal(corners.safe, false);
+  assert.equal(corners.area, 4 / 9);
+});
+
+test("flashes only fail over a quarter of a 10° field", () => {
+  const checkerboard = get("checkerboard");
+  // 200px cells: flashing cells fill a 341 x 256 field.
+  const large = analyzeFlashes(checkerboard, { speed: 4, cellPx: 200 });
+  assert.equal(large.safe, false);
+  assert.equal(large.area, 1);
+  assert.ok(large.safeSpeed > 1 && large.safeSpeed < 2);
+  // The same flashes in 24px cells cover 9 x 576 px², a sixteenth of the field.
+  const small = analyzeFlashes(checkerboard, { speed: 4, cellPx: 24 });
+  assert.equal(small.safe, true);
+  assert.ok(Math.abs(small.area - (9 * 24 * 24) / (341 * 256)) < 1e-9);
+  assert.equal(small.safeSpeed, 4);
+  // Four 40px corners stay under a quarter; at 120px they don't.
+  const corners = get("corners-cw");
+  assert.equal(analyzeFlashes(corners, { speed: 3, cellPx: 40 }).safe, true);
+  assert.equal(analyzeFlashes(corners, { speed: 3, cellPx: 120 }).safe, false);
+});
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { BPM_RANGE, bpmSpeed, buildPatterns, estimateBpm, parseBpm, snapBeatMs } from "../src/index.js";
+
+const get = (id) => buildPatterns().find((pattern) => pattern.id === id);
+
+test("beats snap to the nearest note value", () => {
+  // 120 BPM: 1/4 = 500ms, 1/8 = 250ms, 1/16 = 125ms.
+  assert.deepEqual(snapBeatMs(120, 120), { division: "1/16", beatMs: 125 });
+  assert.deepEqual(snapBeatMs(200, 120), { division: "1/8", beatMs: 250 });
+  assert.deepEqual(snapBeatMs(600, 120), { division: "1/4", beatMs: 500 });
+  assert.deepEqual(snapBeatMs(170, 120, { triplets: true }), { division: "1/8T", beatMs: 500 / 3 });
+  assert.equal(snapBeatMs(170, 120).division, "1/16");
+});
+
+test("bpm speed lands each step on the grid", () => {
+  const ring = get("ring-1-cw");
+  const speed = bpmSpeed(ring, 120);
+  assert.equal(ring.beatMs / speed, 125);
+  // 600ms at 100 BPM is exactly a quarter note.
+  assert.equal(bpmSpeed(get("pulse"), 100), 1);
+});
+
+test("bpm input is clamped to the range", () => {
+  assert.equal(parseBpm("128"), 128);
+  assert.equal(parseBpm("5"), BPM_RANGE.min);
+  assert.equal(parseBpm("999"), BPM_RANGE.max);
+  assert.equal(parseBpm("fast"), null);
+  assert.equal(parseBpm(null), null);
+});
+
+test("tempo estimates use the median gap folded into range", () => {
+  assert.equal(estimateBpm([0, 500, 1000, 1510, 2000]), 120);
+  // Eighth-note onsets at 120 BPM fold down; a slow pulse folds up.
+  assert.equal(estimateBpm([0, 250, 500, 750]), 120);
+  assert.equal(estimateBpm([0, 1500, 3000]), 80);
+  assert.equal(estimateBpm([0]), null);
+});
@@ -0,0 +1,174 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { chromium } from "playwright";
+import { build, preview } from "vite";
+import { buildPatterns, parseGrid } from "hypno-engine";
+import { loadHypnoSources } from "hypno-engine/node";
+
+// Screenshots the player's DOM grid and diffs it against the canvas renderer
+// at fixed timestamps, e.g. node parity.mjs --patterns=pulse,ring-spectrum --threshold=3
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const SOURCES = loadHypnoSources(path.join(ROOT, "patterns"));
+
+const flags = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .filter((arg) => arg.startsWith("--"))
+    .map((arg) => {
+      const [key, value = "true"] = arg.slice(2).split("=");
+      return [key, value];
+    })
+);
+
+const DEFAULT_PATTERNS = ["spiralOuter", "pulse", "ring-spectrum"];
+const TIMES = [0, 120, 333, 500, 777];
+const SCALE = 2;
+// Big enough that every grid size gets the player's full 72px cell.
+const VIEWPORT = { width: 1400, height: 1400 };
+
+const grid = flags.grid && flags.grid !== "3x3" ? flags.grid : "";
+const threshold = Number(flags.threshold ?? 4); // mean per-channel difference, 0-255
+const outDir = path.resolve(flags.out ?? path.join(ROOT, "renders", "parity"));
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const resolvePatterns = () => {
+  const byId = new Map(buildPatterns(parseGrid(grid), undefined, { sources: SOURCES }).map((entry) => [entry.id, entry]));
+  const ids = flags.all
+    ? [...byId.keys()]
+    : flags.patterns
+      ? flags.patterns.split(",").map((id) => id.trim()).filter(Boolean)
+      : DEFAULT_PATTERNS.filter((id) => byId.has(id));
+  const missing = ids.find((id) => !byId.has(id));
+  if (missing) fail(`unknown pattern "${missing}". Available: ${[...byId.keys()].join(", ")}`);
+  return ids;
+};
+
+// Runs in the page: draws both PNGs, returns the stats and, on failure, images to inspect.
+const compareInPage = async ({ ms, shot, scale, threshold }) => {
+  const box = document.querySelector(".grid").getBoundingClientRect();
+  const width = Math.round(box.width * scale);
+  const height = Math.round(box.height * scale);
+
+  const pixels = async (src) => {
+    const image = new Image();
+    image.src = src;
+    await image.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  };
+
+  const canvasSrc = window.__canvasFrame(ms, { width, height });
+  const dom = await pixels(`data:image/png;base64,${shot}`);
+  const drawn = await pixels(canvasSrc);
+
+  const diff = new ImageData(width, height);
+  let total = 0;
+  let max = 0;
+  let off = 0;
+  for (let p = 0; p < dom.data.length; p += 4) {
+    let pixelMax = 0;
+    for (let c = 0; c < 3; c += 1) {
+      const delta = Math.abs(dom.data[p + c] - drawn.data[p + c]);
+      total += delta;
+      pixelMax = Math.max(pixelMax, delta);
+    }
+    max = Math.max(max, pixelMax);
+    if (pixelMax > 24) off += 1;
+    const shade = Math.min(255, pixelMax * 4);
+    diff.data.set([shade, shade, shade, 255], p);
+  }
+  const mean = total / ((dom.data.length / 4) * 3);
+
+  let images = null;
+  if (mean > threshold) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").putImageData(diff, 0, 0);
+    images = { canvas: canvasSrc, diff: canvas.toDataURL("image/png") };
+  }
+  return { mean, max, off: off / (width * height), images };
+};
+
+async function main() {
+  if (!(threshold >= 0)) fail(`--threshold must be a number, got "${flags.threshold}".`);
+  const ids = resolvePatterns();
+
+  if (flags.build !== "false") await build({ root: ROOT, logLevel: "warn" });
+  if (!fs.existsSync(path.join(ROOT, "dist", "index.html"))) {
+    fail("no dist/ build to serve; run without --build=false.");
+  }
+
+  const server = await preview({ root: ROOT, logLevel: "warn", preview: { open: false } });
+  const failures = [];
+  let browser;
+  try {
+    browser = await chromium.launch();
+    const page = await browser.newPage({ viewport: VIEWPORT, deviceScaleFactor: SCALE });
+    const baseUrl = server.resolvedUrls.local[0];
+
+    for (const id of ids) {
+      const params = new URLSearchParams({ p: id, export: "1" });
+      if (grid) params.set("g", grid);
+      await page.goto(`${baseUrl}?${params}`, { waitUntil: "networkidle" });
+      const loopMs = await page.evaluate(() => window.__getLoopMs?.());
+
+      for (const time of TIMES) {
+        const ms = time % loopMs;
+        // Two frames so React has committed the new time before the screenshot.
+        await page.evaluate(
+          (value) =>
+            new Promise((resolve) => {
+              window.__setExportTime(value);
+              requestAnimationFrame(() => requestAnimationFrame(resolve));
+            }),
+          ms
+        );
+        const shot = (await page.locator(".grid").screenshot()).toString("base64");
+        const result = await page.evaluate(compareInPage, { ms, shot, scale: SCALE, threshold });
+        const status = result.mean > threshold ? "FAIL" : "ok";
+        console.log(
+          `${status.padEnd(4)} ${id} @${ms}ms  mean ${result.mean.toFixed(2)}  max ${result.max}  ` +
+            `>24: ${(result.off * 100).toFixed(1)}%`
+        );
+
+        if (result.images) {
+          fs.mkdirSync(outDir, { recursive: true });
+          const name = `${id}${grid ? `-${grid}` : ""}-${ms}`;
+          const save = (suffix, data) =>
+            fs.writeFileSync(path.join(outDir, `${name}-${suffix}.png`), data);
+          save("dom", Buffer.from(shot, "base64"));
+          save("canvas", Buffer.from(result.images.canvas.split(",")[1], "base64"));
+          save("diff", Buffer.from(result.images.diff.split(",")[1], "base64"));
+          failures.push(name);
+        }
+      }
+    }
+  } finally {
+    await browser?.close();
+    await server.close();
+  }
+
+  if (failures.length) {
+    fail(
+      `${failures.length} frame(s) differ by more than ${threshold}; ` +
+        `dom/canvas/diff PNGs are in ${path.relative(process.cwd(), outDir)}.`
+    );
+  }
+  console.log(`\nDOM and canvas match within ${threshold} at ${ids.length * TIMES.length} frames.`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
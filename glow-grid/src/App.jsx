@@ -1,70 +1,126 @@
-import { memo, useEffect, useMemo, useRef, useState } from "react";
+import { Fragment, memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-
-const COLOR_THEMES = [
-  { id: "ice", name: "Ice", rgb: "150, 210, 255" },
-  { id: "ember", name: "Ember", rgb: "255, 190, 140" },
-  { id: "rose", name: "Rose", rgb: "255, 140, 170" },
-  { id: "mint", name: "Mint", rgb: "140, 255, 210" },
-  { id: "violet", name: "Violet", rgb: "200, 175, 255" },
-  { id: "gold", name: "Gold", rgb: "255, 235, 160" },
-];
-
-const CATEGORY_LABELS = {
-  ring: "Rings",
-  corners: "Corners",
-  edges: "Edges",
-  rows: "Rows",
-  cols: "Columns",
-  diag: "Diagonals",
-  ripple: "Ripples",
-  pulse: "Pulses",
-  checker: "Checkers",
-  bar: "Bars",
-  box: "Boxes",
-  snake: "Snakes",
-  quadrant: "Quadrants",
-  arc: "Arcs",
-  diamond: "Diamonds",
-  scan: "Scans",
-  rain: "Rain",
-  stair: "Stairs",
-  misc: "Misc",
-};
+import {
+  AUDIO_SYNC_MODES,
+  BLEND_MODES,
+  BPM_RANGE,
+  COLOR_THEMES,
+  CompositionError,
+  DEFAULT_ENVELOPE,
+  DEFAULT_GRID,
+  DEFAULT_SEED,
+  ENVELOPES,
+  ENVELOPE_IDS,
+  SOLID_THEMES,
+  advanceWithAudio,
+  bpmSpeed,
+  buildPatterns,
+  composePattern,
+  computeFrame,
+  computeIntensities,
+  createAudioAnalyzer,
+  createClock,
+  createGridController,
+  envelopeFromParams,
+  estimateBpm,
+  envelopeToParams,
+  gridKey,
+  hasColorData,
+  modulateIntensities,
+  normalizeEnvelope,
+  parseBpm,
+  parseGrid,
+  parsePatternExpression,
+  range,
+  snapBeatMs,
+  stepTimes,
+  union,
+} from "hypno-engine";
+import { AudioInputError, openAudioFile, openMicrophone } from "./audioInput.js";
+import { parseStatesParam, useControllerMessages } from "./controllerMessages.js";
+import { flashesAt, getFlashReport, guardSpeed, useFlashGuard } from "./flashGuard.js";
+import { parseLedParam, useLedSink } from "./ledSink.js";
+import {
+  BEAT_RANGE,
+  PATTERN_ID_PATTERN,
+  PULSE_RANGE,
+  createBundle,
+  deleteCustomPattern,
+  deleteCustomTheme,
+  importBundle,
+  loadCustomHex,
+  loadCustomPatterns,
+  loadCustomThemes,
+  loadFavorites,
+  saveCustomHex,
+  saveCustomPattern,
+  saveCustomTheme,
+  saveFavorites,
+} from "./storage.js";
+import {
+  COLOR_MAP,
+  gridStyle,
+  hexToRgb,
+  normalizeHex,
+  resolveColor,
+  rgbToHex,
+} from "./display.js";
+import {
+  DEFAULT_FILTERS,
+  FILTER_PARAMS,
+  SORT_OPTIONS,
+  categoryLabel,
+  filterParams,
+  filterPatterns,
+  groupByCategory,
+  hasActiveFilters,
+  listCategories,
+  parseFilters,
+} from "./filters.js";
+import { FrameGrid } from "./HypnoGrid.jsx";
+import { HYPNO_SOURCES } from "./hypnoSources.js";
+import { usePlaybackTime, useReducedMotion } from "./playback.js";
+import {
+  RenderError,
+  formatFps,
+  getSupportedFormats,
+  renderPattern,
+} from "./render/index.js";
+import { BACKGROUND, createFrameCanvas } from "./render/canvas.js";
+import { createGalleryRenderer } from "./render/gallery.js";
+import { posterTime } from "./render/svg.js";
+import {
+  BITRATE_RANGE,
+  FPS_OPTIONS,
+  LOOPS_RANGE,
+  RENDER_PARAMS,
+  SIZE_PRESETS,
+  checkLoopTiming,
+  parseRenderSettings,
+  parseSize,
+  renderSettingsParams,
+} from "./render/settings.js";
 
 const GALLERY_FPS = 12;
-const CELL_INDICES = Array.from({ length: 9 }, (_, i) => i);
-const VIDEO_FORMATS = [
-  { id: "webm-vp9", label: "WebM (VP9)", mime: "video/webm;codecs=vp9", ext: "webm" },
-  { id: "webm-vp8", label: "WebM (VP8)", mime: "video/webm;codecs=vp8", ext: "webm" },
-  { id: "webm", label: "WebM", mime: "video/webm", ext: "webm" },
-  { id: "mp4-avc", label: "MP4 (H.264)", mime: "video/mp4;codecs=\"avc1.42E01E\"", ext: "mp4" },
-  { id: "mp4-baseline", label: "MP4 (Baseline)", mime: "video/mp4;codecs=\"avc1.42E01E,mp4a.40.2\"", ext: "mp4" },
-  { id: "mp4", label: "MP4", mime: "video/mp4", ext: "mp4" },
+const galleryClock = createClock({ fps: GALLERY_FPS });
+const GRID_PRESETS = ["3x3", "4x4", "5x5", "8x2"];
+const SPEED_RANGE = { min: 0.25, max: 4, step: 0.25 };
+// Frame-step matches the 60fps video render.
+const STEP_MS = 1000 / 60;
+const SYNC_OPTIONS = [
+  { id: "beat", label: "Pattern beat" },
+  { id: "bpm", label: "BPM" },
+  { id: "mic", label: "Microphone" },
+  { id: "file", label: "Audio file" },
 ];
+const AUDIO_MODE_LABELS = { onset: "Step on onsets", level: "Speed follows level" };
+// Taps further apart than this start a new tempo.
+const TAP_RESET_MS = 2000;
+const DEFAULT_CUSTOM_HEX = "#8CFAFF";
 
-const normalizeHex = (value) => {
-  const trimmed = value.trim().replace(/^#/, "");
-  if (/^[0-9a-fA-F]{3}$/.test(trimmed)) {
-    return trimmed
-      .split("")
-      .map((char) => `${char}${char}`)
-      .join("")
-      .toUpperCase();
-  }
-  if (/^[0-9a-fA-F]{6}$/.test(trimmed)) {
-    return trimmed.toUpperCase();
-  }
-  return null;
-};
-
-const hexToRgb = (hex) => {
-  if (!hex) return null;
-  const r = parseInt(hex.slice(0, 2), 16);
-  const g = parseInt(hex.slice(2, 4), 16);
-  const b = parseInt(hex.slice(4, 6), 16);
-  return `${r}, ${g}, ${b}`;
-};
+// Empty for the default grid so 3x3 URLs stay as they were.
+const gridParam = (grid) =>
+  gridKey(grid) === gridKey(DEFAULT_GRID) ? "" : gridKey(grid);
 
 const resolveBasePath = () => {
   if (typeof window === "undefined") return "./";
@@ -76,38 +132,6 @@ const resolveBasePath = () => {
   return pathname.slice(0, lastSlash + 1);
 };
 
-const breathPulse = (dt, durationMs, amp = 1) => {
-  if (dt < 0 || dt > durationMs) return 0;
-  const x = dt / durationMs;
-  const s = Math.sin(Math.PI * x);
-  const breathy = Math.pow(s, 1.45);
-  return amp * breathy;
-};
-
-const clamp01 = (v) => Math.max(0, Math.min(1, v));
-
-const computeIntensities = (tAbs, pattern) => {
-  const { frames, beatMs, loopMs, pulseMs = 900 } = pattern;
-  const tLoop = ((tAbs % loopMs) + loopMs) % loopMs;
-  const output = Array(9).fill(0);
-
-  for (let step = 0; step < frames.length; step++) {
-    const cells = frames[step];
-    const eventTime = step * beatMs;
-    let dt = tLoop - eventTime;
-    if (dt < 0) dt += loopMs;
-
-    const v = breathPulse(dt, pulseMs, 1);
-    if (v <= 0) continue;
-
-    for (const idx of cells) {
-      if (v > output[idx]) output[idx] = v;
-    }
-  }
-
-  return output.map(clamp01);
-};
-
 const useInView = (rootMargin = "140px", threshold = 0.12) => {
   const ref = useRef(null);
   const [isInView, setIsInView] = useState(
@@ -131,48 +155,24 @@ const useInView = (rootMargin = "140px", threshold = 0.12) => {
   return [ref, isInView];
 };
 
-const galleryClock = (() => {
-  let listeners = new Set();
-  let raf = 0;
-  let start = 0;
-  let last = 0;
-  const frameMs = 1000 / GALLERY_FPS;
+const useAnimationClock = (active) => {
+  const [tAbs, setTAbs] = useState(0);
 
-  const tick = (now) => {
-    if (!listeners.size) {
-      raf = 0;
-      return;
-    }
-    if (now - last >= frameMs) {
-      const elapsed = now - start;
-      const quantized = Math.floor(elapsed / frameMs) * frameMs;
-      for (const listener of listeners) listener(quantized);
-      last = now;
-    }
-    raf = requestAnimationFrame(tick);
-  };
+  useEffect(() => {
+    if (!active) return;
 
-  const startClock = () => {
-    if (raf) return;
-    start = performance.now();
-    last = start;
+    let raf = 0;
+    const start = performance.now();
+    const tick = () => {
+      setTAbs(performance.now() - start);
+      raf = requestAnimationFrame(tick);
+    };
     raf = requestAnimationFrame(tick);
-  };
+    return () => cancelAnimationFrame(raf);
+  }, [active]);
 
-  return {
-    subscribe(listener) {
-      listeners.add(listener);
-      if (listeners.size === 1) startClock();
-      return () => {
-        listeners.delete(listener);
-        if (!listeners.size && raf) {
-          cancelAnimationFrame(raf);
-          raf = 0;
-        }
-      };
-    },
-  };
-})();
+  return [tAbs, setTAbs];
+};
 
 const useGalleryTime = (active) => {
   const [tAbs, setTAbs] = useState(0);
@@ -185,244 +185,139 @@ const useGalleryTime = (active) => {
   return tAbs;
 };
 
-const buildPatterns = () => {
-  const patterns = [];
-  const add = (id, label, frames, beatMs = 140, category = "misc") => {
-    patterns.push({
-      id,
-      label,
-      frames,
-      beatMs,
-      loopMs: frames.length * beatMs,
-      category,
-    });
-  };
-
-  const ring = [0, 1, 2, 5, 8, 7, 6, 3];
-  const corners = [0, 2, 8, 6];
-  const edges = [1, 5, 7, 3];
-  const rows = [
-    [0, 1, 2],
-    [3, 4, 5],
-    [6, 7, 8],
-  ];
-  const cols = [
-    [0, 3, 6],
-    [1, 4, 7],
-    [2, 5, 8],
-  ];
-  const diagWaveTL = [[0], [1, 3], [2, 4, 6], [5, 7], [8]];
-  const diagWaveTR = [[2], [1, 5], [0, 4, 8], [3, 7], [6]];
-
-  const chase = (order, windowSize) =>
-    order.map((_, i) => {
-      const group = [];
-      for (let w = 0; w < windowSize; w++) {
-        group.push(order[(i + w) % order.length]);
-      }
-      return group;
-    });
-
-  const pingPong = (frames) => frames.concat(frames.slice(1, -1).reverse());
+const BUILT_IN_IDS = new Set(
+  buildPatterns(undefined, undefined, { sources: HYPNO_SOURCES }).map((pattern) => pattern.id)
+);
 
-  const skip = (order, step) => {
-    const frames = [];
-    let idx = 0;
-    for (let i = 0; i < order.length; i++) {
-      frames.push([order[idx]]);
-      idx = (idx + step) % order.length;
-    }
-    return frames;
-  };
+const loadCustomForGrid = (grid) =>
+  loadCustomPatterns()
+    .filter((entry) => !BUILT_IN_IDS.has(entry.id) && gridKey(entry.grid) === gridKey(grid))
+    .map((entry) => ({
+      ...entry,
+      loopMs: entry.frames.length * entry.beatMs,
+      category: "custom",
+      grid,
+      custom: true,
+    }));
+
+const createPatternSet = (grid, seed, envelope) => {
+  const builtIns = buildPatterns(grid, seed, { sources: HYPNO_SOURCES });
+  const source = [...builtIns, ...loadCustomForGrid(grid)].map((pattern) =>
+    envelope ? { ...pattern, envelope, envelopeOverride: true } : pattern
+  );
+  const patterns = source.map((pattern, index) => {
+    const phaseMs = pattern.loopMs ? (index * 97) % pattern.loopMs : 0;
+    const theme = SOLID_THEMES[index % SOLID_THEMES.length];
+    const previewIntensities = computeIntensities(phaseMs, pattern);
+    return {
+      ...pattern,
+      phaseMs,
+      defaultColor: theme.rgb,
+      defaultColorTheme: theme,
+      defaultColorId: theme.id,
+      previewIntensities,
+    };
+  });
 
-  const addSequence = (id, label, order, beatMs = 120, category = "misc") => {
-    add(
-      id,
-      label,
-      order.map((idx) => [idx]),
-      beatMs,
-      category
-    );
+  return {
+    grid,
+    seed,
+    envelope,
+    patterns,
+    map: Object.fromEntries(patterns.map((pattern) => [pattern.id, pattern])),
   };
+};
 
-  [1, 2, 3, 4].forEach((size) => {
-    add(`ring-${size}-cw`, `ring-${size}-cw`, chase(ring, size), 120, "ring");
-    add(
-      `ring-${size}-ccw`,
-      `ring-${size}-ccw`,
-      chase([...ring].reverse(), size),
-      120,
-      "ring"
-    );
-  });
+const PATTERN_SETS = new Map();
+const getPatternSet = (grid, seed = DEFAULT_SEED, envelope = null) => {
+  const key = `${gridKey(grid)}:${seed}:${new URLSearchParams(envelopeToParams(envelope))}`;
+  if (!PATTERN_SETS.has(key)) PATTERN_SETS.set(key, createPatternSet(grid, seed, envelope));
+  return PATTERN_SETS.get(key);
+};
 
-  add("ring-skip-3-cw", "ring-skip-3-cw", skip(ring, 3), 130, "ring");
-  add(
-    "ring-skip-3-ccw",
-    "ring-skip-3-ccw",
-    skip([...ring].reverse(), 3),
-    130,
-    "ring"
-  );
+// `?p=` also takes composition expressions such as ring-2-cw|rotate90|mirrorX.
+// Derived patterns keep the source's default color and remember it as `origin`.
+const resolvePattern = (patternSet, expression) => {
+  if (patternSet.map[expression]) return patternSet.map[expression];
+  if (!expression.includes("|")) return null;
+  try {
+    const derived = composePattern(expression, (id) => patternSet.map[id] ?? null);
+    const origin = patternSet.map[parsePatternExpression(expression).source];
+    return { defaultColorTheme: origin.defaultColorTheme, seed: origin.seed, ...derived, origin };
+  } catch (error) {
+    if (error instanceof CompositionError) return null;
+    throw error;
+  }
+};
 
-  add(
-    "ring-opposite",
-    "ring-opposite",
-    ring.map((_, i) => [ring[i], ring[(i + 4) % ring.length]]),
-    140,
-    "ring"
-  );
-  add(
-    "ring-gap-2",
-    "ring-gap-2",
-    ring.map((_, i) => [ring[i], ring[(i + 2) % ring.length]]),
-    140,
-    "ring"
-  );
-  add(
-    "ring-gap-3",
-    "ring-gap-3",
-    ring.map((_, i) => [ring[i], ring[(i + 3) % ring.length]]),
-    140,
-    "ring"
-  );
+const patternHref = (pattern, colorParam) => {
+  const params = new URLSearchParams({ p: pattern.id });
+  if (colorParam) params.set("c", colorParam);
+  const g = gridParam(pattern.grid);
+  if (g) params.set("g", g);
+  if (pattern.seed && pattern.seed !== DEFAULT_SEED) params.set("seed", pattern.seed);
+  if (pattern.envelopeOverride) {
+    Object.entries(envelopeToParams(pattern.envelope)).forEach(([key, value]) =>
+      params.set(key, value)
+    );
+  }
+  return `?${params}`;
+};
 
-  add("corners-cw", "corners-cw", chase(corners, 1), 160, "corners");
-  add("corners-ccw", "corners-ccw", chase([...corners].reverse(), 1), 160, "corners");
-  add("edges-cw", "edges-cw", chase(edges, 1), 160, "edges");
-  add("edges-ccw", "edges-ccw", chase([...edges].reverse(), 1), 160, "edges");
-
-  add("rows-down", "rows-down", rows, 200, "rows");
-  add("rows-up", "rows-up", [...rows].reverse(), 200, "rows");
-  add("cols-right", "cols-right", cols, 200, "cols");
-  add("cols-left", "cols-left", [...cols].reverse(), 200, "cols");
-
-  add("rows-bounce", "rows-bounce", pingPong(rows), 180, "rows");
-  add("cols-bounce", "cols-bounce", pingPong(cols), 180, "cols");
-
-  add(
-    "rows-split",
-    "rows-split",
-    [[0, 1, 2, 6, 7, 8], [3, 4, 5], [0, 1, 2, 6, 7, 8]],
-    190,
-    "rows"
-  );
-  add(
-    "cols-split",
-    "cols-split",
-    [[0, 3, 6, 2, 5, 8], [1, 4, 7], [0, 3, 6, 2, 5, 8]],
-    190,
-    "cols"
-  );
+const galleryHref = (grid, envelope = null) => {
+  const params = new URLSearchParams(envelopeToParams(envelope));
+  const g = gridParam(grid);
+  if (g) params.set("g", g);
+  const query = params.toString();
+  return `${resolveBasePath()}${query ? `?${query}` : ""}`;
+};
 
-  add("diag-wave-tl", "diag-wave-tl", diagWaveTL, 150, "diag");
-  add("diag-wave-tr", "diag-wave-tr", diagWaveTR, 150, "diag");
-  add("diag-bounce-tl", "diag-bounce-tl", pingPong(diagWaveTL), 150, "diag");
-  add("diag-bounce-tr", "diag-bounce-tr", pingPong(diagWaveTR), 150, "diag");
-
-  add("ripple-out", "ripple-out", [[4], [1, 3, 5, 7], [0, 2, 6, 8]], 200, "ripple");
-  add("ripple-in", "ripple-in", [[0, 2, 6, 8], [1, 3, 5, 7], [4]], 200, "ripple");
-  add("edge-ripple", "edge-ripple", [[1, 3, 5, 7], [0, 2, 6, 8], [1, 3, 5, 7]], 190, "ripple");
-  add(
-    "corner-ripple",
-    "corner-ripple",
-    [[0, 2, 6, 8], [1, 3, 5, 7], [4], [1, 3, 5, 7], [0, 2, 6, 8]],
-    190,
-    "ripple"
-  );
+const editHref = (grid, id = "new") => {
+  const params = new URLSearchParams({ edit: id });
+  const g = gridParam(grid);
+  if (g) params.set("g", g);
+  return `?${params}`;
+};
 
-  add("center-echo", "center-echo", [[4], [1, 3, 5, 7], [4]], 190, "pulse");
-  add("cross-echo", "cross-echo", [[4], [1, 3, 4, 5, 7], [4]], 190, "pulse");
-  add("x-echo", "x-echo", [[4], [0, 2, 4, 6, 8], [4]], 190, "pulse");
-
-  add("checkerboard", "checkerboard", [[0, 2, 4, 6, 8], [1, 3, 5, 7]], 210, "checker");
-  add("checkerboard-flip", "checkerboard-flip", [[0, 2, 6, 8], [1, 3, 4, 5, 7]], 210, "checker");
-
-  const barRotate = [[0, 1, 2], [2, 5, 8], [6, 7, 8], [0, 3, 6]];
-  add("bar-rotate-cw", "bar-rotate-cw", barRotate, 170, "bar");
-  add("bar-rotate-ccw", "bar-rotate-ccw", [...barRotate].reverse(), 170, "bar");
-
-  const ringGroup = [0, 1, 2, 5, 8, 7, 6, 3];
-  add("box-in", "box-in", [ringGroup, [1, 3, 5, 7], [4]], 210, "box");
-  add("box-out", "box-out", [[4], [1, 3, 5, 7], ringGroup], 210, "box");
-
-  const snakeRowLR = [0, 1, 2, 5, 4, 3, 6, 7, 8];
-  const snakeRowRL = [2, 1, 0, 3, 4, 5, 8, 7, 6];
-  const snakeColTB = [0, 3, 6, 7, 4, 1, 2, 5, 8];
-  const snakeColBT = [6, 3, 0, 1, 4, 7, 8, 5, 2];
-  addSequence("snake-row-lr", "snake-row-lr", snakeRowLR, 120, "snake");
-  addSequence("snake-row-rl", "snake-row-rl", snakeRowRL, 120, "snake");
-  addSequence("snake-col-tb", "snake-col-tb", snakeColTB, 120, "snake");
-  addSequence("snake-col-bt", "snake-col-bt", snakeColBT, 120, "snake");
-
-  const quadrants = [
-    [0, 1, 3, 4],
-    [1, 2, 4, 5],
-    [4, 5, 7, 8],
-    [3, 4, 6, 7],
-  ];
-  add("quadrant-cw", "quadrant-cw", quadrants, 180, "quadrant");
-  add("quadrant-ccw", "quadrant-ccw", [...quadrants].reverse(), 180, "quadrant");
-
-  const arcs = [
-    [0, 1, 3],
-    [1, 2, 5],
-    [5, 8, 7],
-    [3, 6, 7],
-  ];
-  add("arc-cw", "arc-cw", arcs, 170, "arc");
-  add("arc-ccw", "arc-ccw", [...arcs].reverse(), 170, "arc");
-
-  const diamond = [
-    [1, 4],
-    [5, 4],
-    [7, 4],
-    [3, 4],
-  ];
-  add("diamond-cw", "diamond-cw", diamond, 170, "diamond");
-  add("diamond-ccw", "diamond-ccw", [...diamond].reverse(), 170, "diamond");
-
-  addSequence("scan-row", "scan-row", [0, 1, 2, 3, 4, 5, 6, 7, 8], 110, "scan");
-  addSequence("scan-row-rev", "scan-row-rev", [8, 7, 6, 5, 4, 3, 2, 1, 0], 110, "scan");
-
-  addSequence("rain-left", "rain-left", [0, 3, 6, 1, 4, 7, 2, 5, 8], 110, "rain");
-  addSequence("rain-right", "rain-right", [2, 5, 8, 1, 4, 7, 0, 3, 6], 110, "rain");
-
-  add(
-    "stair-tl",
-    "stair-tl",
-    [[0], [0, 1], [0, 1, 2], [1, 2, 5], [2, 5, 8], [5, 8], [8]],
-    160,
-    "stair"
-  );
-  add(
-    "stair-br",
-    "stair-br",
-    [[8], [8, 7], [8, 7, 6], [7, 6, 3], [6, 3, 0], [3, 0], [0]],
-    160,
-    "stair"
-  );
+const slugify = (value) =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const parseSpeed = (value) => {
+  const parsed = Number.parseFloat(value);
+  if (!Number.isFinite(parsed)) return 1;
+  const snapped = Math.round(parsed / SPEED_RANGE.step) * SPEED_RANGE.step;
+  return Math.max(SPEED_RANGE.min, Math.min(SPEED_RANGE.max, snapped));
+};
 
-  return patterns;
+const parseStartMs = (value) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
 };
 
-const PATTERNS = buildPatterns().map((pattern, index) => {
-  const phaseMs = pattern.loopMs ? (index * 97) % pattern.loopMs : 0;
-  const theme = COLOR_THEMES[index % COLOR_THEMES.length];
-  const previewIntensities = computeIntensities(phaseMs, pattern);
-  return {
-    ...pattern,
-    phaseMs,
-    defaultColor: theme.rgb,
-    defaultColorId: theme.id,
-    previewIntensities,
-  };
-});
+const parseMs = (value, { min, max, fallback }) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+};
 
-const PATTERN_MAP = Object.fromEntries(PATTERNS.map((pattern) => [pattern.id, pattern]));
-const COLOR_MAP = Object.fromEntries(
-  COLOR_THEMES.map((theme) => [theme.id, theme])
-);
+// Saved themes link by hex so shared URLs work without the sender's library.
+const loadSavedThemes = () =>
+  loadCustomThemes()
+    .filter((theme) => !COLOR_MAP[theme.id])
+    .map((theme) => ({ ...theme, param: rgbToHex(theme.rgb), saved: true }));
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 const getMatrixTemplate = (count) =>
   `minmax(140px, 220px) repeat(${count}, minmax(120px, 1fr))`;
 
@@ -430,43 +325,103 @@ const MatrixTile = memo(function MatrixTile({
   pattern,
   color,
   intensities,
+  cellColors,
   colorIndex,
   isActive,
+  canvasSlot,
 }) {
   const delay = `${Math.min(colorIndex * 0.04, 0.2)}s`;
 
   return (
     <a
       className={`pattern-tile${isActive ? " active" : ""}`}
-      href={`?p=${encodeURIComponent(pattern.id)}&c=${encodeURIComponent(color.param ?? color.id)}`}
-      style={{ "--glow": color.rgb, "--delay": delay }}
+      href={patternHref(pattern, color.param ?? color.id)}
+      style={{ "--glow": color.rgb, "--delay": delay, ...gridStyle(pattern.grid) }}
       title={`${pattern.label} - ${color.name}`}
       aria-label={`${pattern.label} in ${color.name}`}
     >
       <div className="pattern-preview">
-        <div className="grid">
-          {CELL_INDICES.map((i) => (
-            <div key={i} className="cell" style={{ "--a": intensities[i] }} />
-          ))}
-        </div>
+        {canvasSlot ? (
+          // An empty, correctly sized grid that GalleryCanvas paints over.
+          <div className="grid" data-pattern={pattern.id} data-color={color.id} />
+        ) : (
+          <FrameGrid intensities={intensities} colors={cellColors} />
+        )}
       </div>
     </a>
   );
 });
 
-function PatternRow({ pattern, activeColorId, colors, matrixTemplate }) {
+function PatternRow({
+  pattern,
+  activeColorId,
+  colors,
+  matrixTemplate,
+  canvasMode,
+  favorite,
+  onToggleFavorite,
+  flashGuard,
+}) {
   const [ref, isVisible] = useInView();
-  const tAbs = useGalleryTime(isVisible);
-  const liveIntensities = useMemo(() => {
-    if (!isVisible) return pattern.previewIntensities;
-    return computeIntensities(tAbs + pattern.phaseMs, pattern);
-  }, [isVisible, tAbs, pattern]);
+  // Reduced motion keeps every tile on its still preview frame.
+  const reducedMotion = useReducedMotion();
+  const tAbs = useGalleryTime(isVisible && !canvasMode && !reducedMotion);
+  const activeColor = colors.find((color) => color.id === activeColorId);
+  const flashReport = useMemo(
+    () => (isVisible && !reducedMotion ? getFlashReport(pattern, activeColor) : null),
+    [isVisible, reducedMotion, pattern, activeColor]
+  );
+  const flashes = flashesAt(flashReport, 1);
+  const liveFrame = useMemo(() => {
+    if (!isVisible || reducedMotion) return computeFrame(pattern.phaseMs, pattern, activeColor);
+    const t = tAbs * guardSpeed(1, flashReport, flashGuard);
+    return computeFrame(t + pattern.phaseMs, pattern, activeColor);
+  }, [isVisible, reducedMotion, tAbs, pattern, activeColor, flashReport, flashGuard]);
+  const previewColors = useMemo(
+    () =>
+      colors.map((color) =>
+        hasColorData(pattern, color) ? computeFrame(pattern.phaseMs, pattern, color).colors : null
+      ),
+    [colors, pattern]
+  );
 
   return (
-    <div ref={ref} className="matrix-row" style={{ gridTemplateColumns: matrixTemplate }}>
+    <div
+      ref={ref}
+      className="matrix-row"
+      style={{ gridTemplateColumns: matrixTemplate }}
+      role="group"
+      aria-label={pattern.label}
+    >
       <div className="matrix-label">
         <span>{pattern.label}</span>
-        <em>{CATEGORY_LABELS[pattern.category] ?? pattern.category}</em>
+        <em>{categoryLabel(pattern.category)}</em>
+        {flashes ? (
+          <strong
+            className="flash-badge"
+            title={
+              flashGuard
+                ? `Flashes more than 3 times a second; slowed to ${flashReport.safeSpeed.toFixed(2)}x`
+                : "Flashes more than 3 times a second"
+            }
+          >
+            {flashGuard ? "Slowed" : "Flashes"}
+          </strong>
+        ) : null}
+        <button
+          type="button"
+          className={`favorite-toggle${favorite ? " active" : ""}`}
+          aria-pressed={favorite}
+          aria-label={`${favorite ? "Unstar" : "Star"} ${pattern.label}`}
+          onClick={() => onToggleFavorite(pattern.id)}
+        >
+          {favorite ? "★" : "☆"}
+        </button>
+        {pattern.custom ? (
+          <a className="edit-link" href={editHref(pattern.grid, pattern.id)}>
+            Edit
+          </a>
+        ) : null}
       </div>
       {colors.map((color, colorIndex) => (
         <MatrixTile
@@ -475,27 +430,555 @@ function PatternRow({ pattern, activeColorId, colors, matrixTemplate }) {
           color={color}
           intensities={
             color.id === activeColorId
-              ? liveIntensities
+              ? liveFrame.intensities
               : pattern.previewIntensities
           }
+          cellColors={color.id === activeColorId ? liveFrame.colors : previewColors[colorIndex]}
           colorIndex={colorIndex}
           isActive={color.id === activeColorId}
+          canvasSlot={canvasMode}
         />
       ))}
     </div>
   );
 }
 
-function PatternPlayer({ pattern, exportMode, color }) {
-  const [tAbs, setTAbs] = useState(0);
+// ?renderer=gl: one fixed canvas animates every visible tile in every color,
+// while the DOM keeps the layout, links and hover states.
+function GalleryCanvas({ matrixRef, patterns, colors, flashGuard }) {
+  const layerRef = useRef(null);
+  const reducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    const matrix = matrixRef.current;
+    if (!matrix) return;
+    const renderer = createGalleryRenderer(layerRef.current);
+    if (!renderer) return;
+
+    const patternMap = new Map(patterns.map((pattern) => [pattern.id, pattern]));
+    const colorMap = new Map(colors.map((color) => [color.id, color]));
+    const visible = new Set();
+    const observer = new IntersectionObserver(
+      (entries) =>
+        entries.forEach((entry) =>
+          entry.isIntersecting ? visible.add(entry.target) : visible.delete(entry.target)
+        ),
+      { rootMargin: "64px" }
+    );
+    matrix.querySelectorAll("[data-pattern]").forEach((node) => observer.observe(node));
+
+    let raf = 0;
+    let size = "";
+    const start = performance.now();
+    const tick = (now) => {
+      const ratio = window.devicePixelRatio || 1;
+      const nextSize = `${window.innerWidth}x${window.innerHeight}@${ratio}`;
+      if (nextSize !== size) {
+        size = nextSize;
+        renderer.resize(window.innerWidth, window.innerHeight, ratio);
+      }
+
+      const t = reducedMotion ? 0 : now - start;
+      const frames = new Map();
+      const tiles = [];
+      for (const node of visible) {
+        const pattern = patternMap.get(node.dataset.pattern);
+        const color = colorMap.get(node.dataset.color);
+        if (!pattern || !color) continue;
+        // Intensities don't depend on the color, so plain colors share one frame.
+        const key = hasColorData(pattern, color) ? `${pattern.id}:${color.id}` : pattern.id;
+        if (!frames.has(key)) {
+          const speed = flashGuard ? guardSpeed(1, getFlashReport(pattern, color), true) : 1;
+          frames.set(key, computeFrame(t * speed + pattern.phaseMs, pattern, color));
+        }
+        const { intensities, colors: cellColors } = frames.get(key);
+        const rect = node.getBoundingClientRect();
+        tiles.push({
+          x: rect.left,
+          y: rect.top,
+          cell: rect.width / pattern.grid.cols,
+          cols: pattern.grid.cols,
+          intensities,
+          colors: cellColors,
+          rgb: color.rgb,
+        });
+      }
+      renderer.draw(tiles, matrix.getBoundingClientRect());
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+
+    return () => {
+      cancelAnimationFrame(raf);
+      observer.disconnect();
+      renderer.destroy();
+    };
+  }, [matrixRef, patterns, colors, reducedMotion, flashGuard]);
+
+  return <div ref={layerRef} className="gallery-canvas" aria-hidden="true" />;
+}
+
+function RenderSettings({ settings, onChange, format, loopMs, disabled }) {
+  const sizeId = `${settings.width}x${settings.height}`;
+  const preset = SIZE_PRESETS.find((entry) => entry.id === sizeId);
+  const fps = formatFps(format, settings.fps);
+  const timing = checkLoopTiming(loopMs, fps);
+  const backgroundMode =
+    settings.background === null
+      ? "transparent"
+      : settings.background === BACKGROUND
+        ? "default"
+        : "custom";
+
+  const commitSide = (key, value) => {
+    const next = parseSize(
+      key === "width" ? `${value}x${settings.height}` : `${settings.width}x${value}`
+    );
+    onChange(next ?? {});
+  };
+
+  return (
+    <fieldset className="render-settings" disabled={disabled}>
+      <label>
+        <span>Size</span>
+        <select
+          value={preset ? sizeId : ""}
+          onChange={(event) => onChange(parseSize(event.target.value) ?? {})}
+        >
+          {preset ? null : <option value="">Custom</option>}
+          {SIZE_PRESETS.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.label} ({entry.id})
+            </option>
+          ))}
+        </select>
+      </label>
+      {/* Keyed on the size so presets reset the drafts; edits apply on blur. */}
+      <div className="render-size" key={sizeId}>
+        <label>
+          <span>W</span>
+          <input
+            type="number"
+            min="16"
+            step="2"
+            defaultValue={settings.width}
+            onBlur={(event) => commitSide("width", event.target.value)}
+          />
+        </label>
+        <label>
+          <span>H</span>
+          <input
+            type="number"
+            min="16"
+            step="2"
+            defaultValue={settings.height}
+            onBlur={(event) => commitSide("height", event.target.value)}
+          />
+        </label>
+      </div>
+      {!format?.still ? (
+        <label>
+          <span>FPS</span>
+          <select
+            value={settings.fps}
+            onChange={(event) => onChange({ fps: Number(event.target.value) })}
+          >
+            {FPS_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : null}
+      <label>
+        <span>Background</span>
+        <select
+          value={backgroundMode}
+          onChange={(event) => {
+            const mode = event.target.value;
+            onChange({
+              background:
+                mode === "transparent" ? null : mode === "default" ? BACKGROUND : "#000000",
+            });
+          }}
+        >
+          <option value="default">Default</option>
+          <option value="transparent">Transparent</option>
+          <option value="custom">Custom</option>
+        </select>
+      </label>
+      {backgroundMode === "custom" ? (
+        <label>
+          <span>Color</span>
+          <input
+            type="color"
+            value={settings.background}
+            onChange={(event) => onChange({ background: event.target.value.toUpperCase() })}
+          />
+        </label>
+      ) : null}
+      {format?.video ? (
+        <>
+          <label>
+            <span>Loops {settings.loops}x</span>
+            <input
+              type="range"
+              min={LOOPS_RANGE.min}
+              max={LOOPS_RANGE.max}
+              value={settings.loops}
+              onChange={(event) => onChange({ loops: Number(event.target.value) })}
+            />
+          </label>
+          <label>
+            <span>Bitrate {settings.bitrate} Mbps</span>
+            <input
+              type="range"
+              min={BITRATE_RANGE.min}
+              max={BITRATE_RANGE.max}
+              value={settings.bitrate}
+              onChange={(event) => onChange({ bitrate: Number(event.target.value) })}
+            />
+          </label>
+        </>
+      ) : null}
+      {!timing.aligned && !format?.still ? (
+        <p className="render-warning">
+          {loopMs} ms at {fps} fps is {timing.exact.toFixed(2)} frames; the file will loop
+          every {timing.outputMs.toFixed(1)} ms.
+        </p>
+      ) : null}
+      {settings.background === null && format && !format.alpha ? (
+        <p className="render-warning">
+          {format.label} has no alpha channel; it renders on the default background.
+        </p>
+      ) : null}
+    </fieldset>
+  );
+}
+
+const TRANSFORMS = [
+  { token: "rotate90", label: "Rotate 90°" },
+  { token: "rotate180", label: "Rotate 180°" },
+  { token: "mirrorX", label: "Mirror X" },
+  { token: "mirrorY", label: "Mirror Y" },
+  { token: "reverse", label: "Reverse" },
+  { token: "speed(0.5)", label: "Speed ½×" },
+  { token: "speed(2)", label: "Speed 2×" },
+];
+
+// Each operator appends to the `?p=` expression and reloads, so the result is shareable.
+function ComposePanel({ pattern, patterns }) {
+  const [partnerId, setPartnerId] = useState(patterns[0]?.id ?? "");
+  const [blend, setBlend] = useState(BLEND_MODES[0]);
+  const [error, setError] = useState("");
+  const byId = useMemo(
+    () => new Map(patterns.map((entry) => [entry.id, entry])),
+    [patterns]
+  );
+
+  const navigate = (expression) => {
+    const params = new URLSearchParams(window.location.search);
+    params.set("p", expression);
+    params.delete("t");
+    window.location.assign(`?${params}`);
+  };
+
+  const apply = (token) => {
+    const expression = `${pattern.id}|${token}`;
+    try {
+      composePattern(expression, (id) => byId.get(id) ?? null);
+    } catch (composeError) {
+      if (!(composeError instanceof CompositionError)) throw composeError;
+      setError(composeError.message);
+      return;
+    }
+    navigate(expression);
+  };
+
+  return (
+    <div className="compose-panel">
+      <div className="compose-transforms">
+        {TRANSFORMS.map(({ token, label }) => (
+          <button key={token} type="button" onClick={() => apply(token)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      <label>
+        <span>With</span>
+        <select value={partnerId} onChange={(event) => setPartnerId(event.target.value)}>
+          {patterns.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <span>Blend</span>
+        <select value={blend} onChange={(event) => setBlend(event.target.value)}>
+          {BLEND_MODES.map((mode) => (
+            <option key={mode} value={mode}>
+              {mode}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="button" onClick={() => apply(`then(${partnerId})`)}>
+        Then
+      </button>
+      <button type="button" onClick={() => apply(`${blend}(${partnerId})`)}>
+        Layer
+      </button>
+      <code className="compose-expression">{pattern.id}</code>
+      {pattern.origin ? (
+        <button type="button" onClick={() => navigate(pattern.origin.id)}>
+          Reset
+        </button>
+      ) : null}
+      {error ? <p className="render-error">{error}</p> : null}
+    </div>
+  );
+}
+
+// BPM snaps the pattern's beat to a note value; the audio inputs drive the
+// clock and brightness from an AnalyserNode.
+function SyncControls({
+  pattern,
+  sync,
+  onSyncChange,
+  bpm,
+  onBpmChange,
+  audioMode,
+  onAudioModeChange,
+  onAudioFile,
+  audioActive,
+  level,
+  error,
+}) {
+  const taps = useRef([]);
+  const division = snapBeatMs(pattern.beatMs, bpm);
+
+  const tap = () => {
+    const now = performance.now();
+    const last = taps.current.at(-1);
+    taps.current = last !== undefined && now - last < TAP_RESET_MS ? [...taps.current.slice(-7), now] : [now];
+    const tapped = estimateBpm(taps.current, BPM_RANGE);
+    if (tapped) onBpmChange(Math.round(tapped));
+  };
+
+  return (
+    <div className="player-sync">
+      <label>
+        <span>Sync</span>
+        <select value={sync} onChange={(event) => onSyncChange(event.target.value)}>
+          {SYNC_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {sync === "bpm" ? (
+        <>
+          <label>
+            <span>BPM</span>
+            <input
+              type="number"
+              min={BPM_RANGE.min}
+              max={BPM_RANGE.max}
+              value={bpm}
+              onChange={(event) => {
+                const parsed = parseBpm(event.target.value);
+                if (parsed) onBpmChange(parsed);
+              }}
+            />
+          </label>
+          <button type="button" onClick={tap}>
+            Tap
+          </button>
+          <span className="sync-readout">
+            {division.division} note · {Math.round(division.beatMs)} ms steps
+          </span>
+        </>
+      ) : null}
+      {sync === "mic" || sync === "file" ? (
+        <>
+          {sync === "file" ? (
+            <label className="sync-file">
+              <span>File</span>
+              <input
+                type="file"
+                accept="audio/*"
+                onChange={(event) => {
+                  const [file] = event.target.files;
+                  if (file) onAudioFile(file);
+                }}
+              />
+            </label>
+          ) : null}
+          <label>
+            <span>Mode</span>
+            <select value={audioMode} onChange={(event) => onAudioModeChange(event.target.value)}>
+              {AUDIO_SYNC_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {AUDIO_MODE_LABELS[mode]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div
+            className="sync-meter"
+            role="meter"
+            aria-label="Audio level"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={audioActive ? Math.round(level * 100) : 0}
+          >
+            <span style={{ width: `${audioActive ? level * 100 : 0}%` }} />
+          </div>
+        </>
+      ) : null}
+      {error ? <span className="render-error">{error}</span> : null}
+    </div>
+  );
+}
+
+function PatternPlayer({
+  pattern,
+  patternSet,
+  exportMode,
+  color,
+  startMs,
+  startSpeed,
+  startBpm,
+  startSettings,
+  startStates,
+  startState,
+  messageOrigin,
+  ledUrl,
+}) {
+  const { patterns } = patternSet;
+  // A shared `?t=` opens paused on that moment, and so does reduced motion.
+  const reducedMotion = useReducedMotion();
+  const [paused, setPaused] = useState(startMs !== null || reducedMotion);
+  const [speed, setSpeed] = useState(startSpeed);
+  const [sync, setSync] = useState(startBpm ? "bpm" : "beat");
+  const [bpm, setBpm] = useState(startBpm ?? BPM_RANGE.fallback);
+  const [audioMode, setAudioMode] = useState(AUDIO_SYNC_MODES[0]);
+  const [audioInput, setAudioInput] = useState(null);
+  const [audioError, setAudioError] = useState("");
+  const [level, setLevel] = useState(0);
+  const audioRequest = useRef(0);
+  const theme = color ?? pattern.defaultColorTheme;
+  const [flashGuard, setFlashGuard] = useFlashGuard();
+  const flashGuardRef = useRef(flashGuard);
+  useEffect(() => {
+    flashGuardRef.current = flashGuard;
+  }, [flashGuard]);
+  // States from `?states=` or postMessage replace the single `?p=` pattern.
+  // The guard slows each one as it starts, whoever sent it.
+  const createController = useCallback(
+    (config) =>
+      createGridController({
+        ...config,
+        resolve: (id) => resolvePattern(patternSet, id),
+        resolveTheme: (value) => resolveColor(value, loadSavedThemes()),
+        limitSpeed: (speed, entryPattern, entryTheme) =>
+          guardSpeed(speed, getFlashReport(entryPattern, entryTheme), flashGuardRef.current),
+      }),
+    [patternSet]
+  );
+  const { controller, frame: controllerFrame, advanceTo, refresh } = useControllerMessages({
+    enabled: !exportMode,
+    startStates,
+    startState,
+    origin: messageOrigin,
+    create: createController,
+    initialMs: startMs ?? 0,
+  });
+  // A controller's patterns are guarded one by one in createController.
+  const flashReport = useMemo(
+    () => (controller || exportMode ? null : getFlashReport(pattern, theme)),
+    [controller, exportMode, pattern, theme]
+  );
+  const analyzer = useMemo(
+    () => (audioInput ? createAudioAnalyzer({ sampleRate: audioInput.sampleRate }) : null),
+    [audioInput]
+  );
+  const advance = useMemo(() => {
+    if (!analyzer || exportMode) return undefined;
+    return (t, elapsedMs) => {
+      const analysis = analyzer.process(audioInput.read(), elapsedMs);
+      setLevel(analysis.level);
+      const next = advanceWithAudio(pattern, t, elapsedMs, analysis, { mode: audioMode, speed });
+      // Onsets jump ahead; the guard lets them catch up no faster than its speed.
+      return flashGuard && flashReport ? Math.min(next, t + elapsedMs * flashReport.safeSpeed) : next;
+    };
+  }, [analyzer, audioInput, exportMode, pattern, audioMode, speed, flashGuard, flashReport]);
+  const bpmSync = sync === "bpm" && !exportMode;
+  const requestedSpeed = bpmSync ? bpmSpeed(pattern, bpm) : speed;
+  const [tAbs, seek] = usePlaybackTime({
+    paused: exportMode || paused,
+    // Controller states are guarded at 1x, so the guard keeps the player there.
+    speed:
+      controller && flashGuard
+        ? Math.min(requestedSpeed, 1)
+        : guardSpeed(requestedSpeed, flashReport, flashGuard),
+    advance,
+    onTime: advanceTo,
+    initialMs: startMs ?? 0,
+  });
+  const tLoop = ((tAbs % pattern.loopMs) + pattern.loopMs) % pattern.loopMs;
+  const beatMarkers = useMemo(
+    () => stepTimes(pattern).map((time) => time / pattern.loopMs),
+    [pattern]
+  );
   const [isRendering, setIsRendering] = useState(false);
   const [renderProgress, setRenderProgress] = useState(0);
   const [renderError, setRenderError] = useState("");
   const [formatId, setFormatId] = useState("");
-  const supportedFormats = useMemo(() => {
-    if (typeof MediaRecorder === "undefined") return [];
-    return VIDEO_FORMATS.filter((format) => MediaRecorder.isTypeSupported(format.mime));
-  }, []);
+  const supportedFormats = useMemo(getSupportedFormats, []);
+  const [settings, setSettings] = useState(startSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showCompose, setShowCompose] = useState(false);
+  const updateSettings = (patch) => setSettings((current) => ({ ...current, ...patch }));
+
+  useEffect(() => {
+    if (!audioInput) return;
+    return () => audioInput.close();
+  }, [audioInput]);
+
+  // Only the latest request keeps its input, in case the user switches again mid-prompt.
+  const connectAudio = async (open) => {
+    const request = ++audioRequest.current;
+    setAudioInput(null);
+    setAudioError("");
+    try {
+      const input = await open();
+      if (request !== audioRequest.current) {
+        input.close();
+        return;
+      }
+      setLevel(0);
+      setAudioInput(input);
+    } catch (error) {
+      if (!(error instanceof AudioInputError)) throw error;
+      if (request === audioRequest.current) setAudioError(error.message);
+    }
+  };
+
+  const changeSync = (next) => {
+    setSync(next);
+    if (next === "mic") {
+      connectAudio(openMicrophone);
+      return;
+    }
+    audioRequest.current += 1;
+    setAudioInput(null);
+    setAudioError("");
+  };
 
   useEffect(() => {
     if (!formatId && supportedFormats.length) {
@@ -506,37 +989,92 @@ function PatternPlayer({ pattern, exportMode, color }) {
   useEffect(() => {
     if (!exportMode) return;
 
-    window.__setExportTime = (ms) => setTAbs(ms);
+    window.__setExportTime = (ms) => seek(ms);
     window.__getLoopMs = () => pattern.loopMs;
 
     return () => {
       delete window.__setExportTime;
       delete window.__getLoopMs;
     };
-  }, [exportMode, pattern.loopMs]);
+  }, [exportMode, pattern.loopMs, seek]);
 
+  const shareMs = paused ? Math.round(tLoop) : null;
   useEffect(() => {
     if (exportMode) return;
-
-    let raf = 0;
-    const start = performance.now();
-    const tick = () => {
-      setTAbs(performance.now() - start);
-      raf = requestAnimationFrame(tick);
+    const params = new URLSearchParams(window.location.search);
+    if (shareMs === null) params.delete("t");
+    else params.set("t", shareMs);
+    if (speed === 1) params.delete("speed");
+    else params.set("speed", speed);
+    if (bpmSync) params.set("bpm", bpm);
+    else params.delete("bpm");
+    RENDER_PARAMS.forEach((key) => params.delete(key));
+    Object.entries(renderSettingsParams(settings)).forEach(([key, value]) => params.set(key, value));
+    window.history.replaceState(null, "", `?${params}`);
+  }, [exportMode, shareMs, speed, bpmSync, bpm, settings]);
+
+  // Headless exports screenshot over a transparent page for alpha output.
+  const transparentExport = exportMode && settings.background === null;
+  useEffect(() => {
+    if (!transparentExport) return;
+    const previous = document.body.style.background;
+    document.body.style.background = "transparent";
+    return () => {
+      document.body.style.background = previous;
     };
-    raf = requestAnimationFrame(tick);
-    return () => cancelAnimationFrame(raf);
-  }, [exportMode]);
+  }, [transparentExport]);
 
+  const stepBy = (direction) => {
+    setPaused(true);
+    seek(tLoop + direction * STEP_MS);
+  };
+
+  const frame = useMemo(
+    () => controllerFrame ?? computeFrame(tAbs, pattern, theme),
+    [controllerFrame, tAbs, pattern, theme]
+  );
   const intensities = useMemo(
-    () => computeIntensities(tAbs, pattern),
-    [tAbs, pattern]
+    () => (advance ? modulateIntensities(frame.intensities, level) : frame.intensities),
+    [advance, frame, level]
   );
-  const glow = color ?? pattern.defaultColor;
+  const shownLabel = controller ? frame.active : pattern.label;
+  const shownGrid = controller?.grid ?? pattern.grid ?? patternSet.grid;
+  const ledStatus = useLedSink({
+    url: exportMode ? null : ledUrl,
+    grid: shownGrid,
+    intensities,
+    colors: frame.colors,
+    rgb: theme?.rgb,
+  });
+
+  // parity.mjs compares the grid on this page with the canvas renderer's frame.
+  useEffect(() => {
+    if (!exportMode) return;
+
+    window.__canvasFrame = (ms, { width, height }) => {
+      const { canvas, draw } = createFrameCanvas({
+        pattern,
+        theme,
+        width,
+        height,
+        background: settings.background,
+        padding: 0,
+      });
+      draw(ms);
+      return canvas.toDataURL("image/png");
+    };
+
+    return () => {
+      delete window.__canvasFrame;
+    };
+  }, [exportMode, pattern, theme, settings.background]);
+  const glow = theme.rgb;
   const activeFormat =
     supportedFormats.find((format) => format.id === formatId) ?? supportedFormats[0];
   const canRender = !exportMode && activeFormat && !isRendering;
-  const backHref = resolveBasePath();
+  const g = gridParam(pattern.grid);
+  const home = pattern.origin ?? pattern;
+  const backHref = galleryHref(home.grid, home.envelopeOverride ? home.envelope : null);
 
   const handleRender = async () => {
     if (!activeFormat || isRendering) return;
@@ -544,128 +1082,46 @@ function PatternPlayer({ pattern, exportMode, color }) {
     setRenderProgress(0);
     setIsRendering(true);
 
-    let cleanup = () => {};
     try {
-      const parsed = glow.split(",").map((value) => Number.parseInt(value.trim(), 10));
-      const rgb = parsed.map((value) => (Number.isFinite(value) ? value : 255));
-      const baseName = `${pattern.id}-${rgb.join("-")}`;
-      const fps = 60;
-      const frameMs = 1000 / fps;
-      const totalFrames = Math.round((pattern.loopMs * fps) / 1000);
-      const progressStep = Math.max(1, Math.floor(fps / 6));
-
-      const size = 512;
-      const padding = Math.round(size * 0.16);
-      const cell = Math.floor((size - padding * 2) / 3);
-      const gridSize = cell * 3;
-      const offset = Math.round((size - gridSize) / 2);
-
-      const canvas = document.createElement("canvas");
-      canvas.width = size;
-      canvas.height = size;
-      canvas.style.position = "fixed";
-      canvas.style.left = "-10000px";
-      canvas.style.top = "0";
-      canvas.style.opacity = "0";
-      document.body.appendChild(canvas);
-      cleanup = () => canvas.remove();
-      const ctx = canvas.getContext("2d");
-      if (!ctx) {
-        setRenderError("Canvas unavailable.");
-        return;
-      }
-
-      const draw = (frameIndex) => {
-        const t = (frameIndex * frameMs) % pattern.loopMs;
-        const frameIntensities = computeIntensities(t, pattern);
-
-        ctx.fillStyle = "#050505";
-        ctx.fillRect(0, 0, size, size);
-
-        frameIntensities.forEach((value, index) => {
-          const x = offset + (index % 3) * cell;
-          const y = offset + Math.floor(index / 3) * cell;
-          const alpha = 0.08 + 0.85 * value;
-          ctx.save();
-          ctx.shadowColor = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${0.45 * value})`;
-          ctx.shadowBlur = 18 + 24 * value;
-          ctx.fillStyle = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
-          ctx.fillRect(x, y, cell, cell);
-          ctx.restore();
-        });
-      };
-
-      draw(0);
-
-      const stream = canvas.captureStream(fps);
-      const track = stream.getVideoTracks()[0];
-      if (!track) {
-        setRenderError("Video capture unavailable.");
-        return;
-      }
-      if (track?.requestFrame) track.requestFrame();
-      let recorder;
-      try {
-        recorder = new MediaRecorder(stream, {
-          mimeType: activeFormat.mime,
-          videoBitsPerSecond: 4_000_000,
-        });
-      } catch (error) {
-        recorder = new MediaRecorder(stream);
-      }
-      const outputMime = recorder.mimeType || activeFormat.mime;
-      const outputExt = outputMime.includes("mp4") ? "mp4" : "webm";
-      const chunks = [];
-      recorder.ondataavailable = (event) => {
-        if (event.data.size) chunks.push(event.data);
-      };
-      recorder.onerror = () => {
-        setRenderError("Video export failed.");
-      };
-      const stopped = new Promise((resolve) => {
-        recorder.onstop = resolve;
+      const seedSuffix = pattern.seed ? `-seed-${pattern.seed}` : "";
+      const envSuffix = pattern.envelopeOverride ? `-${pattern.envelope.type}` : "";
+      const colorName = theme.gradient ? theme.id : glow.split(",").map((value) => value.trim()).join("-");
+      // Composition expressions carry | and () that don't belong in file names.
+      const fileId = pattern.id.replace(/[^\w-]+/g, "_").replace(/_+$/, "");
+      const baseName = `${fileId}${seedSuffix}${envSuffix}${g ? `-${g}` : ""}-${colorName}`;
+      const files = await renderPattern({
+        format: activeFormat,
+        settings,
+        pattern,
+        theme,
+        posterMs: tLoop,
+        onProgress: setRenderProgress,
       });
-
-      recorder.start(100);
-
-      for (let frame = 0; frame < totalFrames; frame += 1) {
-        draw(frame);
-        if (track?.requestFrame) track.requestFrame();
-        if (frame % progressStep === 0) {
-          setRenderProgress(frame / totalFrames);
-        }
-        await new Promise((resolve) => setTimeout(resolve, frameMs));
-      }
-
-      recorder.requestData();
-      await new Promise((resolve) => setTimeout(resolve, 120));
-      recorder.stop();
-      await stopped;
-      track?.stop();
-
-      if (!chunks.length) {
-        setRenderError("No data captured.");
-        return;
-      }
-
-      const blob = new Blob(chunks, { type: outputMime });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = `${baseName}.${outputExt}`;
-      link.click();
-      URL.revokeObjectURL(url);
+      files.forEach(({ blob, ext, suffix }) =>
+        downloadBlob(blob, `${baseName}${suffix ? `-${suffix}` : ""}.${ext}`)
+      );
     } catch (error) {
-      setRenderError("Video export failed.");
+      setRenderError(error instanceof RenderError ? error.message : "Export failed.");
     } finally {
-      cleanup();
       setIsRendering(false);
       setRenderProgress(0);
     }
   };
 
   return (
-    <div className="player" style={{ "--glow": glow }}>
+    <div
+      className={`player${settings.background === null ? " is-transparent" : ""}`}
+      style={{
+        "--glow": glow,
+        ...gridStyle(controller?.grid ?? pattern.grid),
+        // Export pages stay see-through so screenshots keep alpha.
+        ...(settings.background === null
+          ? exportMode
+            ? { background: "transparent" }
+            : {}
+          : { background: settings.background }),
+      }}
+    >
       {!exportMode ? (
         <a className="back-link" href={backHref}>
           Back to grid
@@ -678,7 +1134,7 @@ function PatternPlayer({ pattern, exportMode, color }) {
             <select
               value={formatId}
               onChange={(event) => setFormatId(event.target.value)}
-              disabled={!supportedFormats.length || isRendering}
+              disabled={isRendering}
             >
               {supportedFormats.map((format) => (
                 <option key={format.id} value={format.id}>
@@ -687,51 +1143,423 @@ function PatternPlayer({ pattern, exportMode, color }) {
               ))}
             </select>
           </label>
+          <button
+            type="button"
+            onClick={() => setShowCompose((value) => !value)}
+            aria-expanded={showCompose}
+          >
+            Compose
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowSettings((value) => !value)}
+            aria-expanded={showSettings}
+          >
+            Settings
+          </button>
+          <button
+            type="button"
+            onClick={() => setFlashGuard(!flashGuard)}
+            aria-pressed={flashGuard}
+            title="Slow patterns that flash more than 3 times a second"
+          >
+            Flash guard
+          </button>
           <button type="button" onClick={handleRender} disabled={!canRender}>
             {isRendering
               ? `Rendering ${Math.round(renderProgress * 100)}%`
-              : "Render video"}
+              : "Render"}
           </button>
-          {!supportedFormats.length ? (
-            <span className="render-error">Video export not supported.</span>
-          ) : renderError ? (
-            <span className="render-error">{renderError}</span>
+          {renderError ? <span className="render-error">{renderError}</span> : null}
+        </div>
+      ) : null}
+      {!exportMode && showSettings ? (
+        <RenderSettings
+          settings={settings}
+          onChange={updateSettings}
+          format={activeFormat}
+          loopMs={pattern.loopMs}
+          disabled={isRendering}
+        />
+      ) : null}
+      {!exportMode && showCompose ? <ComposePanel pattern={pattern} patterns={patterns} /> : null}
+      <div className="player-label">{shownLabel}</div>
+      <FrameGrid
+        intensities={intensities}
+        colors={frame.colors}
+        label={`${shownLabel}, ${shownGrid.cols} by ${shownGrid.rows} light grid`}
+      />
+      {!exportMode && flashesAt(flashReport, requestedSpeed) ? (
+        <p className="flash-warning" role="status">
+          {flashGuard
+            ? `Flash guard: playing at ${flashReport.safeSpeed.toFixed(2)}x to stay under 3 flashes a second.`
+            : "This speed flashes more than 3 times a second. Turn on Flash guard to slow it down."}
+        </p>
+      ) : null}
+      {ledStatus !== "off" ? (
+        <div className="led-status" role="status">
+          LED bridge: {ledStatus}
+        </div>
+      ) : null}
+      {!exportMode && controller ? (
+        <div className="controller-states" role="group" aria-label="States">
+          {controller.states.map((name) => (
+            <button
+              key={name}
+              type="button"
+              aria-pressed={frame.state === name}
+              onClick={() => {
+                controller.setState(name);
+                refresh();
+              }}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      ) : null}
+      {!exportMode ? (
+        <div className="player-transport">
+          {controller ? (
+            <button type="button" className="play-toggle" onClick={() => setPaused((value) => !value)}>
+              {paused ? "Play" : "Pause"}
+            </button>
+          ) : (
+            <>
+              <button type="button" onClick={() => stepBy(-1)} aria-label="Previous frame">
+                &lsaquo;
+              </button>
+              <button type="button" className="play-toggle" onClick={() => setPaused((value) => !value)}>
+                {paused ? "Play" : "Pause"}
+              </button>
+              <button type="button" onClick={() => stepBy(1)} aria-label="Next frame">
+                &rsaquo;
+              </button>
+              <div className="scrubber">
+                <input
+                  type="range"
+                  min="0"
+                  max={pattern.loopMs}
+                  step="1"
+                  value={Math.round(tLoop)}
+                  onChange={(event) => seek(Number(event.target.value))}
+                  aria-label="Position"
+                  aria-valuetext={`${Math.round(tLoop)} of ${pattern.loopMs} ms`}
+                />
+                <div className="beat-markers" aria-hidden="true">
+                  {beatMarkers.map((position, step) => (
+                    <span key={step} style={{ left: `${position * 100}%` }} />
+                  ))}
+                </div>
+              </div>
+              <span className="transport-time">
+                {Math.round(tLoop)} / {pattern.loopMs} ms
+              </span>
+            </>
+          )}
+          {sync !== "bpm" ? (
+            <label>
+              <span>Speed {speed}x</span>
+              <input
+                type="range"
+                min={SPEED_RANGE.min}
+                max={SPEED_RANGE.max}
+                step={SPEED_RANGE.step}
+                value={speed}
+                onChange={(event) => setSpeed(Number(event.target.value))}
+              />
+            </label>
           ) : null}
         </div>
       ) : null}
-      <div className="player-label">{pattern.label}</div>
-      <div className="grid">
-        {CELL_INDICES.map((i) => (
-          <div key={i} className="cell" style={{ "--a": intensities[i] }} />
-        ))}
-      </div>
+      {!exportMode ? (
+        <SyncControls
+          pattern={pattern}
+          sync={sync}
+          onSyncChange={changeSync}
+          bpm={bpm}
+          onBpmChange={setBpm}
+          audioMode={audioMode}
+          onAudioModeChange={setAudioMode}
+          onAudioFile={(file) => connectAudio(() => openAudioFile(file))}
+          audioActive={Boolean(audioInput)}
+          level={level}
+          error={audioError}
+        />
+      ) : null}
     </div>
   );
 }
 
-export default function App() {
-  const params = new URLSearchParams(window.location.search);
-  const patternParam = params.get("p");
-  const exportMode = params.get("export") === "1";
-  const colorParam = params.get("c");
-  let color = null;
-  if (colorParam) {
-    const mapped = COLOR_MAP[colorParam];
-    if (mapped) {
-      color = mapped.rgb;
-    } else {
-      const normalized = normalizeHex(colorParam);
-      color = normalized ? hexToRgb(normalized) : null;
+function PatternEditor({ grid, source }) {
+  const [name, setName] = useState(source?.id ?? "");
+  const [frames, setFrames] = useState(() =>
+    source ? source.frames.map((cells) => [...cells]) : [[]]
+  );
+  const [beatInput, setBeatInput] = useState(String(source?.beatMs ?? BEAT_RANGE.fallback));
+  const [pulseInput, setPulseInput] = useState(
+    String(source?.pulseMs ?? PULSE_RANGE.fallback)
+  );
+  const [envelopeType, setEnvelopeType] = useState(source?.envelope?.type ?? DEFAULT_ENVELOPE);
+  const [envelopeInputs, setEnvelopeInputs] = useState(() => {
+    if (!source?.envelope) return {};
+    const { type: _type, ...values } = source.envelope;
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value)]));
+  });
+  const [status, setStatus] = useState(null);
+  const [tAbs] = useAnimationClock(true);
+
+  const id = slugify(name);
+  const beatMs = parseMs(beatInput, BEAT_RANGE);
+  const pulseMs = parseMs(pulseInput, PULSE_RANGE);
+  const envelope = useMemo(() => {
+    const spec = normalizeEnvelope({ type: envelopeType, ...envelopeInputs });
+    // Plain default breath stays implicit so saved patterns keep following it.
+    return Object.keys(envelopeToParams(spec)).length > 1 || spec.type !== DEFAULT_ENVELOPE
+      ? spec
+      : undefined;
+  }, [envelopeType, envelopeInputs]);
+  const cellIndices = useMemo(() => range(grid.cols * grid.rows), [grid]);
+  // Imported patterns may carry colors; step colors only survive while the step count matches.
+  const colorData = useMemo(
+    () => ({
+      ...(source?.gradient ? { gradient: source.gradient } : {}),
+      ...(source?.stepColors?.length === frames.length ? { stepColors: source.stepColors } : {}),
+    }),
+    [source, frames.length]
+  );
+  const draft = useMemo(
+    () => ({
+      id: id || "draft",
+      label: id || "draft",
+      frames,
+      beatMs,
+      pulseMs,
+      envelope,
+      ...colorData,
+      loopMs: frames.length * beatMs,
+      category: "custom",
+      grid,
+    }),
+    [id, frames, beatMs, pulseMs, envelope, colorData, grid]
+  );
+  const frame = useMemo(() => computeFrame(tAbs, draft), [tAbs, draft]);
+  const activeStep = Math.floor((tAbs % draft.loopMs) / beatMs);
+  const backHref = galleryHref(grid);
+
+  const updateFrames = (update) => {
+    setFrames(update);
+    setStatus(null);
+  };
+
+  const toggleCell = (step, idx) =>
+    updateFrames((prev) =>
+      prev.map((cells, i) => {
+        if (i !== step) return cells;
+        return cells.includes(idx) ? cells.filter((cell) => cell !== idx) : union(cells, [idx]);
+      })
+    );
+
+  const addStep = () => updateFrames((prev) => [...prev, []]);
+
+  const duplicateStep = (step) =>
+    updateFrames((prev) => [...prev.slice(0, step + 1), [...prev[step]], ...prev.slice(step + 1)]);
+
+  const removeStep = (step) =>
+    updateFrames((prev) => (prev.length > 1 ? prev.filter((_, i) => i !== step) : prev));
+
+  const handleSave = () => {
+    if (!PATTERN_ID_PATTERN.test(id)) {
+      setStatus({ error: "Name needs at least one letter or digit." });
+      return;
+    }
+    if (BUILT_IN_IDS.has(id)) {
+      setStatus({ error: `"${id}" is a built-in pattern.` });
+      return;
+    }
+    if (!frames.some((cells) => cells.length)) {
+      setStatus({ error: "Light at least one cell." });
+      return;
     }
-  }
 
-  const pattern = patternParam ? PATTERN_MAP[patternParam] : null;
-  if (pattern) {
-    return <PatternPlayer pattern={pattern} exportMode={exportMode} color={color} />;
-  }
+    const pattern = {
+      id,
+      label: id,
+      frames,
+      beatMs,
+      pulseMs,
+      envelope,
+      ...colorData,
+      grid: { ...grid },
+    };
+    try {
+      if (!saveCustomPattern(pattern)) {
+        setStatus({ error: "Could not save to this browser." });
+        return;
+      }
+    } catch (error) {
+      setStatus({ error: error.message });
+      return;
+    }
+    PATTERN_SETS.clear();
+    setStatus({ saved: pattern });
+  };
+
+  const handleDelete = () => {
+    if (!source) return;
+    deleteCustomPattern(source.id);
+    PATTERN_SETS.clear();
+    window.location.href = backHref;
+  };
+
+  return (
+    <div className="editor" style={{ "--glow": COLOR_THEMES[0].rgb, ...gridStyle(grid) }}>
+      <a className="back-link" href={backHref}>
+        Back to grid
+      </a>
+      <div className="editor-fields">
+        <label>
+          <span>Name</span>
+          <input
+            value={name}
+            onChange={(event) => {
+              setName(event.target.value);
+              setStatus(null);
+            }}
+            placeholder="my-pattern"
+            aria-label="Pattern name"
+          />
+        </label>
+        <label>
+          <span>Beat ms</span>
+          <input
+            type="number"
+            min={BEAT_RANGE.min}
+            max={BEAT_RANGE.max}
+            value={beatInput}
+            onChange={(event) => setBeatInput(event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Pulse ms</span>
+          <input
+            type="number"
+            min={PULSE_RANGE.min}
+            max={PULSE_RANGE.max}
+            value={pulseInput}
+            onChange={(event) => setPulseInput(event.target.value)}
+            disabled={Boolean(ENVELOPES[envelopeType].duration)}
+          />
+        </label>
+        <label>
+          <span>Envelope</span>
+          <select
+            value={envelopeType}
+            onChange={(event) => {
+              setEnvelopeType(event.target.value);
+              setEnvelopeInputs({});
+            }}
+          >
+            {ENVELOPE_IDS.map((type) => (
+              <option key={type} value={type}>
+                {ENVELOPES[type].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(ENVELOPES[envelopeType].params).map(([key, param]) => (
+          <label key={`${envelopeType}-${key}`}>
+            <span>{key}</span>
+            <input
+              type="number"
+              min={param.min}
+              max={param.max}
+              step="any"
+              value={envelopeInputs[key] ?? ""}
+              placeholder={String(param.value)}
+              onChange={(event) =>
+                setEnvelopeInputs((prev) => ({ ...prev, [key]: event.target.value }))
+              }
+            />
+          </label>
+        ))}
+        <span className="editor-meta">
+          {gridKey(grid)} / {frames.length} steps / {draft.loopMs}ms
+        </span>
+      </div>
+
+      <FrameGrid intensities={frame.intensities} colors={frame.colors} label="Preview" />
+
+      <div className="editor-timeline">
+        {frames.map((cells, step) => (
+          <div
+            key={step}
+            className={`editor-step${step === activeStep ? " active" : ""}`}
+          >
+            <div className="step-grid">
+              {cellIndices.map((idx) => (
+                <button
+                  key={idx}
+                  type="button"
+                  className={cells.includes(idx) ? "on" : ""}
+                  onClick={() => toggleCell(step, idx)}
+                  aria-pressed={cells.includes(idx)}
+                  aria-label={`Step ${step + 1}, cell ${idx + 1}`}
+                />
+              ))}
+            </div>
+            <div className="step-actions">
+              <span>{step + 1}</span>
+              <button type="button" onClick={() => duplicateStep(step)} title="Duplicate step">
+                +
+              </button>
+              <button
+                type="button"
+                onClick={() => removeStep(step)}
+                disabled={frames.length === 1}
+                title="Remove step"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        ))}
+        <button type="button" className="editor-add" onClick={addStep}>
+          Add step
+        </button>
+      </div>
 
+      <div className="editor-actions">
+        <button type="button" onClick={handleSave}>
+          Save pattern
+        </button>
+        {source ? (
+          <button type="button" onClick={handleDelete}>
+            Delete
+          </button>
+        ) : null}
+        {status?.error ? <span className="render-error">{status.error}</span> : null}
+        {status?.saved ? (
+          <a className="edit-link" href={patternHref(status.saved)}>
+            Open {status.saved.id}
+          </a>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function Gallery({ grid, seed, envelope, renderer, startFilters }) {
+  const matrixRef = useRef(null);
+  const canvasMode = renderer === "gl";
+  const [patternSet, setPatternSet] = useState(() => getPatternSet(grid, seed, envelope));
+  const [filters, setFilters] = useState(startFilters);
+  const [favorites, setFavorites] = useState(() => new Set(loadFavorites()));
+  const [flashGuard, setFlashGuard] = useFlashGuard();
   const [activeColorId, setActiveColorId] = useState(COLOR_THEMES[0].id);
-  const [customHex, setCustomHex] = useState("#8CFAFF");
+  const [customHex, setCustomHex] = useState(() => loadCustomHex() ?? DEFAULT_CUSTOM_HEX);
+  const [savedThemes, setSavedThemes] = useState(loadSavedThemes);
+  const [libraryStatus, setLibraryStatus] = useState(null);
   const customHexNormalized = useMemo(() => normalizeHex(customHex), [customHex]);
   const customRgb = useMemo(
     () => hexToRgb(customHexNormalized) ?? "255, 255, 255",
@@ -740,6 +1568,7 @@ export default function App() {
   const colors = useMemo(
     () => [
       ...COLOR_THEMES,
+      ...savedThemes,
       {
         id: "custom",
         name: customHexNormalized ? `Custom ${`#${customHexNormalized}`}` : "Custom",
@@ -747,20 +1576,296 @@ export default function App() {
         param: customHexNormalized ?? "FFFFFF",
       },
     ],
-    [customRgb, customHexNormalized]
+    [savedThemes, customRgb, customHexNormalized]
   );
   const matrixTemplate = useMemo(
     () => getMatrixTemplate(colors.length),
     [colors.length]
   );
+  const currentGrid = gridKey(grid);
+  const categories = useMemo(() => listCategories(patternSet.patterns), [patternSet]);
+  const filtered = useMemo(
+    () => filterPatterns(patternSet.patterns, filters, favorites),
+    [patternSet, filters, favorites]
+  );
+  const sections = useMemo(
+    () => (filters.sections ? groupByCategory(filtered) : null),
+    [filters.sections, filtered]
+  );
+  // What is actually on screen, so the canvas layer observes the right slots.
+  const shownPatterns = useMemo(
+    () =>
+      sections
+        ? sections
+            .filter((section) => !filters.collapsed.includes(section.category))
+            .flatMap((section) => section.patterns)
+        : filtered,
+    [sections, filtered, filters.collapsed]
+  );
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    FILTER_PARAMS.forEach((key) => params.delete(key));
+    Object.entries(filterParams(filters)).forEach(([key, value]) => params.set(key, value));
+    const search = params.toString();
+    window.history.replaceState(null, "", search ? `?${search}` : window.location.pathname);
+  }, [filters]);
+
+  const updateFilters = (patch) => setFilters((current) => ({ ...current, ...patch }));
+
+  const toggleCategory = (category) =>
+    updateFilters({
+      categories: filters.categories.includes(category)
+        ? filters.categories.filter((item) => item !== category)
+        : [...filters.categories, category],
+    });
+
+  const toggleSection = (category) =>
+    updateFilters({
+      collapsed: filters.collapsed.includes(category)
+        ? filters.collapsed.filter((item) => item !== category)
+        : [...filters.collapsed, category],
+    });
+
+  const allCollapsed =
+    Boolean(sections?.length) &&
+    sections.every((section) => filters.collapsed.includes(section.category));
+
+  const handleToggleFavorite = (id) => {
+    const next = new Set(favorites);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setFavorites(next);
+    saveFavorites([...next]);
+  };
+
+  const renderRow = (pattern) => (
+    <PatternRow
+      key={pattern.id}
+      pattern={pattern}
+      activeColorId={activeColorId}
+      colors={colors}
+      matrixTemplate={matrixTemplate}
+      canvasMode={canvasMode}
+      favorite={favorites.has(pattern.id)}
+      onToggleFavorite={handleToggleFavorite}
+      flashGuard={flashGuard}
+    />
+  );
+
+  const handleSaveTheme = () => {
+    if (!customHexNormalized) return;
+    const theme = {
+      id: `custom-${customHexNormalized.toLowerCase()}`,
+      name: `#${customHexNormalized}`,
+      rgb: customRgb,
+    };
+    if (!saveCustomTheme(theme)) {
+      setLibraryStatus({ error: "Could not save to this browser." });
+      return;
+    }
+    setSavedThemes(loadSavedThemes());
+    setActiveColorId(theme.id);
+  };
+
+  const handleDeleteTheme = (id) => {
+    deleteCustomTheme(id);
+    setSavedThemes(loadSavedThemes());
+    if (activeColorId === id) setActiveColorId(COLOR_THEMES[0].id);
+  };
+
+  const handleExportLibrary = () => {
+    const bundle = createBundle();
+    const date = bundle.exportedAt.slice(0, 10);
+    downloadBlob(
+      new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" }),
+      `hypno-library-${date}.json`
+    );
+  };
+
+  const handleImportLibrary = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const counts = importBundle(await file.text(), {
+        reservedPatternIds: BUILT_IN_IDS,
+        reservedThemeIds: new Set(Object.keys(COLOR_MAP)),
+      });
+      PATTERN_SETS.clear();
+      setPatternSet(getPatternSet(grid, seed, envelope));
+      setSavedThemes(loadSavedThemes());
+      setLibraryStatus({
+        message: `Imported ${counts.patterns} patterns and ${counts.themes} colors.`,
+      });
+    } catch (error) {
+      setLibraryStatus({ error: `Import failed. ${error.message}` });
+    }
+  };
+  const gridOptions = GRID_PRESETS.includes(currentGrid)
+    ? GRID_PRESETS
+    : [...GRID_PRESETS, currentGrid];
 
   return (
     <div className="app">
       <header className="hero">
         <h1>Hypno UI</h1>
+        <a className="new-pattern" href={editHref(grid)}>
+          New pattern
+        </a>
+        <label className="grid-picker">
+          <span>Grid</span>
+          <select
+            value={currentGrid}
+            onChange={(event) => {
+              // Seed and envelope params stay on; only the grid changes.
+              const next = new URLSearchParams(window.location.search);
+              const g = gridParam(parseGrid(event.target.value));
+              if (g) next.set("g", g);
+              else next.delete("g");
+              if (canvasMode) next.set("renderer", renderer);
+              Object.entries(filterParams(filters)).forEach(([key, value]) => next.set(key, value));
+              window.location.search = next.toString();
+            }}
+          >
+            {gridOptions.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </label>
       </header>
 
-      <section className="matrix">
+      <div className="library-bar">
+        <button type="button" onClick={handleExportLibrary}>
+          Export library
+        </button>
+        <label>
+          <span>Import library</span>
+          <input type="file" accept="application/json,.json" onChange={handleImportLibrary} />
+        </label>
+        {libraryStatus ? (
+          <span className={libraryStatus.error ? "render-error" : "library-status"}>
+            {libraryStatus.error ?? libraryStatus.message}
+          </span>
+        ) : null}
+      </div>
+
+      <div className="gallery-toolbar">
+        <div className="toolbar-row">
+          <input
+            type="search"
+            className="gallery-search"
+            value={filters.query}
+            onChange={(event) => updateFilters({ query: event.target.value })}
+            placeholder="Search id or label"
+            aria-label="Search patterns"
+          />
+          <label className="toolbar-select">
+            <span>Sort</span>
+            <select
+              value={filters.sort}
+              onChange={(event) => updateFilters({ sort: event.target.value })}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className={filters.favorites ? "active" : ""}
+            aria-pressed={filters.favorites}
+            onClick={() => updateFilters({ favorites: !filters.favorites })}
+          >
+            ★ Favorites{favorites.size ? ` (${favorites.size})` : ""}
+          </button>
+          <button
+            type="button"
+            className={filters.sections ? "active" : ""}
+            aria-pressed={filters.sections}
+            onClick={() => updateFilters({ sections: !filters.sections })}
+          >
+            Sections
+          </button>
+          <button
+            type="button"
+            className={flashGuard ? "active" : ""}
+            aria-pressed={flashGuard}
+            onClick={() => setFlashGuard(!flashGuard)}
+            title="Slow patterns that flash more than 3 times a second"
+          >
+            Flash guard
+          </button>
+          {sections?.length ? (
+            <button
+              type="button"
+              onClick={() =>
+                updateFilters({
+                  collapsed: allCollapsed ? [] : sections.map((section) => section.category),
+                })
+              }
+            >
+              {allCollapsed ? "Expand all" : "Collapse all"}
+            </button>
+          ) : null}
+          {hasActiveFilters(filters) ? (
+            <button
+              type="button"
+              onClick={() =>
+                updateFilters({
+                  query: DEFAULT_FILTERS.query,
+                  categories: DEFAULT_FILTERS.categories,
+                  favorites: DEFAULT_FILTERS.favorites,
+                })
+              }
+            >
+              Clear
+            </button>
+          ) : null}
+          <span className="gallery-count" aria-live="polite">
+            {filtered.length} / {patternSet.patterns.length}
+          </span>
+        </div>
+        <div className="category-chips" role="group" aria-label="Categories">
+          <button
+            type="button"
+            className={filters.categories.length ? "" : "active"}
+            aria-pressed={!filters.categories.length}
+            onClick={() => updateFilters({ categories: [] })}
+          >
+            All
+          </button>
+          {categories.map((category) => (
+            <button
+              key={category}
+              type="button"
+              className={filters.categories.includes(category) ? "active" : ""}
+              aria-pressed={filters.categories.includes(category)}
+              onClick={() => toggleCategory(category)}
+            >
+              {categoryLabel(category)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <section
+        className={`matrix${canvasMode ? " is-canvas" : ""}`}
+        ref={matrixRef}
+        aria-label="Patterns by color"
+      >
+        {canvasMode ? (
+          <GalleryCanvas
+            matrixRef={matrixRef}
+            patterns={shownPatterns}
+            colors={colors}
+            flashGuard={flashGuard}
+          />
+        ) : null}
         <div className="matrix-row matrix-header" style={{ gridTemplateColumns: matrixTemplate }}>
           <div className="matrix-corner">Animation</div>
           {colors.map((theme) => {
@@ -775,16 +1880,51 @@ export default function App() {
                     <span className="swatch-dot" />
                     <span>Custom</span>
                   </button>
-                  <input
-                    className="hex-input"
-                    value={customHex}
-                    onChange={(event) => {
-                      setCustomHex(event.target.value);
-                      setActiveColorId("custom");
-                    }}
-                    placeholder="#RRGGBB"
-                    aria-label="Custom color hex"
-                  />
+                  <div className="hex-row">
+                    <input
+                      className="hex-input"
+                      value={customHex}
+                      onChange={(event) => {
+                        setCustomHex(event.target.value);
+                        saveCustomHex(event.target.value);
+                        setActiveColorId("custom");
+                      }}
+                      placeholder="#RRGGBB"
+                      aria-label="Custom color hex"
+                    />
+                    <button
+                      type="button"
+                      className="swatch-save"
+                      onClick={handleSaveTheme}
+                      disabled={!customHexNormalized}
+                      title="Save as color"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              );
+            }
+
+            if (theme.saved) {
+              return (
+                <div
+                  key={theme.id}
+                  className={`matrix-swatch saved${activeColorId === theme.id ? " active" : ""}`}
+                  style={{ "--glow": theme.rgb }}
+                >
+                  <button type="button" onClick={() => setActiveColorId(theme.id)}>
+                    <span className="swatch-dot" />
+                    <span>{theme.name}</span>
+                  </button>
+                  <button
+                    type="button"
+                    className="swatch-remove"
+                    onClick={() => handleDeleteTheme(theme.id)}
+                    aria-label={`Remove ${theme.name}`}
+                  >
+                    ×
+                  </button>
                 </div>
               );
             }
@@ -793,8 +1933,13 @@ export default function App() {
               <button
                 key={theme.id}
                 type="button"
-                className={`matrix-swatch${activeColorId === theme.id ? " active" : ""}`}
-                style={{ "--glow": theme.rgb }}
+                className={`matrix-swatch${theme.gradient ? " gradient" : ""}${
+                  activeColorId === theme.id ? " active" : ""
+                }`}
+                style={{
+                  "--glow": theme.rgb,
+                  ...(theme.gradient ? { "--glow-end": theme.gradient.at(-1) } : {}),
+                }}
                 onClick={() => setActiveColorId(theme.id)}
               >
                 <span className="swatch-dot" />
@@ -803,16 +1948,83 @@ export default function App() {
             );
           })}
         </div>
-        {PATTERNS.map((pattern) => (
-          <PatternRow
-            key={pattern.id}
-            pattern={pattern}
-            activeColorId={activeColorId}
-            colors={colors}
-            matrixTemplate={matrixTemplate}
-          />
-        ))}
+        {!filtered.length ? (
+          <p className="matrix-empty">
+            {filters.favorites && !favorites.size
+              ? "No favorites yet. Star a pattern to keep it here."
+              : "No patterns match these filters."}
+          </p>
+        ) : null}
+        {sections
+          ? sections.map((section) => {
+              const open = !filters.collapsed.includes(section.category);
+              return (
+                <Fragment key={section.category}>
+                  <button
+                    type="button"
+                    className="matrix-section"
+                    aria-expanded={open}
+                    onClick={() => toggleSection(section.category)}
+                  >
+                    <span>{open ? "▾" : "▸"}</span>
+                    {section.label}
+                    <em>{section.patterns.length}</em>
+                  </button>
+                  {open ? section.patterns.map(renderRow) : null}
+                </Fragment>
+              );
+            })
+          : filtered.map(renderRow)}
       </section>
     </div>
   );
 }
+
+export default function App() {
+  const params = new URLSearchParams(window.location.search);
+  const patternParam = params.get("p");
+  const exportMode = params.get("export") === "1";
+  // A bare still for screenshots: ?t= or the gallery's preview moment.
+  const posterMode = params.get("poster") === "1";
+  const colorParam = params.get("c");
+  const seed = params.get("seed")?.trim() || DEFAULT_SEED;
+  const envelope = envelopeFromParams(params);
+  const patternSet = getPatternSet(parseGrid(params.get("g")), seed, envelope);
+  const color = resolveColor(colorParam, loadSavedThemes());
+
+  const editParam = params.get("edit");
+  if (editParam) {
+    const source = patternSet.map[editParam];
+    return <PatternEditor grid={patternSet.grid} source={source?.custom ? source : null} />;
+  }
+
+  const pattern = patternParam ? resolvePattern(patternSet, patternParam) : null;
+  if (pattern) {
+    return (
+      <PatternPlayer
+        pattern={pattern}
+        patternSet={patternSet}
+        exportMode={exportMode || posterMode}
+        color={color}
+        startMs={parseStartMs(params.get("t")) ?? (posterMode ? posterTime(pattern) : null)}
+        startSpeed={parseSpeed(params.get("speed"))}
+        startBpm={parseBpm(params.get("bpm"))}
+        startStates={parseStatesParam(params.get("states"))}
+        startState={params.get("state")}
+        messageOrigin={params.get("origin")}
+        ledUrl={parseLedParam(params.get("led"))}
+        startSettings={parseRenderSettings(params)}
+      />
+    );
+  }
+
+  return (
+    <Gallery
+      grid={patternSet.grid}
+      seed={seed}
+      envelope={envelope}
+      renderer={params.get("renderer")}
+      startFilters={parseFilters(params)}
+    />
+  );
+}
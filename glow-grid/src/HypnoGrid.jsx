@@ -0,0 +1,99 @@
+import { memo, useMemo } from "react";
+import "./HypnoGrid.css";
+import { COLOR_THEMES, DEFAULT_SEED, bpmSpeed, computeFrame } from "hypno-engine";
+import { cellStyle, gridStyle, resolveColor } from "./display.js";
+import { resolveGridPattern } from "./gridPatterns.js";
+import { usePlaybackTime, useReducedMotion } from "./playback.js";
+
+const STILL_SAMPLES = 16;
+
+// Reduced motion shows one frame; pick the brightest so the shape still reads.
+const stillTime = (pattern) => {
+  let best = 0;
+  let bestSum = -1;
+  for (let i = 0; i < STILL_SAMPLES; i += 1) {
+    const t = (i * pattern.loopMs) / STILL_SAMPLES;
+    const sum = computeFrame(t, pattern).intensities.reduce((total, value) => total + value, 0);
+    if (sum > bestSum) {
+      best = t;
+      bestSum = sum;
+    }
+  }
+  return best;
+};
+
+// Labelled grids are one image to screen readers; unlabelled ones are decoration.
+export const FrameGrid = memo(function FrameGrid({ intensities, colors, label }) {
+  return (
+    <div
+      className="grid"
+      role={label ? "img" : undefined}
+      aria-label={label}
+      aria-hidden={label ? undefined : true}
+    >
+      {intensities.map((value, i) => (
+        <div key={i} className="cell" style={cellStyle(value, colors?.[i])} />
+      ))}
+    </div>
+  );
+});
+
+/**
+ * Embeddable pattern view: the player's grid without controls or export.
+ * `size` is the outer edge (px number or CSS length); `onLoop(count)` fires
+ * each time the pattern wraps. `bpm`, when set, replaces `speed` so steps land
+ * on the nearest note value. A `controller` from createGridController takes
+ * over from `pattern` and `color`; listen to its "loop" events instead of
+ * `onLoop`.
+ */
+export function HypnoGrid({
+  pattern = "spiralOuter",
+  color,
+  size = 96,
+  speed = 1,
+  bpm,
+  paused = false,
+  onLoop,
+  controller,
+  grid,
+  seed = DEFAULT_SEED,
+  label,
+  className = "",
+  style,
+}) {
+  const resolved = useMemo(() => resolveGridPattern(pattern, grid, seed), [pattern, grid, seed]);
+  const theme = useMemo(() => resolveColor(color) ?? COLOR_THEMES[0], [color]);
+  const reducedMotion = useReducedMotion();
+  // A controller keeps its clock under reduced motion, since its state changes
+  // and crossfades only happen as time passes.
+  const [t] = usePlaybackTime({
+    paused: controller ? paused : paused || reducedMotion || !resolved,
+    speed: bpm && resolved ? bpmSpeed(resolved, bpm) : speed,
+    loopMs: controller ? 0 : resolved?.loopMs ?? 0,
+    onLoop,
+  });
+  const still = useMemo(() => (resolved ? stillTime(resolved) : 0), [resolved]);
+  const frame = useMemo(() => {
+    if (controller) return controller.frame(t);
+    if (!resolved) return null;
+    return computeFrame(reducedMotion ? still : t, resolved, theme);
+  }, [controller, resolved, reducedMotion, still, t, theme]);
+
+  if (!frame) return null;
+
+  return (
+    <div
+      className={`hypno-grid${className ? ` ${className}` : ""}`}
+      role="img"
+      aria-label={label ?? (controller ? frame.active : resolved.label)}
+      style={{
+        "--glow": theme.rgb,
+        "--size": typeof size === "number" ? `${size}px` : size,
+        ...gridStyle(controller?.grid ?? resolved.grid),
+        ...style,
+      }}
+    >
+      <FrameGrid intensities={frame.intensities} colors={frame.colors} />
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+// Web Audio inputs for the player's audio sync. Each returns
+// `{ sampleRate, read, close }`, where `read()` is the latest window of
+// samples from an AnalyserNode.
+
+const WINDOW_SIZE = 2048;
+
+/** Errors whose message can be shown to the user as-is. */
+export class AudioInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AudioInputError";
+  }
+}
+
+const createAudioContext = () => {
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) throw new AudioInputError("This browser has no Web Audio support.");
+  return new AudioContextClass();
+};
+
+const connectAnalyser = (context, node, { monitor, stop }) => {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = WINDOW_SIZE;
+  node.connect(analyser);
+  // Uploaded files stay audible; the microphone doesn't, to avoid feedback.
+  if (monitor) analyser.connect(context.destination);
+  const samples = new Float32Array(analyser.fftSize);
+  return {
+    sampleRate: context.sampleRate,
+    read() {
+      analyser.getFloatTimeDomainData(samples);
+      return samples;
+    },
+    close() {
+      stop();
+      context.close();
+    },
+  };
+};
+
+// getUserMedia error names; anything else is a device that wouldn't open.
+const MICROPHONE_ERRORS = {
+  NotAllowedError: "Microphone access was blocked.",
+  NotFoundError: "No microphone found.",
+};
+
+export const openMicrophone = async () => {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new AudioInputError("This browser can't record audio here (it needs HTTPS or localhost).");
+  }
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (error) {
+    throw new AudioInputError(MICROPHONE_ERRORS[error?.name] ?? "Couldn't open the microphone.");
+  }
+  const stop = () => stream.getTracks().forEach((track) => track.stop());
+  let context;
+  try {
+    context = createAudioContext();
+    await context.resume();
+    return connectAnalyser(context, context.createMediaStreamSource(stream), { monitor: false, stop });
+  } catch (error) {
+    // Otherwise the mic stays live with nothing left to stop it.
+    stop();
+    context?.close();
+    throw error;
+  }
+};
+
+/** Decodes `file` and plays it on a loop. */
+export const openAudioFile = async (file) => {
+  const context = createAudioContext();
+  let buffer;
+  try {
+    buffer = await context.decodeAudioData(await file.arrayBuffer());
+  } catch {
+    context.close();
+    throw new AudioInputError(`Couldn't decode ${file.name}.`);
+  }
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  source.start();
+  await context.resume();
+  return connectAnalyser(context, source, { monitor: true, stop: () => source.stop() });
+};
@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { CONTROLLER_EVENTS, ControllerError } from "hypno-engine";
+
+const PREFIX = "hypno:";
+
+/** `?states=idle:pulse:ice,listening:ring-2-cw:mint` as a controller state table. */
+export const parseStatesParam = (value) => {
+  const entries = (value ?? "")
+    .split(",")
+    .map((part) => part.split(":").map((item) => item.trim()))
+    .filter(([name, pattern]) => name && pattern)
+    .map(([name, pattern, color]) => [name, color ? { pattern, color } : { pattern }]);
+  return entries.length ? Object.fromEntries(entries) : null;
+};
+
+const post = (reply, type, detail = {}) =>
+  reply?.target.postMessage({ type: `${PREFIX}${type}`, ...detail }, reply.origin);
+
+/**
+ * Lets the page that embeds or opened the player drive it with postMessage:
+ * `hypno:configure` { states, initial, transition }, `hypno:state` { state,
+ * transition }, `hypno:play` { target, loops, transition } and `hypno:clear`.
+ * Controller events go back as `hypno:change`, `hypno:loop` and
+ * `hypno:oneshotend`, bad requests as `hypno:error`. With `origin` set, other
+ * origins are ignored. Returns `{ controller, frame, advanceTo, refresh }`:
+ * `advanceTo(t)` moves the controller to pattern time `t` and `refresh()`
+ * samples it again after a change made outside a message.
+ */
+export const useControllerMessages = ({
+  enabled,
+  startStates,
+  startState,
+  origin,
+  create,
+  initialMs = 0,
+}) => {
+  const [controller, setController] = useState(() => {
+    if (!enabled || !startStates) return null;
+    try {
+      return create({ states: startStates, initial: startState ?? undefined });
+    } catch (error) {
+      if (error instanceof ControllerError) return null;
+      throw error;
+    }
+  });
+  const [frame, setFrame] = useState(() => controller?.frame(initialMs) ?? null);
+  const controllerRef = useRef(controller);
+  const timeRef = useRef(initialMs);
+  const replyRef = useRef(null);
+
+  const advanceTo = useCallback((t) => {
+    timeRef.current = t;
+    if (controllerRef.current) setFrame(controllerRef.current.frame(t));
+  }, []);
+
+  const refresh = useCallback(() => advanceTo(timeRef.current), [advanceTo]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const host = window.parent !== window ? window.parent : window.opener;
+    replyRef.current ??= host ? { target: host, origin: origin ?? "*" } : null;
+
+    const handle = (data) => {
+      const current = controllerRef.current;
+      if (data.type === `${PREFIX}configure`) {
+        if (current) current.configure(data.states, data.initial);
+        else {
+          controllerRef.current = create(data);
+          setController(controllerRef.current);
+        }
+        return;
+      }
+      if (!current) throw new ControllerError(`send ${PREFIX}configure with states first.`);
+      if (data.type === `${PREFIX}state`) current.setState(data.state, data.transition);
+      else if (data.type === `${PREFIX}play`) {
+        current.playOnce(data.target, { loops: data.loops, transition: data.transition });
+      } else if (data.type === `${PREFIX}clear`) current.clearQueue();
+      else throw new ControllerError(`unknown message "${data.type}".`);
+    };
+
+    const onMessage = (event) => {
+      const { data } = event;
+      if (typeof data?.type !== "string" || !data.type.startsWith(PREFIX)) return;
+      if (origin && event.origin !== origin) return;
+      if (event.source) {
+        // Opaque origins (sandboxed frames, file://) can only be answered with "*".
+        replyRef.current = {
+          target: event.source,
+          origin: event.origin === "null" ? "*" : event.origin,
+        };
+      }
+      try {
+        handle(data);
+        refresh();
+      } catch (error) {
+        if (!(error instanceof ControllerError)) throw error;
+        post(replyRef.current, "error", { message: error.message, request: data.type });
+      }
+    };
+
+    window.addEventListener("message", onMessage);
+    post(replyRef.current, "ready", { states: controllerRef.current?.states ?? [] });
+    return () => window.removeEventListener("message", onMessage);
+  }, [enabled, origin, create, refresh]);
+
+  useEffect(() => {
+    if (!controller) return;
+    const unsubscribe = CONTROLLER_EVENTS.map((type) =>
+      controller.on(type, (detail) => post(replyRef.current, type, detail))
+    );
+    return () => unsubscribe.forEach((off) => off());
+  }, [controller]);
+
+  return { controller, frame, advanceTo, refresh };
+};
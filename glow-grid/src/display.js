@@ -0,0 +1,57 @@
+import { COLOR_THEMES, normalizeRgb } from "hypno-engine";
+
+export const COLOR_MAP = Object.fromEntries(
+  COLOR_THEMES.map((theme) => [theme.id, theme])
+);
+
+export const normalizeHex = (value) => {
+  const trimmed = value.trim().replace(/^#/, "");
+  if (/^[0-9a-fA-F]{3}$/.test(trimmed)) {
+    return trimmed
+      .split("")
+      .map((char) => `${char}${char}`)
+      .join("")
+      .toUpperCase();
+  }
+  if (/^[0-9a-fA-F]{6}$/.test(trimmed)) {
+    return trimmed.toUpperCase();
+  }
+  return null;
+};
+
+export const hexToRgb = (hex) => {
+  if (!hex) return null;
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  return `${r}, ${g}, ${b}`;
+};
+
+export const rgbToHex = (rgb) =>
+  rgb
+    .split(",")
+    .map((value) => Number.parseInt(value.trim(), 10).toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase();
+
+/**
+ * Resolves a color param (theme id, hex or "r, g, b") to a theme object.
+ * `themes` adds saved themes to look up by id; returns null when unknown.
+ */
+export const resolveColor = (value, themes = []) => {
+  if (!value) return null;
+  const theme = COLOR_MAP[value] ?? themes.find((entry) => entry.id === value);
+  if (theme) return theme;
+  const hex = normalizeHex(value);
+  if (hex) return { id: hex, rgb: hexToRgb(hex) };
+  const rgb = normalizeRgb(value);
+  return rgb ? { id: rgbToHex(rgb), rgb } : null;
+};
+
+export const gridStyle = (grid) => ({
+  "--cols": grid.cols,
+  "--rows": grid.rows,
+  "--span": Math.max(grid.cols, grid.rows),
+});
+
+export const cellStyle = (value, color) => (color ? { "--a": value, "--glow": color } : { "--a": value });
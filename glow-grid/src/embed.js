@@ -0,0 +1,7 @@
+import { defineHypnoGrid } from "./hypno-grid-element.js";
+
+export { FrameGrid, HypnoGrid } from "./HypnoGrid.jsx";
+export { createHypnoController } from "./gridPatterns.js";
+export { HypnoGridElement, defineHypnoGrid } from "./hypno-grid-element.js";
+
+defineHypnoGrid();
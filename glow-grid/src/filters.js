@@ -0,0 +1,103 @@
+import { CATEGORY_LABELS } from "hypno-engine";
+
+export const FILTER_PARAMS = ["q", "cat", "sort", "fav", "sections", "closed"];
+
+export const SORT_OPTIONS = [
+  { id: "default", label: "Default" },
+  { id: "loop", label: "Loop length" },
+  { id: "beat", label: "Beat speed" },
+];
+
+const SORTS = {
+  // Shortest loop first.
+  loop: (a, b) => a.loopMs - b.loopMs,
+  // Fastest beat first.
+  beat: (a, b) => a.beatMs - b.beatMs,
+};
+
+const CATEGORY_ORDER = Object.keys(CATEGORY_LABELS);
+
+export const DEFAULT_FILTERS = {
+  query: "",
+  categories: [],
+  sort: "default",
+  favorites: false,
+  sections: false,
+  collapsed: [],
+};
+
+const listParam = (value) =>
+  value
+    ? [...new Set(value.split(",").map((item) => item.trim()).filter(Boolean))]
+    : [];
+
+export const categoryLabel = (category) => CATEGORY_LABELS[category] ?? category;
+
+/** Gallery filter state from `?q=&cat=ring,snake&sort=loop&fav=1&sections=1&closed=`. */
+export const parseFilters = (params) => ({
+  query: params.get("q")?.trim() ?? "",
+  categories: listParam(params.get("cat")),
+  sort: SORTS[params.get("sort")] ? params.get("sort") : DEFAULT_FILTERS.sort,
+  favorites: params.get("fav") === "1",
+  sections: params.get("sections") === "1",
+  collapsed: listParam(params.get("closed")),
+});
+
+/** URL params for the filters that differ from the defaults. */
+export const filterParams = (filters) => {
+  const params = {};
+  const query = filters.query.trim();
+  if (query) params.q = query;
+  if (filters.categories.length) params.cat = filters.categories.join(",");
+  if (filters.sort !== DEFAULT_FILTERS.sort) params.sort = filters.sort;
+  if (filters.favorites) params.fav = "1";
+  if (filters.sections) {
+    params.sections = "1";
+    if (filters.collapsed.length) params.closed = filters.collapsed.join(",");
+  }
+  return params;
+};
+
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.query.trim() || filters.categories.length || filters.favorites);
+
+// Every whitespace-separated term has to appear in the id, label or category.
+const matchesQuery = (pattern, terms) => {
+  const haystack = [pattern.id, pattern.label, pattern.category, categoryLabel(pattern.category)]
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+};
+
+/** The patterns left after search, category and favorites, in sort order. */
+export const filterPatterns = (patterns, filters, favorites = new Set()) => {
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const categories = new Set(filters.categories);
+  const matched = patterns.filter(
+    (pattern) =>
+      (!categories.size || categories.has(pattern.category)) &&
+      (!filters.favorites || favorites.has(pattern.id)) &&
+      matchesQuery(pattern, terms)
+  );
+  const compare = SORTS[filters.sort];
+  return compare ? matched.toSorted(compare) : matched;
+};
+
+const categoryRank = (category) => {
+  const index = CATEGORY_ORDER.indexOf(category);
+  return index === -1 ? CATEGORY_ORDER.length : index;
+};
+
+/** Categories present in `patterns`, in CATEGORY_LABELS order. */
+export const listCategories = (patterns) =>
+  [...new Set(patterns.map((pattern) => pattern.category))].sort(
+    (a, b) => categoryRank(a) - categoryRank(b) || a.localeCompare(b)
+  );
+
+/** `[{ category, label, patterns }]`, keeping each section's pattern order. */
+export const groupByCategory = (patterns) =>
+  listCategories(patterns).map((category) => ({
+    category,
+    label: categoryLabel(category),
+    patterns: patterns.filter((pattern) => pattern.category === category),
+  }));
@@ -0,0 +1,37 @@
+import { useState } from "react";
+import { analyzeFlashes } from "hypno-engine";
+import { useReducedMotion } from "./playback.js";
+import { loadFlashGuard, saveFlashGuard } from "./storage.js";
+
+// The player's fastest speed; the guard never plays faster than what was checked.
+const CHECKED_SPEED = 4;
+const REPORTS = new WeakMap();
+
+/** analyzeFlashes for `pattern` in `theme` up to 4x, cached per pattern and color. */
+export const getFlashReport = (pattern, theme) => {
+  if (!REPORTS.has(pattern)) REPORTS.set(pattern, new Map());
+  const byTheme = REPORTS.get(pattern);
+  const key = theme?.id ?? theme?.rgb ?? "";
+  if (!byTheme.has(key)) byTheme.set(key, analyzeFlashes(pattern, { theme, speed: CHECKED_SPEED }));
+  return byTheme.get(key);
+};
+
+/** Whether `speed` crosses the three-flash limit for this report. */
+export const flashesAt = (report, speed) => Boolean(report) && speed > report.safeSpeed;
+
+export const guardSpeed = (speed, report, enabled) =>
+  enabled && report ? Math.min(speed, report.safeSpeed) : speed;
+
+/**
+ * The photosensitivity guard toggle, saved across visits. Until the user
+ * picks, it follows prefers-reduced-motion.
+ */
+export const useFlashGuard = () => {
+  const reducedMotion = useReducedMotion();
+  const [choice, setChoice] = useState(loadFlashGuard);
+  const setEnabled = (enabled) => {
+    setChoice(enabled);
+    saveFlashGuard(enabled);
+  };
+  return [choice ?? reducedMotion, setEnabled];
+};
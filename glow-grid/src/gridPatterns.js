@@ -0,0 +1,55 @@
+import {
+  CompositionError,
+  DEFAULT_SEED,
+  buildPatterns,
+  composePattern,
+  createGridController,
+  gridKey,
+  parseGrid,
+} from "hypno-engine";
+import { resolveColor } from "./display.js";
+import { HYPNO_SOURCES } from "./hypnoSources.js";
+
+const BUILT_IN_SETS = new Map();
+const getBuiltIns = (grid, seed) => {
+  const key = `${gridKey(grid)}:${seed}`;
+  if (!BUILT_IN_SETS.has(key)) {
+    BUILT_IN_SETS.set(key, buildPatterns(grid, seed, { sources: HYPNO_SOURCES }));
+  }
+  return BUILT_IN_SETS.get(key);
+};
+
+// Accepts a built-in id, a composition expression such as "pulse|rotate90", or a
+// pattern object, e.g. an entry from a library export.
+export const resolveGridPattern = (pattern, grid, seed) => {
+  if (pattern && typeof pattern === "object") {
+    const { frames = [], beatMs = 150 } = pattern;
+    return {
+      label: pattern.id,
+      ...pattern,
+      grid: pattern.grid ?? parseGrid(grid),
+      loopMs: pattern.loopMs ?? frames.length * beatMs,
+    };
+  }
+  const builtIns = getBuiltIns(parseGrid(grid), seed);
+  const find = (id) => builtIns.find((entry) => entry.id === id) ?? null;
+  if (!pattern?.includes("|")) return find(pattern);
+  try {
+    return composePattern(pattern, find);
+  } catch (error) {
+    if (error instanceof CompositionError) return null;
+    throw error;
+  }
+};
+
+/**
+ * createGridController with the same pattern ids, expressions and colors as
+ * `HypnoGrid`, for its `controller` prop or `<hypno-grid>`'s `controller`
+ * property. `grid` and `seed` pick the pattern set like the props do.
+ */
+export const createHypnoController = ({ grid, seed = DEFAULT_SEED, ...options }) =>
+  createGridController({
+    resolve: (id) => resolveGridPattern(id, grid, seed),
+    resolveTheme: resolveColor,
+    ...options,
+  });
@@ -0,0 +1,86 @@
+import { createElement } from "react";
+import { createRoot } from "react-dom/client";
+import { parseBpm } from "hypno-engine";
+import { HypnoGrid } from "./HypnoGrid.jsx";
+import gridCss from "./HypnoGrid.css?inline";
+
+const ATTRIBUTES = [
+  "pattern",
+  "color",
+  "size",
+  "speed",
+  "bpm",
+  "paused",
+  "grid",
+  "seed",
+  "label",
+];
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * `<hypno-grid pattern="pulse" color="mint" size="64" speed="1.5" paused>`
+ * renders `HypnoGrid` in a shadow root, so its styles and the host page's
+ * stay apart, and dispatches a `loop` event with `detail.count` on each wrap.
+ */
+export class HypnoGridElement extends HTMLElement {
+  static observedAttributes = ATTRIBUTES;
+
+  #root = null;
+  #controller = null;
+
+  /** A createGridController instance that drives the grid instead of `pattern`. */
+  get controller() {
+    return this.#controller;
+  }
+
+  set controller(value) {
+    this.#controller = value ?? null;
+    if (this.#root) this.#render();
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const style = document.createElement("style");
+      style.textContent = `:host { display: inline-block; }\n${gridCss}`;
+      this.attachShadow({ mode: "open" }).append(style, document.createElement("div"));
+    }
+    this.#root ??= createRoot(this.shadowRoot.lastChild);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#root?.unmount();
+    this.#root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.#root) this.#render();
+  }
+
+  #render() {
+    const size = this.getAttribute("size");
+    this.#root.render(
+      createElement(HypnoGrid, {
+        pattern: this.getAttribute("pattern") ?? undefined,
+        color: this.getAttribute("color") ?? undefined,
+        size: size && /^\d+(\.\d+)?$/.test(size) ? Number(size) : size ?? undefined,
+        speed: parseNumber(this.getAttribute("speed"), 1),
+        bpm: parseBpm(this.getAttribute("bpm")) ?? undefined,
+        paused: this.hasAttribute("paused"),
+        grid: this.getAttribute("grid") ?? undefined,
+        seed: this.getAttribute("seed") ?? undefined,
+        label: this.getAttribute("label") ?? undefined,
+        controller: this.#controller ?? undefined,
+        onLoop: (count) => this.dispatchEvent(new CustomEvent("loop", { detail: { count } })),
+      })
+    );
+  }
+}
+
+export const defineHypnoGrid = (tagName = "hypno-grid") => {
+  if (!customElements.get(tagName)) customElements.define(tagName, HypnoGridElement);
+};
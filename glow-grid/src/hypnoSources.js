@@ -0,0 +1,6 @@
+// Pattern files in /patterns, bundled as text and compiled by buildPatterns.
+const FILES = import.meta.glob("/patterns/*.hypno", { query: "?raw", import: "default", eager: true });
+
+export const HYPNO_SOURCES = Object.entries(FILES)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([file, source]) => ({ file: file.slice(1), source }));
@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from "react";
+import { encodeGridFrame } from "hypno-engine";
+
+const FRAME_INTERVAL_MS = 1000 / 30;
+const RETRY_MS = [500, 1000, 2000, 5000];
+
+/** `?led=` accepts ws:// and wss:// URLs only. */
+export const parseLedParam = (value) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === "ws:" || url.protocol === "wss:" ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Streams the player's frames to led-bridge.mjs over a WebSocket at up to 30
+ * fps, reconnecting with backoff. Frames are skipped while the socket is still
+ * sending the last one, so a slow bridge never builds a backlog. Returns
+ * "off", "connecting", "live" or "retrying".
+ */
+export const useLedSink = ({ url, grid, intensities, colors, rgb }) => {
+  const [status, setStatus] = useState(url ? "connecting" : "off");
+  const socketRef = useRef(null);
+  const sentRef = useRef({ at: 0, sequence: 0 });
+
+  useEffect(() => {
+    if (!url) return;
+    let retry = 0;
+    let timer = null;
+    let closed = false;
+    const connect = () => {
+      const socket = new WebSocket(url);
+      socket.binaryType = "arraybuffer";
+      socket.onopen = () => {
+        retry = 0;
+        setStatus("live");
+      };
+      socket.onclose = () => {
+        socketRef.current = null;
+        if (closed) return;
+        setStatus("retrying");
+        timer = setTimeout(connect, RETRY_MS[Math.min(retry++, RETRY_MS.length - 1)]);
+      };
+      socketRef.current = socket;
+    };
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(timer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [url]);
+
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (socket?.readyState !== WebSocket.OPEN || socket.bufferedAmount > 0) return;
+    const now = performance.now();
+    const sent = sentRef.current;
+    if (now - sent.at < FRAME_INTERVAL_MS) return;
+    sent.at = now;
+    sent.sequence += 1;
+    socket.send(encodeGridFrame({ grid, intensities, colors, rgb, sequence: sent.sequence }));
+  }, [grid, intensities, colors, rgb]);
+
+  return status;
+};
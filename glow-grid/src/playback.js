@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from "react";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+const subscribeReducedMotion = (onChange) => {
+  if (typeof matchMedia === "undefined") return () => {};
+  const query = matchMedia(REDUCED_MOTION_QUERY);
+  query.addEventListener("change", onChange);
+  return () => query.removeEventListener("change", onChange);
+};
+
+const getReducedMotion = () =>
+  typeof matchMedia !== "undefined" && matchMedia(REDUCED_MOTION_QUERY).matches;
+
+export const useReducedMotion = () =>
+  useSyncExternalStore(subscribeReducedMotion, getReducedMotion, () => false);
+
+/**
+ * Pattern time that advances at `speed` while not `paused`. Speed changes
+ * and pauses keep the current position; `onLoop(count)` fires whenever the
+ * time crosses a multiple of `loopMs`. `advance(t, elapsedMs)`, when given,
+ * replaces the steady clock, e.g. to follow audio, and `onTime(t)` sees every
+ * new time, ticks and seeks alike. Returns `[t, seek]`.
+ */
+export const usePlaybackTime = ({
+  paused = false,
+  speed = 1,
+  loopMs = 0,
+  onLoop,
+  advance,
+  onTime,
+  initialMs = 0,
+} = {}) => {
+  const [t, setT] = useState(initialMs);
+  const timeRef = useRef(initialMs);
+  const speedRef = useRef(speed);
+  const onLoopRef = useRef(onLoop);
+  const advanceRef = useRef(advance);
+  const onTimeRef = useRef(onTime);
+
+  useEffect(() => {
+    speedRef.current = Math.max(0, speed);
+    onLoopRef.current = onLoop;
+    advanceRef.current = advance;
+    onTimeRef.current = onTime;
+  }, [speed, onLoop, advance, onTime]);
+
+  useEffect(() => {
+    if (paused) return;
+
+    let raf = 0;
+    let last = performance.now();
+    const tick = (now) => {
+      const prev = timeRef.current;
+      const elapsed = Math.max(0, now - last);
+      const next = advanceRef.current
+        ? advanceRef.current(prev, elapsed)
+        : prev + elapsed * speedRef.current;
+      last = now;
+      timeRef.current = next;
+      setT(next);
+      onTimeRef.current?.(next);
+      if (loopMs > 0 && onLoopRef.current) {
+        const count = Math.floor(next / loopMs);
+        if (count > Math.floor(prev / loopMs)) onLoopRef.current(count);
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [paused, loopMs]);
+
+  const seek = useCallback((ms) => {
+    timeRef.current = ms;
+    setT(ms);
+    onTimeRef.current?.(ms);
+  }, []);
+
+  return [t, seek];
+};
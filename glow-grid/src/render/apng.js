@@ -0,0 +1,99 @@
+import { canvasToBlob, createFrameCanvas, frameCount, nextFrame } from "./canvas.js";
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const u32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const u16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = PNG_SIGNATURE.length; offset < bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+// Color space chunks from the browser's PNG; they have to come before any image data.
+const COLOR_CHUNKS = ["iCCP", "sRGB", "gAMA", "cHRM"];
+
+const chunk = (type, data) => {
+  const body = new Uint8Array(4 + data.length);
+  body.set([...type].map((char) => char.charCodeAt(0)));
+  body.set(data, 4);
+  return new Uint8Array([...u32(data.length), ...body, ...u32(crc32(body))]);
+};
+
+/**
+ * Looping APNG built from the browser's own PNG encoder: frame 0's IDAT stays
+ * as-is (so non-APNG viewers show it), later frames are re-wrapped as fdAT.
+ */
+export const renderApng = async ({
+  pattern,
+  theme,
+  width = 320,
+  height = width,
+  fps = 30,
+  background,
+  onProgress,
+}) => {
+  const { canvas, draw } = createFrameCanvas({ pattern, theme, width, height, background });
+  const count = frameCount(pattern.loopMs, fps);
+  const times = Array.from({ length: count + 1 }, (_, i) => (i * pattern.loopMs) / count);
+
+  const parts = [new Uint8Array(PNG_SIGNATURE)];
+  let sequence = 0;
+  for (let i = 0; i < count; i += 1) {
+    draw(times[i]);
+    const png = new Uint8Array(await (await canvasToBlob(canvas)).arrayBuffer());
+    const chunks = readChunks(png);
+    if (i === 0) {
+      parts.push(chunk("IHDR", chunks.find((entry) => entry.type === "IHDR").data));
+      chunks
+        .filter((entry) => COLOR_CHUNKS.includes(entry.type))
+        .forEach((entry) => parts.push(chunk(entry.type, entry.data)));
+      parts.push(chunk("acTL", new Uint8Array([...u32(count), ...u32(0)])));
+    }
+    const delayMs = Math.round(times[i + 1]) - Math.round(times[i]);
+    parts.push(
+      chunk(
+        "fcTL",
+        new Uint8Array([
+          ...u32(sequence++),
+          ...u32(width),
+          ...u32(height),
+          ...u32(0),
+          ...u32(0),
+          ...u16(delayMs),
+          ...u16(1000),
+          0, // dispose: none
+          0, // blend: source
+        ])
+      )
+    );
+    for (const { type, data } of chunks) {
+      if (type !== "IDAT") continue;
+      parts.push(i === 0 ? chunk("IDAT", data) : chunk("fdAT", new Uint8Array([...u32(sequence++), ...data])));
+    }
+    onProgress?.(i / count);
+    await nextFrame();
+  }
+  parts.push(chunk("IEND", new Uint8Array()));
+
+  return [{ blob: new Blob(parts, { type: "image/apng" }), ext: "png" }];
+};
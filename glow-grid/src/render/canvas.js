@@ -0,0 +1,89 @@
+import { computeFrame, parseRgb } from "hypno-engine";
+import { drawGlowCell } from "./glow.js";
+
+export const BACKGROUND = "#050505";
+
+/** Errors whose message can be shown to the user as-is. */
+export class RenderError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "RenderError";
+  }
+}
+
+export const frameCount = (loopMs, fps) => Math.round((loopMs * fps) / 1000);
+
+export const frameTime = (index, fps, loopMs) => ((index * 1000) / fps) % loopMs;
+
+export const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Where the grid sits in a `width` x `height` frame: square cells of `cell`
+ * px from (`offsetX`, `offsetY`), centred with `padding` (a fraction of the
+ * shorter side) around them.
+ */
+export const gridLayout = ({ cols, rows }, width, height, padding = 0.16) => {
+  const inset = Math.round(Math.min(width, height) * padding);
+  const cell = Math.floor(Math.min((width - inset * 2) / cols, (height - inset * 2) / rows));
+  return {
+    cell,
+    offsetX: Math.round((width - cell * cols) / 2),
+    offsetY: Math.round((height - cell * rows) / 2),
+  };
+};
+
+/**
+ * Canvas that draws the pattern at any time `t`; every export format goes
+ * through this `draw` so they all look the same. The grid is laid out by
+ * gridLayout; a null `background` leaves the canvas transparent.
+ */
+export const createFrameCanvas = ({
+  pattern,
+  theme,
+  width = 512,
+  height = width,
+  background = BACKGROUND,
+  padding = 0.16,
+  readback = false,
+}) => {
+  const { cols } = pattern.grid;
+  const { cell, offsetX, offsetY } = gridLayout(pattern.grid, width, height, padding);
+  const rgb = parseRgb(theme.rgb) ?? [255, 255, 255];
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", readback ? { willReadFrequently: true } : undefined);
+  if (!ctx) throw new RenderError("Canvas unavailable.");
+
+  const draw = (t) => {
+    const { intensities, colors } = computeFrame(t, pattern, theme);
+
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+
+    intensities.forEach((value, index) => {
+      drawGlowCell(ctx, {
+        x: offsetX + (index % cols) * cell,
+        y: offsetY + Math.floor(index / cols) * cell,
+        size: cell,
+        value,
+        rgb: (colors?.[index] && parseRgb(colors[index])) || rgb,
+      });
+    });
+  };
+
+  return { canvas, ctx, draw, width, height };
+};
+
+export const canvasToBlob = (canvas, type = "image/png") =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new RenderError("Could not encode frame."))),
+      type
+    )
+  );
@@ -0,0 +1,113 @@
+import { BACKGROUND, gridLayout } from "./canvas.js";
+import { GLOW, REFERENCE_CELL } from "./glow.js";
+import { keyTimes, round, sampleVectorKeys } from "./vector.js";
+
+const ramp = ([base, gain]) => `calc(${base} + ${gain} * var(--a))`;
+const unitRamp = ([base, gain]) => `calc(var(--u) * (${base} + ${gain} * var(--a)))`;
+const shadowColor = (white) => (white ? "255, 255, 255" : "var(--glow)");
+
+// The .cell rules from HypnoGrid.css, written out from GLOW.
+const cellRules = (scope) => {
+  const { halo } = GLOW;
+  const shadows = [
+    ...GLOW.shadows.map(({ white, blur, alpha }) => `0 0 ${unitRamp(blur)} rgba(${shadowColor(white)}, ${ramp(alpha)})`),
+    `inset 0 0 ${unitRamp(GLOW.inset.blur)} rgba(255, 255, 255, ${ramp(GLOW.inset.alpha)})`,
+  ];
+  const stops = halo.stops.map(([stop, alpha]) => `rgba(var(--glow), ${alpha}) ${stop * 100}%`);
+  return `${scope} > div {
+  position: relative;
+  background: rgba(var(--glow), ${ramp(GLOW.fill)});
+  box-shadow:
+    ${shadows.join(",\n    ")};
+  filter: brightness(calc(1 + ${GLOW.brightness} * var(--a)));
+}
+${scope} > div::before {
+  content: "";
+  position: absolute;
+  inset: calc(-1 * var(--u) * ${halo.spread});
+  background: radial-gradient(circle, ${stops.join(", ")});
+  filter: blur(calc(var(--u) * ${halo.blur}));
+  opacity: ${ramp(halo.opacity)};
+  transform: scale(${ramp(halo.scale)});
+  pointer-events: none;
+  z-index: -1;
+}`;
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+
+/**
+ * `pattern` in `theme` as a self-contained HTML snippet: the grid markup plus
+ * a <style> that reproduces the .cell glow and animates `--a` (and `--glow`
+ * for colored cells) with one @keyframes rule per cell. Reduced-motion
+ * visitors get the first frame. Returns `{ html, check }` (see sampleVectorKeys).
+ */
+export const buildCssAnimation = ({
+  pattern,
+  theme,
+  vectorKeys = sampleVectorKeys(pattern, theme),
+  width = 512,
+  height = width,
+  background = BACKGROUND,
+}) => {
+  const { loopMs, cells, check } = vectorKeys;
+  const { cols, rows } = pattern.grid;
+  const { cell } = gridLayout(pattern.grid, width, height);
+  const colorSlug = String(theme?.id ?? "").replace(/[^\w-]+/g, "");
+  const name = ["hypno", pattern.id.replace(/[^\w-]+/g, "_").replace(/_+$/, ""), colorSlug].filter(Boolean).join("-");
+  const scope = `.${name}`;
+  const colored = cells.some((keys) => keys.some(({ rgb }) => rgb.join() !== cells[0][0].rgb.join()));
+  const label = `${pattern.label ?? pattern.id}, ${cols} by ${rows} light grid`;
+
+  const keyframes = cells.map((keys, index) => {
+    const steps = keyTimes(keys, 100 / loopMs).map((percent, idx) => {
+      const { value, rgb } = keys[idx];
+      const glow = colored ? ` --glow: ${rgb.join(", ")};` : "";
+      return `  ${round(percent)}% { --a: ${round(value)};${glow} }`;
+    });
+    return `@keyframes ${name}-${index} {\n${steps.join("\n")}\n}`;
+  });
+
+  const css = `@property --a {
+  syntax: "<number>";
+  inherits: true;
+  initial-value: 0;
+}
+${scope} {
+  --cell: ${cell}px;
+  --u: calc(var(--cell) / ${REFERENCE_CELL});
+  --glow: ${cells[0][0].rgb.join(", ")};
+  display: inline-grid;
+  grid-template-columns: repeat(${cols}, var(--cell));
+  grid-template-rows: repeat(${rows}, var(--cell));
+  place-content: center;
+  width: ${width}px;
+  height: ${height}px;
+  background: ${background ?? "transparent"};
+  isolation: isolate;
+}
+${cellRules(scope)}
+${cells.map((_, index) => `${scope} > div:nth-child(${index + 1}) { animation-name: ${name}-${index}; }`).join("\n")}
+${scope} > div {
+  animation-duration: ${round(loopMs)}ms;
+  animation-timing-function: linear;
+  animation-iteration-count: infinite;
+}
+@media (prefers-reduced-motion: reduce) {
+  ${scope} > div {
+    animation-play-state: paused;
+  }
+}
+${keyframes.join("\n")}`;
+
+  const markup = `<div class="${name}" role="img" aria-label="${escapeHtml(label)}">\n${cells
+    .map(() => "  <div></div>")
+    .join("\n")}\n</div>`;
+  return { html: `<style>\n${css}\n</style>\n${markup}\n`, check };
+};
+
+export const renderCssAnimation = async ({ pattern, theme, width, height, background }) => {
+  const { html } = buildCssAnimation({ pattern, theme, width, height, background });
+  return [{ blob: new Blob([html], { type: "text/html" }), ext: "html", suffix: "keyframes" }];
+};
@@ -0,0 +1,270 @@
+import { parseRgb } from "hypno-engine";
+import { PREVIEW_GLOW, drawGlowCell } from "./glow.js";
+
+const FLOATS_PER_CELL = 7; // x, y, size, intensity, r, g, b
+
+const VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 corner;
+layout(location = 1) in vec4 cell;
+layout(location = 2) in vec3 color;
+uniform vec2 viewport;
+uniform float margin;
+out vec2 pixel;
+flat out vec4 box;
+flat out vec3 tint;
+
+void main() {
+  pixel = cell.xy - margin + corner * (cell.z + 2.0 * margin);
+  box = cell;
+  tint = color;
+  vec2 clip = pixel / viewport * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+// Same layers as PREVIEW_GLOW on the 2D path. A blurred box-shadow is the
+// rect convolved with a Gaussian (sigma = blur / 2), which separates into erfs.
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+in vec2 pixel;
+flat in vec4 box;
+flat in vec3 tint;
+uniform float unit;
+uniform vec2 fill;
+uniform vec2 shadowBlur;
+uniform vec2 shadowAlpha;
+uniform vec2 insetBlur;
+uniform vec2 insetAlpha;
+out vec4 outColor;
+
+float erf(float x) {
+  float t = 1.0 / (1.0 + 0.3275911 * abs(x));
+  float y = 1.0 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * exp(-x * x);
+  return sign(x) * y;
+}
+
+float blurredBox(vec2 lo, vec2 hi, float blur) {
+  float scale = 1.0 / (max(blur * 0.5, 0.001) * 1.41421356);
+  vec2 a = (pixel - lo) * scale;
+  vec2 b = (pixel - hi) * scale;
+  vec2 coverage = 0.5 * vec2(erf(a.x) - erf(b.x), erf(a.y) - erf(b.y));
+  return coverage.x * coverage.y;
+}
+
+float ramp(vec2 pair, float value) {
+  return pair.x + pair.y * value;
+}
+
+void main() {
+  float value = box.w;
+  vec2 lo = box.xy;
+  vec2 hi = box.xy + box.z;
+  if (any(lessThan(pixel, lo)) || any(greaterThanEqual(pixel, hi))) {
+    float alpha = blurredBox(lo, hi, ramp(shadowBlur, value) * unit) * ramp(shadowAlpha, value);
+    outColor = vec4(tint * alpha, alpha);
+    return;
+  }
+  float fillAlpha = ramp(fill, value);
+  float inset = (1.0 - blurredBox(lo, hi, ramp(insetBlur, value) * unit)) * ramp(insetAlpha, value);
+  outColor = vec4(inset) + vec4(tint * fillAlpha, fillAlpha) * (1.0 - inset);
+}`;
+
+const createParser = () => {
+  const cache = new Map();
+  return (value) => {
+    if (!cache.has(value)) cache.set(value, parseRgb(value) ?? [255, 255, 255]);
+    return cache.get(value);
+  };
+};
+
+// Calls `visit(x, y, size, value, rgb)` per cell, in device px.
+const eachCell = (tiles, dpr, parse, visit) => {
+  for (const tile of tiles) {
+    const size = tile.cell * dpr;
+    const base = parse(tile.rgb);
+    tile.intensities.forEach((value, index) => {
+      visit(
+        (tile.x + (index % tile.cols) * tile.cell) * dpr,
+        (tile.y + Math.floor(index / tile.cols) * tile.cell) * dpr,
+        size,
+        value,
+        tile.colors?.[index] ? parse(tile.colors[index]) : base
+      );
+    });
+  }
+};
+
+const compile = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return shader;
+  gl.deleteShader(shader);
+  return null;
+};
+
+const createGlRenderer = (canvas) => {
+  const gl = canvas.getContext("webgl2", { premultipliedAlpha: true, antialias: false });
+  if (!gl) return null;
+  // Browsers cap live contexts, so a failed or destroyed renderer gives its own back.
+  const loseContext = () => gl.getExtension("WEBGL_lose_context")?.loseContext();
+
+  const vertex = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragment = compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+  if (!vertex || !fragment) {
+    gl.deleteShader(vertex);
+    gl.deleteShader(fragment);
+    loseContext();
+    return null;
+  }
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.linkProgram(program);
+  // Attached shaders go with the program, whether it linked or not.
+  gl.deleteShader(vertex);
+  gl.deleteShader(fragment);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    gl.deleteProgram(program);
+    loseContext();
+    return null;
+  }
+
+  const uniform = (name) => gl.getUniformLocation(program, name);
+  const vao = gl.createVertexArray();
+  gl.bindVertexArray(vao);
+
+  const corners = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const instances = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instances);
+  const stride = FLOATS_PER_CELL * 4;
+  gl.enableVertexAttribArray(1);
+  gl.vertexAttribPointer(1, 4, gl.FLOAT, false, stride, 0);
+  gl.vertexAttribDivisor(1, 1);
+  gl.enableVertexAttribArray(2);
+  gl.vertexAttribPointer(2, 3, gl.FLOAT, false, stride, 16);
+  gl.vertexAttribDivisor(2, 1);
+
+  const [shadow] = PREVIEW_GLOW.shadows;
+  gl.useProgram(program);
+  gl.uniform2fv(uniform("fill"), PREVIEW_GLOW.fill);
+  gl.uniform2fv(uniform("shadowBlur"), shadow.blur);
+  gl.uniform2fv(uniform("shadowAlpha"), shadow.alpha);
+  gl.uniform2fv(uniform("insetBlur"), PREVIEW_GLOW.inset.blur);
+  gl.uniform2fv(uniform("insetAlpha"), PREVIEW_GLOW.inset.alpha);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  gl.enable(gl.SCISSOR_TEST);
+
+  const parse = createParser();
+  let data = new Float32Array(FLOATS_PER_CELL * 1024);
+  let dpr = 1;
+
+  return {
+    kind: "webgl",
+    resize(width, height, ratio) {
+      dpr = ratio;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.uniform2f(uniform("viewport"), canvas.width, canvas.height);
+      gl.uniform1f(uniform("unit"), ratio);
+      // Three sigmas of the widest shadow.
+      gl.uniform1f(uniform("margin"), Math.ceil(0.75 * (shadow.blur[0] + shadow.blur[1]) * ratio));
+    },
+    draw(tiles, clip) {
+      if (gl.isContextLost()) return;
+      gl.scissor(0, 0, canvas.width, canvas.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.scissor(
+        Math.floor(clip.left * dpr),
+        Math.floor(canvas.height - clip.bottom * dpr),
+        Math.max(0, Math.ceil(clip.width * dpr)),
+        Math.max(0, Math.ceil(clip.height * dpr))
+      );
+
+      let count = 0;
+      eachCell(tiles, dpr, parse, (x, y, size, value, [red, green, blue]) => {
+        if ((count + 1) * FLOATS_PER_CELL > data.length) {
+          const grown = new Float32Array(data.length * 2);
+          grown.set(data);
+          data = grown;
+        }
+        data.set([x, y, size, value, red / 255, green / 255, blue / 255], count * FLOATS_PER_CELL);
+        count += 1;
+      });
+      if (!count) return;
+      gl.bindBuffer(gl.ARRAY_BUFFER, instances);
+      gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * FLOATS_PER_CELL), gl.DYNAMIC_DRAW);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    },
+    destroy() {
+      gl.deleteBuffer(corners);
+      gl.deleteBuffer(instances);
+      gl.deleteVertexArray(vao);
+      gl.deleteProgram(program);
+      loseContext();
+      canvas.remove();
+    },
+  };
+};
+
+const createCanvasRenderer = (canvas) => {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  const parse = createParser();
+  let dpr = 1;
+
+  return {
+    kind: "canvas",
+    resize(width, height, ratio) {
+      dpr = ratio;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    },
+    draw(tiles, clip) {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(clip.left * dpr, clip.top * dpr, clip.width * dpr, clip.height * dpr);
+      ctx.clip();
+      // Shadows ignore the transform, so everything is drawn in device px.
+      eachCell(tiles, dpr, parse, (x, y, size, value, rgb) =>
+        drawGlowCell(ctx, { x, y, size, value, rgb, model: PREVIEW_GLOW, unit: dpr })
+      );
+      ctx.restore();
+    },
+    destroy() {
+      canvas.remove();
+    },
+  };
+};
+
+const attachCanvas = (container) => {
+  const canvas = document.createElement("canvas");
+  container.appendChild(canvas);
+  return canvas;
+};
+
+/**
+ * A canvas in `container` that draws many gallery thumbnails per frame.
+ * `draw(tiles, clip)` takes tiles as `{ x, y, cell, cols, intensities,
+ * colors, rgb }` in CSS px and only paints inside the `clip` rect. WebGL2
+ * when available, otherwise the 2D canvas path; null if neither works.
+ */
+export const createGalleryRenderer = (container) => {
+  const glCanvas = attachCanvas(container);
+  const gl = createGlRenderer(glCanvas);
+  if (gl) return gl;
+  // A canvas that handed out a WebGL context can't give a 2D one.
+  glCanvas.remove();
+  const canvas = attachCanvas(container);
+  const renderer = createCanvasRenderer(canvas);
+  if (!renderer) canvas.remove();
+  return renderer;
+};
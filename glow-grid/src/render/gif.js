@@ -0,0 +1,260 @@
+import { BACKGROUND, createFrameCanvas, frameCount, nextFrame } from "./canvas.js";
+
+const BITS = 6; // histogram precision per channel
+const SHIFT = 8 - BITS;
+const BIN_COUNT = 1 << (BITS * 3);
+const PALETTE_SIZE = 256;
+// Browsers stretch delays under 2cs to 10cs, so 50fps is as fast as a GIF plays.
+export const GIF_MAX_FPS = 50;
+
+const binOf = (r, g, b) => ((r >> SHIFT) << (BITS * 2)) | ((g >> SHIFT) << BITS) | (b >> SHIFT);
+
+const binColor = (bin) => {
+  const mask = (1 << BITS) - 1;
+  const center = 1 << (SHIFT - 1);
+  return [
+    (((bin >> (BITS * 2)) & mask) << SHIFT) + center,
+    (((bin >> BITS) & mask) << SHIFT) + center,
+    ((bin & mask) << SHIFT) + center,
+  ];
+};
+
+const hexToChannels = (hex) => [1, 3, 5].map((i) => Number.parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Median cut over the colors the frames actually use. Counts are square-rooted
+ * so the flat background doesn't eat the palette, leaving most entries for the
+ * soft glow ramps where banding shows. Index 0 is the exact background.
+ */
+const buildPalette = (histogram, background) => {
+  const entries = [];
+  for (let bin = 0; bin < BIN_COUNT; bin += 1) {
+    if (histogram[bin]) entries.push({ color: binColor(bin), weight: Math.sqrt(histogram[bin]) });
+  }
+
+  const describe = (items) => {
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+    let weight = 0;
+    for (const { color, weight: w } of items) {
+      weight += w;
+      for (let c = 0; c < 3; c += 1) {
+        min[c] = Math.min(min[c], color[c]);
+        max[c] = Math.max(max[c], color[c]);
+      }
+    }
+    const ranges = max.map((value, c) => value - min[c]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+    return { items, weight, axis, score: ranges[axis] * weight };
+  };
+
+  const boxes = entries.length ? [describe(entries)] : [];
+  while (boxes.length < PALETTE_SIZE - 1) {
+    let target = -1;
+    boxes.forEach((box, i) => {
+      if (box.items.length > 1 && box.score > (boxes[target]?.score ?? 0)) target = i;
+    });
+    if (target < 0) break;
+
+    const { items, axis, weight } = boxes[target];
+    items.sort((a, b) => a.color[axis] - b.color[axis]);
+    let split = 1;
+    for (let running = 0; split < items.length - 1; split += 1) {
+      running += items[split - 1].weight;
+      if (running >= weight / 2) break;
+    }
+    boxes.splice(target, 1, describe(items.slice(0, split)), describe(items.slice(split)));
+  }
+
+  const palette = [hexToChannels(background)];
+  for (const box of boxes) {
+    const sum = [0, 0, 0];
+    for (const { color, weight } of box.items) {
+      for (let c = 0; c < 3; c += 1) sum[c] += color[c] * weight;
+    }
+    palette.push(sum.map((value) => Math.round(value / box.weight)));
+  }
+  while (palette.length < PALETTE_SIZE) palette.push([0, 0, 0]);
+  return palette;
+};
+
+const createIndexer = (palette) => {
+  const cache = new Int16Array(BIN_COUNT).fill(-1);
+  return (r, g, b) => {
+    const bin = binOf(r, g, b);
+    if (cache[bin] >= 0) return cache[bin];
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    cache[bin] = best;
+    return best;
+  };
+};
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  u16(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  ascii(text) {
+    for (const char of text) this.byte(char.charCodeAt(0));
+  }
+
+  // GIF image and extension data comes in sub-blocks of up to 255 bytes.
+  blocks(data) {
+    for (let i = 0; i < data.length; i += 255) {
+      const chunk = data.slice(i, i + 255);
+      this.byte(chunk.length);
+      chunk.forEach((value) => this.byte(value));
+    }
+    this.byte(0);
+  }
+}
+
+const lzwEncode = (indices, minCodeSize = 8) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+
+  const write = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      out.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i += 1) {
+    const index = indices[i];
+    const key = prefix * 256 + index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (nextCode === 4096) {
+      write(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize += 1;
+      table.set(key, nextCode);
+      nextCode += 1;
+    }
+    prefix = index;
+  }
+  write(prefix);
+  write(endCode);
+  if (bits > 0) out.push(buffer & 0xff);
+  return out;
+};
+
+/** Looping GIF89a; frame delays round on the loop's timeline so it keeps its length. */
+export const renderGif = async ({
+  pattern,
+  theme,
+  width = 320,
+  height = width,
+  fps = 25,
+  background = BACKGROUND,
+  onProgress,
+}) => {
+  const { ctx, draw } = createFrameCanvas({
+    pattern,
+    theme,
+    width,
+    height,
+    background,
+    readback: true,
+  });
+  const count = frameCount(pattern.loopMs, Math.min(fps, GIF_MAX_FPS));
+  const times = Array.from({ length: count + 1 }, (_, i) => (i * pattern.loopMs) / count);
+  const readFrame = (i) => {
+    draw(times[i]);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+
+  const histogram = new Uint32Array(BIN_COUNT);
+  for (let i = 0; i < count; i += 1) {
+    const data = readFrame(i);
+    for (let p = 0; p < data.length; p += 4) histogram[binOf(data[p], data[p + 1], data[p + 2])] += 1;
+    onProgress?.((i / count) * 0.3);
+    await nextFrame();
+  }
+  const palette = buildPalette(histogram, background);
+  const indexOf = createIndexer(palette);
+
+  const gif = new ByteWriter();
+  gif.ascii("GIF89a");
+  gif.u16(width);
+  gif.u16(height);
+  gif.byte(0xf7); // global color table, 8 bits per channel, 256 entries
+  gif.byte(0);
+  gif.byte(0);
+  palette.forEach((color) => color.forEach((value) => gif.byte(value)));
+  gif.byte(0x21);
+  gif.byte(0xff);
+  gif.byte(11);
+  gif.ascii("NETSCAPE2.0");
+  gif.byte(3);
+  gif.byte(1);
+  gif.u16(0); // loop forever
+  gif.byte(0);
+
+  const indices = new Uint8Array(width * height);
+  for (let i = 0; i < count; i += 1) {
+    const data = readFrame(i);
+    for (let p = 0; p < indices.length; p += 1) {
+      indices[p] = indexOf(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+    }
+
+    gif.byte(0x21);
+    gif.byte(0xf9);
+    gif.byte(4);
+    gif.byte(0x04); // dispose: leave in place
+    gif.u16(Math.round(times[i + 1] / 10) - Math.round(times[i] / 10));
+    gif.byte(0);
+    gif.byte(0);
+
+    gif.byte(0x2c);
+    gif.u16(0);
+    gif.u16(0);
+    gif.u16(width);
+    gif.u16(height);
+    gif.byte(0);
+    gif.byte(8);
+    gif.blocks(lzwEncode(indices));
+
+    onProgress?.(0.3 + (i / count) * 0.7);
+    await nextFrame();
+  }
+  gif.byte(0x3b);
+
+  return [{ blob: new Blob([new Uint8Array(gif.bytes)], { type: "image/gif" }), ext: "gif" }];
+};
@@ -0,0 +1,129 @@
+/**
+ * The cell glow, shared by both renderers: HypnoGrid.css draws it with CSS
+ * and `drawGlowCell` with canvas. Lengths are px at a REFERENCE_CELL-sized
+ * cell and scale with it; `[base, gain]` pairs mean `base + gain * intensity`.
+ * Change both together; `node parity.mjs` diffs the two.
+ */
+export const REFERENCE_CELL = 72;
+
+export const GLOW = {
+  fill: [0.07, 0.83],
+  brightness: 0.18,
+  // box-shadow layers, topmost first.
+  shadows: [
+    { white: true, blur: [4, 6], alpha: [0.05, 0.15] },
+    { blur: [10, 14], alpha: [0.05, 0.4] },
+    { blur: [18, 30], alpha: [0.04, 0.18] },
+  ],
+  inset: { blur: [5, 8], alpha: [0.02, 0.08] },
+  // The blurred radial ::before, `spread` past each cell edge.
+  halo: {
+    spread: 62,
+    blur: 22,
+    stops: [
+      [0, 0.7],
+      [0.4, 0.2],
+      [0.7, 0],
+    ],
+    opacity: [0.1, 0.6],
+    scale: [0.9, 0.2],
+  },
+};
+
+// The gallery thumbnails' lighter glow (`.pattern-preview .cell` in App.css),
+// in plain px whatever the cell size.
+export const PREVIEW_GLOW = {
+  fill: GLOW.fill,
+  brightness: 0,
+  shadows: [{ blur: [4, 5], alpha: [0.2, 0.45] }],
+  inset: { blur: [4, 6], alpha: [0.02, 0.08] },
+  halo: null,
+};
+
+const WHITE = [255, 255, 255];
+
+const ramp = ([base, gain], value) => base + gain * value;
+const rgba = ([red, green, blue], alpha) => `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+
+/**
+ * Draws one cell in the order the browser paints it: outer shadows, fill,
+ * inset shadow, then the halo (a negative z-index child of the filtered
+ * cell). `brightness()` is linear, so it is folded into the colors. `unit`
+ * is canvas px per model px; it defaults to scaling with the cell.
+ */
+export const drawGlowCell = (
+  ctx,
+  { x, y, size, value, rgb, model = GLOW, unit: u = size / REFERENCE_CELL }
+) => {
+  const gain = 1 + model.brightness * value;
+  const [glow, white] = [rgb, WHITE].map((color) =>
+    color.map((channel) => Math.min(255, Math.round(channel * gain)))
+  );
+  // Shapes are traced this far off-canvas so only their shadows land.
+  const offset = 4 * (ctx.canvas.width + ctx.canvas.height);
+
+  const shadowOnly = (color, blur, trace) => {
+    ctx.shadowColor = color;
+    ctx.shadowBlur = blur;
+    ctx.shadowOffsetX = offset;
+    ctx.shadowOffsetY = 0;
+    ctx.beginPath();
+    trace(x - offset);
+    ctx.fill("evenodd");
+  };
+
+  ctx.save();
+  ctx.fillStyle = "#000";
+
+  // box-shadow only paints outside the border box.
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.rect(x, y, size, size);
+  ctx.clip("evenodd");
+  for (const shadow of [...model.shadows].reverse()) {
+    shadowOnly(
+      rgba(shadow.white ? white : glow, ramp(shadow.alpha, value)),
+      ramp(shadow.blur, value) * u,
+      (left) => ctx.rect(left, y, size, size)
+    );
+  }
+  ctx.restore();
+
+  ctx.shadowColor = "transparent";
+  ctx.fillStyle = rgba(glow, ramp(model.fill, value));
+  ctx.fillRect(x, y, size, size);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, size, size);
+  ctx.clip();
+  ctx.fillStyle = "#000";
+  const insetBlur = ramp(model.inset.blur, value) * u;
+  shadowOnly(rgba(white, ramp(model.inset.alpha, value)), insetBlur, (left) => {
+    ctx.rect(left - insetBlur * 2, y - insetBlur * 2, size + insetBlur * 4, size + insetBlur * 4);
+    ctx.rect(left, y, size, size);
+  });
+  ctx.restore();
+
+  const { halo } = model;
+  if (!halo) {
+    ctx.restore();
+    return;
+  }
+
+  // radial-gradient(circle) reaches the far corners; filter: blur(r) has sigma r
+  // where shadowBlur has sigma blur / 2.
+  const half = (size / 2 + halo.spread * u) * ramp(halo.scale, value);
+  const cx = x + size / 2 - offset;
+  const cy = y + size / 2;
+  const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, half * Math.SQRT2);
+  halo.stops.forEach(([stop, alpha]) => gradient.addColorStop(stop, `rgba(0, 0, 0, ${alpha})`));
+  ctx.shadowColor = rgba(glow, ramp(halo.opacity, value));
+  ctx.shadowBlur = 2 * halo.blur * u;
+  ctx.shadowOffsetX = offset;
+  ctx.fillStyle = gradient;
+  ctx.fillRect(cx - half, cy - half, half * 2, half * 2);
+
+  ctx.restore();
+};
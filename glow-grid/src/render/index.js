@@ -0,0 +1,87 @@
+import { renderApng } from "./apng.js";
+import { renderCssAnimation } from "./css.js";
+import { GIF_MAX_FPS, renderGif } from "./gif.js";
+import { renderLottie } from "./lottie.js";
+import { renderPoster } from "./poster.js";
+import { renderSpriteSheet } from "./sprite.js";
+import { renderAnimatedSvg } from "./svg.js";
+import { recordVideo } from "./video.js";
+
+import { BACKGROUND } from "./canvas.js";
+import { DEFAULT_RENDER_SETTINGS } from "./settings.js";
+
+export { RenderError } from "./canvas.js";
+
+// The muxer is only loaded once someone renders.
+const encodeVideo = async (options) => (await import("./webcodecs.js")).encodeVideo(options);
+
+const supportsWebCodecs = () =>
+  typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+
+// Frame-exact WebCodecs encodes; the MediaRecorder list below is only for browsers without it.
+// `video` formats honour loops and bitrate; `alpha` ones keep a transparent background.
+export const ENCODED_FORMATS = [
+  { id: "mp4", label: "MP4 (H.264)", ext: "mp4", render: encodeVideo, video: true },
+  { id: "webm", label: "WebM (VP9)", ext: "webm", render: encodeVideo, video: true, alpha: true },
+];
+
+export const VIDEO_FORMATS = [
+  { id: "webm-vp9", label: "WebM (VP9)", mime: "video/webm;codecs=vp9", ext: "webm" },
+  { id: "webm-vp8", label: "WebM (VP8)", mime: "video/webm;codecs=vp8", ext: "webm" },
+  { id: "webm", label: "WebM", mime: "video/webm", ext: "webm" },
+  { id: "mp4-avc", label: "MP4 (H.264)", mime: "video/mp4;codecs=\"avc1.42E01E\"", ext: "mp4" },
+  { id: "mp4-baseline", label: "MP4 (Baseline)", mime: "video/mp4;codecs=\"avc1.42E01E,mp4a.40.2\"", ext: "mp4" },
+  { id: "mp4", label: "MP4", mime: "video/mp4", ext: "mp4" },
+].map((format) => ({ ...format, render: recordVideo, video: true }));
+
+// Encoded in script, so they work wherever canvas does.
+export const IMAGE_FORMATS = [
+  { id: "gif", label: "GIF", render: renderGif, maxFps: GIF_MAX_FPS },
+  { id: "apng", label: "APNG", render: renderApng, alpha: true },
+  { id: "sprite", label: "Sprite sheet", render: renderSpriteSheet, alpha: true },
+];
+
+// Keyframed from the pattern's curves rather than drawn, so they stay sharp at any size.
+export const VECTOR_FORMATS = [
+  { id: "lottie", label: "Lottie JSON", render: renderLottie, alpha: true },
+  { id: "css", label: "CSS keyframes", render: renderCssAnimation, alpha: true },
+  { id: "svg", label: "Animated SVG", render: renderAnimatedSvg, alpha: true },
+];
+
+// One frame, at the player's current time (`posterMs`).
+export const STILL_FORMATS = [
+  { id: "poster", label: "Poster (SVG + PNG)", render: renderPoster, alpha: true, still: true },
+];
+
+const getRecorderFormats = () =>
+  typeof MediaRecorder === "undefined"
+    ? []
+    : VIDEO_FORMATS.filter((format) => MediaRecorder.isTypeSupported(format.mime));
+
+export const getSupportedFormats = () => [
+  ...(supportsWebCodecs() ? ENCODED_FORMATS : getRecorderFormats()),
+  ...IMAGE_FORMATS,
+  ...VECTOR_FORMATS,
+  ...STILL_FORMATS,
+];
+
+/** The frame rate `format` actually renders at for the requested `fps`. */
+export const formatFps = (format, fps) => Math.min(fps, format?.maxFps ?? fps);
+
+/**
+ * Renders `pattern` in `format` with the given render settings (see
+ * settings.js); resolves to `{ blob, ext, suffix? }` files to download.
+ * Formats without alpha fall back to the default background; still formats
+ * take the frame at `posterMs`.
+ */
+export const renderPattern = ({ format, settings = DEFAULT_RENDER_SETTINGS, ...options }) => {
+  const background = settings.background === null && !format.alpha ? BACKGROUND : settings.background;
+  return format.render({
+    format,
+    ...settings,
+    fps: formatFps(format, settings.fps),
+    background,
+    loops: format.video ? settings.loops : 1,
+    ...options,
+  });
+};
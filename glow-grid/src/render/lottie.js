@@ -0,0 +1,229 @@
+import { BACKGROUND, gridLayout } from "./canvas.js";
+import { GLOW, REFERENCE_CELL } from "./glow.js";
+import { keyTimes, round, sampleVectorKeys } from "./vector.js";
+
+const LOTTIE_VERSION = "5.7.4";
+
+const ramp = ([base, gain], value) => base + gain * value;
+
+const still = (value) => ({ a: 0, k: value });
+
+// A linear-eased property from `keys`, or a still one if it never changes.
+const animated = (keys, times, valueOf) => {
+  const values = keys.map((key) => valueOf(key).map((part) => round(part)));
+  if (values.every((value) => value.join() === values[0].join())) {
+    return still(values[0].length === 1 ? values[0][0] : values[0]);
+  }
+  const ease = (x) => ({ x: values[0].map(() => x), y: values[0].map(() => x) });
+  return {
+    a: 1,
+    k: values.map((s, idx) =>
+      idx === values.length - 1 ? { t: round(times[idx]), s } : { t: round(times[idx]), s, i: ease(1), o: ease(0) }
+    ),
+  };
+};
+
+// drawGlowCell folds brightness() into the colors, and so does this.
+const glowColor = ({ value, rgb }) =>
+  rgb.map((channel) => Math.min(1, (channel * (1 + GLOW.brightness * value)) / 255));
+
+const transform = ({ x, y, opacity = still(100), scale = still([100, 100, 100]) }) => ({
+  o: opacity,
+  r: still(0),
+  p: still([x, y, 0]),
+  a: still([0, 0, 0]),
+  s: scale,
+});
+
+const group = (name, items) => ({
+  ty: "gr",
+  nm: name,
+  it: [
+    ...items,
+    { ty: "tr", p: still([0, 0]), a: still([0, 0]), s: still([100, 100]), r: still(0), o: still(100) },
+  ],
+});
+
+const rect = (side) => ({ ty: "rc", d: 1, s: still([side, side]), p: still([0, 0]), r: still(0) });
+
+const shapeLayer = ({ index, name, op, ks, shapes, ef }) => ({
+  ddd: 0,
+  ind: index,
+  ty: 4,
+  nm: name,
+  sr: 1,
+  ks,
+  ao: 0,
+  ...(ef ? { ef } : {}),
+  shapes,
+  ip: 0,
+  op,
+  st: 0,
+  bm: 0,
+});
+
+// lottie-web turns Blurriness into a stdDeviation of 0.3x; CSS blur(r) is a sigma of r.
+const gaussianBlur = (sigma) => [
+  {
+    ty: 29,
+    nm: "Gaussian Blur",
+    mn: "ADBE Gaussian Blur 2",
+    ix: 1,
+    en: 1,
+    ef: [
+      { ty: 0, nm: "Blurriness", mn: "ADBE Gaussian Blur 2-0001", ix: 1, v: still(round(sigma / 0.3)) },
+      { ty: 7, nm: "Blur Dimensions", mn: "ADBE Gaussian Blur 2-0002", ix: 2, v: still(1) },
+      { ty: 7, nm: "Repeat Edge Pixels", mn: "ADBE Gaussian Blur 2-0003", ix: 3, v: still(0) },
+    ],
+  },
+];
+
+/**
+ * `pattern` in `theme` as a Lottie animation: a layer per cell with its fill
+ * keyed from sampleKeyframes, and a blurred radial halo layer over it. The
+ * box-shadows have no Lottie equivalent, so the halo carries the glow.
+ * Returns `{ lottie, check }` (see sampleVectorKeys).
+ */
+export const buildLottie = ({
+  pattern,
+  theme,
+  vectorKeys = sampleVectorKeys(pattern, theme),
+  width = 512,
+  height = width,
+  fps = 60,
+  background = BACKGROUND,
+}) => {
+  const { loopMs, cells, check } = vectorKeys;
+  const { cols } = pattern.grid;
+  const { cell, offsetX, offsetY } = gridLayout(pattern.grid, width, height);
+  const u = cell / REFERENCE_CELL;
+  const { halo } = GLOW;
+  const haloSide = cell + 2 * halo.spread * u;
+  const op = round((loopMs * fps) / 1000);
+
+  const layers = cells.map((keys, index) => {
+    const times = keyTimes(keys, fps / 1000);
+    return {
+      x: round(offsetX + ((index % cols) + 0.5) * cell),
+      y: round(offsetY + (Math.floor(index / cols) + 0.5) * cell),
+      keys,
+      times,
+    };
+  });
+
+  const cellLayers = layers.map(({ x, y, keys, times }, index) =>
+    shapeLayer({
+      index: index * 2 + 1,
+      name: `cell ${index}`,
+      op,
+      ks: transform({ x, y }),
+      shapes: [
+        group("cell", [
+          rect(cell),
+          {
+            ty: "fl",
+            c: animated(keys, times, (key) => [...glowColor(key), 1]),
+            o: animated(keys, times, ({ value }) => [100 * ramp(GLOW.fill, value)]),
+            r: 1,
+            bm: 0,
+          },
+        ]),
+      ],
+    })
+  );
+
+  // The halo paints over its own cell but under the cells after it, as in the DOM.
+  const haloLayers = layers.map(({ x, y, keys, times }, index) =>
+    shapeLayer({
+      index: index * 2 + 2,
+      name: `halo ${index}`,
+      op,
+      ks: transform({
+        x,
+        y,
+        opacity: animated(keys, times, ({ value }) => [100 * ramp(halo.opacity, value)]),
+        scale: animated(keys, times, ({ value }) => {
+          const scale = 100 * ramp(halo.scale, value);
+          return [scale, scale, 100];
+        }),
+      }),
+      ef: gaussianBlur(halo.blur * u),
+      shapes: [
+        group("halo", [
+          rect(haloSide),
+          {
+            ty: "gf",
+            o: still(100),
+            r: 1,
+            bm: 0,
+            g: {
+              p: halo.stops.length,
+              k: animated(keys, times, (key) => {
+                const color = glowColor(key);
+                return [
+                  ...halo.stops.flatMap(([stop]) => [stop, ...color]),
+                  ...halo.stops.flatMap(([stop, alpha]) => [stop, alpha]),
+                ];
+              }),
+            },
+            s: still([0, 0]),
+            // radial-gradient(circle) reaches the far corners.
+            e: still([round((haloSide / 2) * Math.SQRT2), 0]),
+            t: 2,
+            h: still(0),
+            a: still(0),
+          },
+        ]),
+      ],
+    })
+  );
+
+  const backgroundLayers = background
+    ? [
+        {
+          ddd: 0,
+          ind: cells.length * 2 + 1,
+          ty: 1,
+          nm: "background",
+          sr: 1,
+          ks: transform({ x: 0, y: 0 }),
+          ao: 0,
+          sw: width,
+          sh: height,
+          sc: background,
+          ip: 0,
+          op,
+          st: 0,
+          bm: 0,
+        },
+      ]
+    : [];
+
+  return {
+    lottie: {
+      v: LOTTIE_VERSION,
+      fr: fps,
+      ip: 0,
+      op,
+      w: width,
+      h: height,
+      nm: pattern.label ?? pattern.id,
+      ddd: 0,
+      assets: [],
+      // Lottie draws the first layer on top.
+      layers: [...cellLayers.flatMap((layer, index) => [layer, haloLayers[index]]).reverse(), ...backgroundLayers],
+    },
+    check,
+  };
+};
+
+export const renderLottie = async ({ pattern, theme, width, height, fps, background }) => {
+  const { lottie } = buildLottie({ pattern, theme, width, height, fps, background });
+  return [
+    {
+      blob: new Blob([JSON.stringify(lottie)], { type: "application/json" }),
+      ext: "json",
+      suffix: "lottie",
+    },
+  ];
+};
@@ -0,0 +1,28 @@
+import { canvasToBlob, createFrameCanvas } from "./canvas.js";
+import { MAX_SIDE } from "./settings.js";
+import { buildPosterSvg, posterTime } from "./svg.js";
+
+// PNG posters are drawn at twice the chosen size for high-DPI screens.
+export const POSTER_SCALE = 2;
+
+/**
+ * A still of `pattern` at `posterMs` (the gallery's preview moment by
+ * default) as an SVG and a PNG at up to POSTER_SCALE times the size.
+ */
+export const renderPoster = async ({ pattern, theme, width = 512, height = width, background, posterMs }) => {
+  const t = posterMs ?? posterTime(pattern);
+  const scale = Math.min(POSTER_SCALE, MAX_SIDE / Math.max(width, height));
+  const { canvas, draw } = createFrameCanvas({
+    pattern,
+    theme,
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+    background,
+  });
+  draw(t);
+  const svg = buildPosterSvg({ pattern, theme, width, height, background, t });
+  return [
+    { blob: new Blob([svg], { type: "image/svg+xml" }), ext: "svg", suffix: "poster" },
+    { blob: await canvasToBlob(canvas), ext: "png", suffix: scale === POSTER_SCALE ? `poster@${scale}x` : "poster" },
+  ];
+};
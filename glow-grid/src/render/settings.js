@@ -0,0 +1,101 @@
+import { normalizeHex } from "../display.js";
+import { BACKGROUND } from "./canvas.js";
+
+export const RENDER_PARAMS = ["size", "fps", "loops", "bg", "bitrate"];
+export const FPS_OPTIONS = [24, 30, 60, 120];
+export const MAX_SIDE = 4096;
+export const LOOPS_RANGE = { min: 1, max: 20 };
+export const BITRATE_RANGE = { min: 1, max: 80 }; // Mbps
+
+export const SIZE_PRESETS = [
+  { id: "512x512", label: "512 square" },
+  { id: "1080x1080", label: "1080 square" },
+  { id: "2160x2160", label: "2160 square" },
+  { id: "1920x1080", label: "1080p" },
+  { id: "1080x1920", label: "1080p portrait" },
+  { id: "3840x2160", label: "4K UHD" },
+];
+
+/** `background` is a `#RRGGBB` color, or null for transparent. */
+export const DEFAULT_RENDER_SETTINGS = {
+  width: 512,
+  height: 512,
+  fps: 60,
+  loops: 1,
+  background: BACKGROUND,
+  bitrate: 6,
+};
+
+const clampInt = (value, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : null;
+};
+
+// Encoders want even dimensions for 4:2:0 chroma.
+const evenSide = (value) => {
+  const side = clampInt(value, 16, MAX_SIDE);
+  return side === null ? null : side - (side % 2);
+};
+
+/** "1920x1080" or a single number for a square; null when unusable. */
+export const parseSize = (value) => {
+  if (!value) return null;
+  const [w, h = w] = String(value).toLowerCase().split("x");
+  const width = evenSide(w);
+  const height = evenSide(h);
+  return width && height ? { width, height } : null;
+};
+
+export const parseBackground = (value) => {
+  if (!value) return undefined;
+  if (value === "transparent") return null;
+  const hex = normalizeHex(value);
+  return hex ? `#${hex}` : undefined;
+};
+
+export const parseRenderSettings = (params) => {
+  const defaults = DEFAULT_RENDER_SETTINGS;
+  const fps = clampInt(params.get("fps"), 1, FPS_OPTIONS.at(-1));
+  const background = parseBackground(params.get("bg"));
+  return {
+    ...defaults,
+    ...parseSize(params.get("size")),
+    fps: FPS_OPTIONS.includes(fps) ? fps : defaults.fps,
+    loops: clampInt(params.get("loops"), LOOPS_RANGE.min, LOOPS_RANGE.max) ?? defaults.loops,
+    background: background === undefined ? defaults.background : background,
+    bitrate:
+      clampInt(params.get("bitrate"), BITRATE_RANGE.min, BITRATE_RANGE.max) ?? defaults.bitrate,
+  };
+};
+
+/** URL params for the settings that differ from the defaults. */
+export const renderSettingsParams = (settings) => {
+  const defaults = DEFAULT_RENDER_SETTINGS;
+  const params = {};
+  if (settings.width !== defaults.width || settings.height !== defaults.height) {
+    params.size = `${settings.width}x${settings.height}`;
+  }
+  if (settings.fps !== defaults.fps) params.fps = settings.fps;
+  if (settings.loops !== defaults.loops) params.loops = settings.loops;
+  if (settings.background !== defaults.background) {
+    params.bg = settings.background === null ? "transparent" : settings.background.slice(1);
+  }
+  if (settings.bitrate !== defaults.bitrate) params.bitrate = settings.bitrate;
+  return params;
+};
+
+/**
+ * Renders sample `round(loopMs * fps / 1000)` evenly spaced frames; when that
+ * isn't a whole number the file's loop runs slightly faster or slower.
+ */
+export const checkLoopTiming = (loopMs, fps) => {
+  const exact = (loopMs * fps) / 1000;
+  const frames = Math.max(1, Math.round(exact));
+  const outputMs = (frames * 1000) / fps;
+  return {
+    frames,
+    exact,
+    outputMs,
+    aligned: Math.abs(exact - frames) < 1e-6,
+  };
+};
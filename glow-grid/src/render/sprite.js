@@ -0,0 +1,70 @@
+import { RenderError, canvasToBlob, createFrameCanvas, frameCount, nextFrame } from "./canvas.js";
+
+// Largest canvas side every major browser will allocate.
+const MAX_SHEET_SIDE = 16384;
+
+/** Every frame of one loop on a PNG grid, plus a JSON map of where each frame sits and when. */
+export const renderSpriteSheet = async ({
+  pattern,
+  theme,
+  width = 256,
+  height = width,
+  fps = 30,
+  background,
+  onProgress,
+}) => {
+  const count = frameCount(pattern.loopMs, fps);
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  if (columns * width > MAX_SHEET_SIDE || rows * height > MAX_SHEET_SIDE) {
+    throw new RenderError("Sprite sheet too large; lower the size or frame rate.");
+  }
+
+  const { canvas: frame, draw } = createFrameCanvas({ pattern, theme, width, height, background });
+  const sheet = document.createElement("canvas");
+  sheet.width = columns * width;
+  sheet.height = rows * height;
+  const ctx = sheet.getContext("2d");
+  if (!ctx) throw new RenderError("Canvas unavailable.");
+
+  const frames = [];
+  for (let i = 0; i < count; i += 1) {
+    const t = (i * pattern.loopMs) / count;
+    const x = (i % columns) * width;
+    const y = Math.floor(i / columns) * height;
+    draw(t);
+    ctx.drawImage(frame, x, y);
+    frames.push({
+      index: i,
+      x,
+      y,
+      w: width,
+      h: height,
+      t: Math.round(t * 1000) / 1000,
+      duration: Math.round((pattern.loopMs / count) * 1000) / 1000,
+    });
+    onProgress?.(i / count);
+    if (i % 8 === 7) await nextFrame();
+  }
+
+  const map = {
+    pattern: pattern.id,
+    grid: pattern.grid,
+    color: theme.id,
+    fps,
+    loopMs: pattern.loopMs,
+    frameSize: { w: width, h: height },
+    columns,
+    rows,
+    frames,
+  };
+
+  return [
+    { blob: await canvasToBlob(sheet), ext: "png", suffix: "sprite" },
+    {
+      blob: new Blob([`${JSON.stringify(map, null, 2)}\n`], { type: "application/json" }),
+      ext: "json",
+      suffix: "sprite",
+    },
+  ];
+};
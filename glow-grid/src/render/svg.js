@@ -0,0 +1,173 @@
+import { computeFrame, parseRgb } from "hypno-engine";
+import { BACKGROUND, gridLayout } from "./canvas.js";
+import { GLOW, REFERENCE_CELL } from "./glow.js";
+import { keyTimes, round, sampleVectorKeys } from "./vector.js";
+
+const WHITE = [255, 255, 255];
+
+const ramp = ([base, gain], value) => base + gain * value;
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+
+// drawGlowCell folds brightness() into the colors, and so does this.
+const glowColor = ({ value, rgb }) =>
+  `rgb(${rgb.map((channel) => Math.min(255, Math.round(channel * (1 + GLOW.brightness * value)))).join(", ")})`;
+
+// A fixed attribute, or a SMIL animation of it when there's more than one state.
+const animate = (timing, name, values) => {
+  const same = values.every((value) => value === values[0]);
+  return {
+    attr: `${name}="${values[0]}"`,
+    child: timing && !same ? `<animate attributeName="${name}" ${timing} values="${values.join(";")}"/>` : "",
+  };
+};
+
+/**
+ * Filters for each glow layer, shared between cells with the same blur.
+ * box-shadow blur radii are two sigmas; filter: blur() takes one.
+ */
+const createFilters = () => {
+  const filters = new Map();
+  const add = (id, body, margin) => {
+    if (!filters.has(id)) {
+      const region = `x="-${margin}%" y="-${margin}%" width="${100 + margin * 2}%" height="${100 + margin * 2}%"`;
+      filters.set(id, `<filter id="${id}" ${region} color-interpolation-filters="sRGB">${body}</filter>`);
+    }
+    return `url(#${id})`;
+  };
+  return {
+    // Outer box-shadow: blurred, then cut to outside the cell.
+    shadow: (sigma) =>
+      add(
+        `shadow-${round(sigma, 1)}`.replace(".", "_"),
+        `<feGaussianBlur stdDeviation="${round(sigma, 2)}"/><feComposite in2="SourceAlpha" operator="out"/>`,
+        100
+      ),
+    // Inset box-shadow: the blurred outside, kept inside the cell.
+    inset: (sigma) =>
+      add(
+        `inset-${round(sigma, 1)}`.replace(".", "_"),
+        `<feFlood flood-color="#fff"/><feComposite in2="SourceAlpha" operator="out"/>` +
+          `<feGaussianBlur stdDeviation="${round(sigma, 2)}"/><feComposite in2="SourceAlpha" operator="in"/>`,
+        50
+      ),
+    blur: (sigma) => add(`blur-${round(sigma, 1)}`.replace(".", "_"), `<feGaussianBlur stdDeviation="${round(sigma, 2)}"/>`, 50),
+    markup: () => [...filters.values()].join(""),
+  };
+};
+
+// The .cell layers in paint order: outer shadows, fill, inset shadow, then the halo.
+// `states` are `{ value, rgb }`, one for a still or one per key with `timing`;
+// animated blurs are fixed at half intensity, as SVG can't key a shared filter.
+const cellMarkup = ({ x, y, size, u, states, timing, filters }) => {
+  const values = (valueOf) => states.map((state) => round(valueOf(state), 4));
+  const blurAt = (blur) => ramp(blur, timing ? 0.5 : states[0].value) * u;
+  const rect = (attrs) => `<rect x="${x}" y="${y}" width="${size}" height="${size}" ${attrs}`;
+  const color = animate(timing, "color", states.map(glowColor));
+
+  const shadows = [...GLOW.shadows].reverse().map(({ white, blur, alpha }) => {
+    const opacity = animate(timing, "opacity", values(({ value }) => ramp(alpha, value)));
+    const fill = white ? "#fff" : "currentColor";
+    return `${rect(`fill="${fill}" filter="${filters.shadow(blurAt(blur) / 2)}" ${opacity.attr}>`)}${opacity.child}</rect>`;
+  });
+  const fillOpacity = animate(timing, "fill-opacity", values(({ value }) => ramp(GLOW.fill, value)));
+  const insetOpacity = animate(timing, "opacity", values(({ value }) => ramp(GLOW.inset.alpha, value)));
+
+  const { halo } = GLOW;
+  const half = size / 2 + halo.spread * u;
+  const haloOpacity = animate(timing, "opacity", values(({ value }) => ramp(halo.opacity, value)));
+  const scales = values(({ value }) => ramp(halo.scale, value));
+  const scale =
+    timing && scales.some((value) => value !== scales[0])
+      ? `<animateTransform attributeName="transform" type="scale" ${timing} values="${scales.join(";")}"/>`
+      : "";
+
+  return [
+    `<g ${color.attr}>${color.child}`,
+    ...shadows,
+    `${rect(`fill="currentColor" ${fillOpacity.attr}>`)}${fillOpacity.child}</rect>`,
+    `${rect(`fill="#fff" filter="${filters.inset(blurAt(GLOW.inset.blur) / 2)}" ${insetOpacity.attr}>`)}${insetOpacity.child}</rect>`,
+    `<g transform="translate(${round(x + size / 2, 3)} ${round(y + size / 2, 3)})">`,
+    `<g transform="scale(${scales[0]})" ${haloOpacity.attr}>${scale}${haloOpacity.child}`,
+    `<g filter="${filters.blur(halo.blur * u)}">`,
+    `<rect x="${round(-half, 3)}" y="${round(-half, 3)}" width="${round(half * 2, 3)}" height="${round(half * 2, 3)}" fill="currentColor" mask="url(#halo)"/>`,
+    "</g></g></g></g>",
+  ].join("");
+};
+
+const svgDocument = ({ pattern, width, height, background, cellStates, timing }) => {
+  const { cols, rows } = pattern.grid;
+  const { cell, offsetX, offsetY } = gridLayout(pattern.grid, width, height);
+  const u = cell / REFERENCE_CELL;
+  const filters = createFilters();
+  const cells = cellStates.map((states, index) =>
+    cellMarkup({
+      x: offsetX + (index % cols) * cell,
+      y: offsetY + Math.floor(index / cols) * cell,
+      size: cell,
+      u,
+      states,
+      timing: timing?.[index] ?? null,
+      filters,
+    })
+  );
+  // radial-gradient(circle) reaches the far corners, so its radius is half the diagonal.
+  const stops = GLOW.halo.stops
+    .map(([stop, alpha]) => `<stop offset="${stop}" stop-color="#fff" stop-opacity="${alpha}"/>`)
+    .join("");
+  const label = `${pattern.label ?? pattern.id}, ${cols} by ${rows} light grid`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(label)}">`,
+    `<title>${escapeXml(label)}</title>`,
+    "<defs>",
+    `<radialGradient id="halo-fade" r="${round(Math.SQRT1_2, 4)}">${stops}</radialGradient>`,
+    `<mask id="halo" maskContentUnits="objectBoundingBox"><rect width="1" height="1" fill="url(#halo-fade)"/></mask>`,
+    filters.markup(),
+    "</defs>",
+    background ? `<rect width="100%" height="100%" fill="${background}"/>` : "",
+    ...cells,
+    "</svg>\n",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+/**
+ * `pattern` in `theme` as an animated SVG: each cell's glow layers are SMIL
+ * animations of the keys from sampleVectorKeys, looping forever. Returns
+ * `{ svg, check }`.
+ */
+export const buildAnimatedSvg = ({
+  pattern,
+  theme,
+  vectorKeys = sampleVectorKeys(pattern, theme),
+  width = 512,
+  height = width,
+  background = BACKGROUND,
+}) => {
+  const { loopMs, cells, check } = vectorKeys;
+  const timing = cells.map((keys) => {
+    // Percent first, so steps get the same nudge as in the CSS format.
+    const times = keyTimes(keys, 100 / loopMs).map((percent) => round(percent / 100, 7));
+    return `dur="${round(loopMs, 3)}ms" repeatCount="indefinite" calcMode="linear" keyTimes="${times.join(";")}"`;
+  });
+  const svg = svgDocument({ pattern, width, height, background, cellStates: cells, timing });
+  return { svg, check };
+};
+
+/** The gallery's preview moment of `pattern`, or 0 outside the gallery. */
+export const posterTime = (pattern) => pattern.phaseMs ?? 0;
+
+/** One still frame of `pattern` at `t` (the preview moment by default) as SVG. */
+export const buildPosterSvg = ({ pattern, theme, width = 512, height = width, background = BACKGROUND, t }) => {
+  const { intensities, colors } = computeFrame(t ?? posterTime(pattern), pattern, theme);
+  const rgb = parseRgb(theme?.rgb) ?? WHITE;
+  const cellStates = intensities.map((value, index) => [{ value, rgb: parseRgb(colors?.[index]) ?? rgb }]);
+  return svgDocument({ pattern, width, height, background, cellStates });
+};
+
+export const renderAnimatedSvg = async ({ pattern, theme, width, height, background }) => {
+  const { svg } = buildAnimatedSvg({ pattern, theme, width, height, background });
+  return [{ blob: new Blob([svg], { type: "image/svg+xml" }), ext: "svg" }];
+};
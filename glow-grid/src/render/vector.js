@@ -0,0 +1,58 @@
+import { KEYFRAME_DEFAULTS, interpolateKeys, keyframeError, parseRgb, sampleKeyframes } from "hypno-engine";
+import { RenderError } from "./canvas.js";
+
+// How far before a step its first key moves, so players that can't hold two
+// keys at one time still jump (in each format's own time unit).
+export const STEP_EPSILON = 0.001;
+
+// One cell's intensity and color keys as `{ ms, value, rgb }`, with a step
+// (two keys at one time) wherever either jumps.
+const mergeCellKeys = ({ intensity, colors }, rgb, loopMs) => {
+  const colorAt = (ms, before) => {
+    if (!colors) return rgb;
+    if (ms === loopMs && !before) return parseRgb(colors[0][1]);
+    const held = colors.findLast(([time]) => (before ? time < ms : time <= ms));
+    return held ? parseRgb(held[1]) ?? rgb : null;
+  };
+  const times = [...new Set([...intensity, ...(colors ?? [])].map(([time]) => time))].sort((a, b) => a - b);
+  return times.flatMap((ms) => {
+    const atTime = intensity.filter(([time]) => time === ms);
+    const value = atTime.at(-1)?.[1] ?? interpolateKeys(intensity, ms);
+    const color = colorAt(ms, false);
+    const before = { ms, value: atTime[0]?.[1] ?? value, rgb: colorAt(ms, true) ?? color };
+    const after = { ms, value, rgb: color };
+    return before.value === after.value && before.rgb.join() === after.rgb.join() ? [after] : [before, after];
+  });
+};
+
+/**
+ * The keys the vector formats animate: `{ loopMs, cells: [[{ ms, value, rgb }]], check }`,
+ * where `check` is keyframeError against the live pattern. Throws a RenderError
+ * if the keys drift further than the keyframe tolerance. The Lottie, CSS and
+ * SVG builders take the result as `vectorKeys`, so one sampling can serve all three.
+ */
+export const sampleVectorKeys = (pattern, theme) => {
+  const keyframes = sampleKeyframes(pattern, { theme });
+  const check = keyframeError(pattern, keyframes, { theme });
+  if (check.maxError > KEYFRAME_DEFAULTS.tolerance + 1e-9 || check.seam > 1e-9) {
+    throw new RenderError(
+      `Keyframes drift from the pattern by ${check.maxError.toFixed(4)} at ${check.ms}ms; try another format.`
+    );
+  }
+  const rgb = parseRgb(theme?.rgb) ?? [255, 255, 255];
+  return {
+    loopMs: keyframes.loopMs,
+    cells: keyframes.cells.map((cell) => mergeCellKeys(cell, rgb, keyframes.loopMs)),
+    check,
+  };
+};
+
+/** Key times in `unit`s per ms, with the first key of each step nudged earlier. */
+export const keyTimes = (keys, unit) =>
+  keys.map(({ ms }, idx) => {
+    if (keys[idx + 1]?.ms !== ms) return ms * unit;
+    const gap = idx > 0 ? (ms - keys[idx - 1].ms) * unit : STEP_EPSILON;
+    return ms * unit - Math.min(STEP_EPSILON, gap / 2);
+  });
+
+export const round = (value, places = 4) => Number(value.toFixed(places));
@@ -0,0 +1,84 @@
+import { RenderError, createFrameCanvas, frameCount, frameTime } from "./canvas.js";
+
+/** Real-time capture through MediaRecorder; output timing follows the tab's timers. */
+export const recordVideo = async ({
+  pattern,
+  theme,
+  format,
+  width = 512,
+  height = width,
+  fps = 60,
+  loops = 1,
+  background,
+  bitrate = 4,
+  onProgress,
+}) => {
+  const { canvas, draw } = createFrameCanvas({ pattern, theme, width, height, background });
+  const frameMs = 1000 / fps;
+  const totalFrames = frameCount(pattern.loopMs, fps) * loops;
+  const progressStep = Math.max(1, Math.floor(fps / 6));
+
+  // captureStream needs the canvas in the document in some browsers.
+  canvas.style.position = "fixed";
+  canvas.style.left = "-10000px";
+  canvas.style.top = "0";
+  canvas.style.opacity = "0";
+  document.body.appendChild(canvas);
+
+  try {
+    draw(0);
+
+    const stream = canvas.captureStream(fps);
+    const track = stream.getVideoTracks()[0];
+    if (!track) throw new RenderError("Video capture unavailable.");
+    if (track.requestFrame) track.requestFrame();
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, {
+        mimeType: format.mime,
+        videoBitsPerSecond: bitrate * 1_000_000,
+      });
+    } catch {
+      recorder = new MediaRecorder(stream);
+    }
+    const outputMime = recorder.mimeType || format.mime;
+    const chunks = [];
+    let failed = false;
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    recorder.onerror = () => {
+      failed = true;
+    };
+    const stopped = new Promise((resolve) => {
+      recorder.onstop = resolve;
+    });
+
+    recorder.start(100);
+
+    for (let frame = 0; frame < totalFrames; frame += 1) {
+      draw(frameTime(frame, fps, pattern.loopMs));
+      if (track.requestFrame) track.requestFrame();
+      if (frame % progressStep === 0) onProgress?.(frame / totalFrames);
+      await new Promise((resolve) => setTimeout(resolve, frameMs));
+    }
+
+    recorder.requestData();
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    if (failed) throw new RenderError("Video export failed.");
+    if (!chunks.length) throw new RenderError("No data captured.");
+
+    return [
+      {
+        blob: new Blob(chunks, { type: outputMime }),
+        ext: outputMime.includes("mp4") ? "mp4" : "webm",
+      },
+    ];
+  } finally {
+    canvas.remove();
+  }
+};
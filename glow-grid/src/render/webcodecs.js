@@ -0,0 +1,104 @@
+import {
+  BufferTarget,
+  CanvasSource,
+  Mp4OutputFormat,
+  Output,
+  Quality,
+  WebMOutputFormat,
+  canEncodeVideo,
+} from "mediabunny";
+import { RenderError, createFrameCanvas, frameCount, nextFrame } from "./canvas.js";
+
+const KEYFRAME_SECONDS = 2;
+
+// Tried in order; the first codec the browser can encode at this size wins.
+const CONTAINERS = {
+  mp4: {
+    mime: "video/mp4",
+    createFormat: () => new Mp4OutputFormat({ fastStart: "in-memory" }),
+    codecs: ["avc"],
+    label: "H.264",
+  },
+  webm: {
+    mime: "video/webm",
+    createFormat: () => new WebMOutputFormat(),
+    codecs: ["vp9", "vp8"],
+    label: "VP9",
+    alpha: true,
+  },
+};
+
+const pickCodec = async (codecs, options) => {
+  for (const codec of codecs) {
+    if (await canEncodeVideo(codec, options).catch(() => false)) return codec;
+  }
+  return null;
+};
+
+/**
+ * Offline render: every frame is drawn, stamped and encoded in turn, so the
+ * file holds exactly `loops` loops regardless of tab throttling or machine
+ * speed. A null `background` keeps alpha in WebM.
+ */
+export const encodeVideo = async ({
+  pattern,
+  theme,
+  format,
+  width = 512,
+  height = width,
+  fps = 60,
+  loops = 1,
+  background,
+  bitrate = 6,
+  onProgress,
+}) => {
+  const container = CONTAINERS[format.ext];
+  const transparent = background === null && container.alpha;
+  const quality = new Quality({ bitrate: bitrate * 1_000_000 });
+  const alpha = transparent ? "keep" : "discard";
+  const codec = await pickCodec(container.codecs, {
+    width,
+    height,
+    quality,
+    frameRate: fps,
+    alpha,
+  });
+  if (!codec) {
+    throw new RenderError(
+      `This browser can't encode ${transparent ? "transparent " : ""}${container.label} video at ${width}x${height}.`
+    );
+  }
+
+  const { canvas, draw } = createFrameCanvas({ pattern, theme, width, height, background });
+  const output = new Output({ format: container.createFormat(), target: new BufferTarget() });
+  const source = new CanvasSource(canvas, {
+    codec,
+    quality,
+    alpha,
+    keyFrameInterval: KEYFRAME_SECONDS,
+  });
+  output.addVideoTrack(source, { frameRate: fps });
+
+  try {
+    await output.start();
+    const count = frameCount(pattern.loopMs, fps);
+    const total = count * loops;
+
+    for (let i = 0; i < total; i += 1) {
+      // Spread samples over the loop so the last frame meets the first one.
+      draw(((i % count) * pattern.loopMs) / count);
+      // Resolves once the encoder has room, which keeps memory flat.
+      await source.add(i / fps, 1 / fps);
+      onProgress?.(i / total);
+      if (i % 30 === 29) await nextFrame();
+    }
+
+    await output.finalize();
+  } catch (error) {
+    await output.cancel().catch(() => {});
+    if (error instanceof RenderError) throw error;
+    throw new RenderError(`Video encoding failed: ${error?.message ?? error}`, { cause: error });
+  }
+
+  return [{ blob: new Blob([output.target.buffer], { type: container.mime }), ext: format.ext }];
+};
@@ -0,0 +1,324 @@
+import {
+  ENVELOPE_IDS,
+  GRADIENT_MODES,
+  GRID_SIDE_RANGE,
+  normalizeEnvelope,
+  normalizeRgb,
+} from "hypno-engine";
+
+const STORAGE_PREFIX = "hypno-ui";
+const PATTERNS_KEY = `${STORAGE_PREFIX}:patterns`;
+const THEMES_KEY = `${STORAGE_PREFIX}:themes`;
+const CUSTOM_HEX_KEY = `${STORAGE_PREFIX}:custom-hex`;
+const FAVORITES_KEY = `${STORAGE_PREFIX}:favorites`;
+const FLASH_GUARD_KEY = `${STORAGE_PREFIX}:flash-guard`;
+
+export const BUNDLE_FORMAT = "hypno-ui-library";
+export const BUNDLE_VERSION = 1;
+
+export const PATTERN_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+export const BEAT_RANGE = { min: 40, max: 2000, fallback: 150 };
+export const PULSE_RANGE = { min: 40, max: 4000, fallback: 900 };
+
+export class BundleError extends Error {
+  constructor(message, path = "") {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "BundleError";
+    this.path = path;
+  }
+}
+
+const hasStorage = () => {
+  try {
+    return typeof localStorage !== "undefined";
+  } catch {
+    return false;
+  }
+};
+
+const readJson = (key, fallback) => {
+  if (!hasStorage()) return fallback;
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  if (!hasStorage()) return false;
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const expectInteger = (value, { min, max }, path) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new BundleError(`expected an integer from ${min} to ${max}, got ${JSON.stringify(value)}`, path);
+  }
+  return value;
+};
+
+const expectRgb = (value, path) => {
+  const rgb = normalizeRgb(value);
+  if (!rgb) {
+    throw new BundleError(`expected "r, g, b" with values 0-255, got ${JSON.stringify(value)}`, path);
+  }
+  return rgb;
+};
+
+const validateStepColors = (stepColors, stepCount, cellCount, path) => {
+  if (!Array.isArray(stepColors) || stepColors.length !== stepCount) {
+    throw new BundleError(`expected an array with one entry per step (${stepCount})`, path);
+  }
+  return stepColors.map((entry, step) => {
+    const stepPath = `${path}[${step}]`;
+    if (entry === null) return null;
+    if (typeof entry === "string") return expectRgb(entry, stepPath);
+    if (!isPlainObject(entry)) {
+      throw new BundleError("expected null, an \"r, g, b\" string or { cell: \"r, g, b\" }", stepPath);
+    }
+    return Object.fromEntries(
+      Object.entries(entry).map(([cell, rgb]) => {
+        const idx = Number(cell);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= cellCount) {
+          throw new BundleError(`cell ${JSON.stringify(cell)} is outside the grid`, stepPath);
+        }
+        return [idx, expectRgb(rgb, `${stepPath}[${cell}]`)];
+      })
+    );
+  });
+};
+
+const validateGradient = (gradient, path) => {
+  if (!isPlainObject(gradient)) throw new BundleError("expected { mode, stops }", path);
+  if (!GRADIENT_MODES.includes(gradient.mode)) {
+    throw new BundleError(
+      `unknown mode ${JSON.stringify(gradient.mode)}, expected one of ${GRADIENT_MODES.join(", ")}`,
+      `${path}.mode`
+    );
+  }
+  if (!Array.isArray(gradient.stops) || !gradient.stops.length) {
+    throw new BundleError("expected a non-empty array of colors", `${path}.stops`);
+  }
+  return {
+    mode: gradient.mode,
+    stops: gradient.stops.map((stop, i) => expectRgb(stop, `${path}.stops[${i}]`)),
+  };
+};
+
+const expectId = (value, path) => {
+  if (typeof value !== "string" || !PATTERN_ID_PATTERN.test(value)) {
+    throw new BundleError(
+      `expected a lowercase id of letters, digits and dashes, got ${JSON.stringify(value)}`,
+      path
+    );
+  }
+  return value;
+};
+
+export const validatePattern = (entry, path = "pattern") => {
+  if (!isPlainObject(entry)) throw new BundleError("expected an object", path);
+
+  const id = expectId(entry.id, `${path}.id`);
+  if (entry.label !== undefined && typeof entry.label !== "string") {
+    throw new BundleError("expected a string", `${path}.label`);
+  }
+  if (!isPlainObject(entry.grid)) throw new BundleError("expected { cols, rows }", `${path}.grid`);
+  const cols = expectInteger(entry.grid.cols, GRID_SIDE_RANGE, `${path}.grid.cols`);
+  const rows = expectInteger(entry.grid.rows, GRID_SIDE_RANGE, `${path}.grid.rows`);
+  const beatMs = expectInteger(entry.beatMs, BEAT_RANGE, `${path}.beatMs`);
+  const pulseMs = expectInteger(entry.pulseMs ?? PULSE_RANGE.fallback, PULSE_RANGE, `${path}.pulseMs`);
+
+  if (!Array.isArray(entry.frames) || !entry.frames.length) {
+    throw new BundleError("expected a non-empty array of steps", `${path}.frames`);
+  }
+  const cellCount = cols * rows;
+  const frames = entry.frames.map((cells, step) => {
+    const stepPath = `${path}.frames[${step}]`;
+    if (!Array.isArray(cells)) throw new BundleError("expected an array of cell indices", stepPath);
+    cells.forEach((cell, i) => {
+      if (!Number.isInteger(cell) || cell < 0 || cell >= cellCount) {
+        throw new BundleError(
+          `cell ${JSON.stringify(cell)} is outside a ${cols}x${rows} grid (0-${cellCount - 1})`,
+          `${stepPath}[${i}]`
+        );
+      }
+    });
+    return [...new Set(cells)].sort((a, b) => a - b);
+  });
+  if (!frames.some((cells) => cells.length)) {
+    throw new BundleError("every step is empty", `${path}.frames`);
+  }
+
+  const envelope = entry.envelope === undefined ? null : normalizeEnvelope(entry.envelope);
+  if (entry.envelope !== undefined && !envelope) {
+    throw new BundleError(
+      `unknown envelope ${JSON.stringify(entry.envelope?.type)}, expected one of ${ENVELOPE_IDS.join(", ")}`,
+      `${path}.envelope`
+    );
+  }
+
+  return {
+    id,
+    label: entry.label ?? id,
+    frames,
+    beatMs,
+    pulseMs,
+    ...(envelope ? { envelope } : {}),
+    ...(entry.stepColors !== undefined
+      ? { stepColors: validateStepColors(entry.stepColors, frames.length, cellCount, `${path}.stepColors`) }
+      : {}),
+    ...(entry.gradient !== undefined
+      ? { gradient: validateGradient(entry.gradient, `${path}.gradient`) }
+      : {}),
+    grid: { cols, rows },
+  };
+};
+
+export const validateTheme = (entry, path = "theme") => {
+  if (!isPlainObject(entry)) throw new BundleError("expected an object", path);
+
+  const id = expectId(entry.id, `${path}.id`);
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    throw new BundleError("expected a non-empty string", `${path}.name`);
+  }
+  const rgb = expectRgb(entry.rgb, `${path}.rgb`);
+
+  return { id, name: entry.name.trim(), rgb };
+};
+
+const validateList = (list, validate, path) => {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new BundleError("expected an array", path);
+  const seen = new Set();
+  return list.map((entry, i) => {
+    const valid = validate(entry, `${path}[${i}]`);
+    if (seen.has(valid.id)) throw new BundleError(`duplicate id "${valid.id}"`, `${path}[${i}].id`);
+    seen.add(valid.id);
+    return valid;
+  });
+};
+
+const loadValid = (key, validate) => {
+  const list = readJson(key, []);
+  if (!Array.isArray(list)) return [];
+  return list.flatMap((entry) => {
+    try {
+      return [validate(entry)];
+    } catch {
+      return [];
+    }
+  });
+};
+
+const upsert = (list, entry) => [...list.filter((item) => item.id !== entry.id), entry];
+
+export const loadCustomPatterns = () => loadValid(PATTERNS_KEY, validatePattern);
+
+export const saveCustomPattern = (pattern) =>
+  writeJson(PATTERNS_KEY, upsert(loadCustomPatterns(), validatePattern(pattern)));
+
+export const deleteCustomPattern = (id) =>
+  writeJson(
+    PATTERNS_KEY,
+    loadCustomPatterns().filter((entry) => entry.id !== id)
+  );
+
+export const loadCustomThemes = () => loadValid(THEMES_KEY, validateTheme);
+
+export const saveCustomTheme = (theme) =>
+  writeJson(THEMES_KEY, upsert(loadCustomThemes(), validateTheme(theme)));
+
+export const deleteCustomTheme = (id) =>
+  writeJson(
+    THEMES_KEY,
+    loadCustomThemes().filter((entry) => entry.id !== id)
+  );
+
+export const loadCustomHex = () => {
+  const value = readJson(CUSTOM_HEX_KEY, null);
+  return typeof value === "string" ? value : null;
+};
+
+export const saveCustomHex = (value) => writeJson(CUSTOM_HEX_KEY, value);
+
+/** Starred pattern ids, built-in or custom. */
+export const loadFavorites = () => {
+  const value = readJson(FAVORITES_KEY, []);
+  return Array.isArray(value) ? value.filter((id) => typeof id === "string") : [];
+};
+
+export const saveFavorites = (ids) => writeJson(FAVORITES_KEY, ids);
+
+// null until the user picks, so the default can follow prefers-reduced-motion.
+export const loadFlashGuard = () => {
+  const value = readJson(FLASH_GUARD_KEY, null);
+  return typeof value === "boolean" ? value : null;
+};
+
+export const saveFlashGuard = (enabled) => writeJson(FLASH_GUARD_KEY, enabled);
+
+export const createBundle = () => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  patterns: loadCustomPatterns(),
+  themes: loadCustomThemes(),
+});
+
+export const parseBundle = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BundleError("File is not valid JSON.");
+  }
+  if (!isPlainObject(data)) throw new BundleError("File does not contain a library object.");
+  if (data.format !== BUNDLE_FORMAT) {
+    throw new BundleError(`File is not a Hypno UI library (format should be "${BUNDLE_FORMAT}").`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new BundleError("expected a positive integer", "version");
+  }
+  if (data.version > BUNDLE_VERSION) {
+    throw new BundleError(
+      `Library version ${data.version} is newer than this app supports (${BUNDLE_VERSION}).`
+    );
+  }
+
+  return {
+    patterns: validateList(data.patterns, validatePattern, "patterns"),
+    themes: validateList(data.themes, validateTheme, "themes"),
+  };
+};
+
+// Entries replace saved ones with the same id; `reservedIds` guards built-ins.
+export const importBundle = (text, { reservedPatternIds = new Set(), reservedThemeIds = new Set() } = {}) => {
+  const { patterns, themes } = parseBundle(text);
+  patterns.forEach((pattern, i) => {
+    if (reservedPatternIds.has(pattern.id)) {
+      throw new BundleError(`"${pattern.id}" is a built-in pattern`, `patterns[${i}].id`);
+    }
+  });
+  themes.forEach((theme, i) => {
+    if (reservedThemeIds.has(theme.id)) {
+      throw new BundleError(`"${theme.id}" is a built-in color`, `themes[${i}].id`);
+    }
+  });
+
+  const savedPatterns = patterns.reduce(upsert, loadCustomPatterns());
+  const savedThemes = themes.reduce(upsert, loadCustomThemes());
+  if (!writeJson(PATTERNS_KEY, savedPatterns) || !writeJson(THEMES_KEY, savedThemes)) {
+    throw new BundleError("Could not save to this browser.");
+  }
+
+  return { patterns: patterns.length, themes: themes.length };
+};
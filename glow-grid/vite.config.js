@@ -1,8 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { formatHypnoError, validateHypno } from 'hypno-engine'
+
+// Fails the build on .hypno syntax errors, pointing at the offending line.
+const hypnoCheck = () => ({
+  name: 'hypno-check',
+  transform(code, id) {
+    const [file] = id.split('?')
+    if (!file.endsWith('.hypno')) return null
+    const [first, ...rest] = validateHypno(readFileSync(file, 'utf8'), { file })
+    if (first) {
+      this.error({
+        message: [first, ...rest].map(formatHypnoError).join('\n'),
+        loc: { file, line: first.line, column: first.column - 1 },
+      })
+    }
+    return null
+  },
+})
 
 // https://vite.dev/config/
-export default defineConfig({
-  base: "./",
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // `vite build --mode embed` bundles <hypno-grid> with React for pages without it.
+  if (mode === 'embed') {
+    return {
+      plugins: [react(), hypnoCheck()],
+      publicDir: false,
+      define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+      build: {
+        outDir: 'dist-embed',
+        lib: { entry: 'src/embed.js', formats: ['es'], fileName: 'hypno-grid' },
+      },
+    }
+  }
+
+  return {
+    base: "./",
+    plugins: [react(), hypnoCheck()],
+  }
 })